@@ -0,0 +1,245 @@
+// Service worker that turns a stream posted by the page into a file download,
+// and decrypts byte ranges of end-to-end encrypted media for playback.
+// See openServiceWorkerTarget in src/lib/saveTarget.js and src/lib/playback.js.
+
+const PREFIX = '/__download/';
+const PLAY_PREFIX = '/__play/';
+
+// Encrypted segments fetched per request while playing (2 MiB of plaintext)
+const PLAY_BATCH_SEGMENTS = 32;
+
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Registered downloads waiting for their frame request, by ID
+const downloads = new Map();
+
+// Registered media, by ID: { streamUrl, password, size, mimeType, header, key }
+const playbacks = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+
+  if (type === 'register-playback') {
+    event.waitUntil(registerPlayback(event.data, event.ports[0]));
+  } else if (type === 'release-playback') {
+    playbacks.delete(event.data.id);
+  } else if (type === 'register-download') {
+    registerDownload(event);
+  }
+});
+
+function registerDownload(event) {
+  const { id, filename, mimeType, size } = event.data;
+
+  const port = event.ports[0];
+  let controller;
+  let resolvePull = null;
+
+  const stream = new ReadableStream({
+    start(c) {
+      controller = c;
+    },
+    pull() {
+      port.postMessage({ type: 'pull' });
+      return new Promise((resolve) => { resolvePull = resolve; });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+    }
+  });
+
+  port.onmessage = ({ data }) => {
+    if (data.type === 'chunk') {
+      controller.enqueue(new Uint8Array(data.chunk.buffer, data.chunk.byteOffset, data.chunk.byteLength));
+    } else if (data.type === 'close') {
+      controller.close();
+    } else if (data.type === 'abort') {
+      controller.error(new Error(data.message));
+    }
+
+    if (resolvePull) {
+      resolvePull();
+      resolvePull = null;
+    }
+  };
+
+  downloads.set(id, { stream, filename, mimeType, size });
+  port.postMessage({ type: 'ready' });
+}
+
+// The page re-sends this periodically, since the browser may stop an idle
+// worker and drop the map
+async function registerPlayback({ id, keyHex, streamUrl, password, size, mimeType, header }, port) {
+  if (!playbacks.has(id)) {
+    const key = await crypto.subtle.importKey('raw', hexToBytes(keyHex), 'AES-GCM', false, ['decrypt']);
+    playbacks.set(id, { streamUrl, password, size, mimeType, header, key });
+  }
+  port?.postMessage({ type: 'ready' });
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Same nonce and associated data as deriveSegmentNonce and segmentAad in
+// src/lib/container.js (a classic worker cannot import the app's modules)
+function segmentNonce(iv, index) {
+  const nonce = iv.slice(0, NONCE_LENGTH);
+  const view = new DataView(nonce.buffer);
+  view.setUint32(NONCE_LENGTH - 4, (view.getUint32(NONCE_LENGTH - 4) ^ index) >>> 0);
+  return nonce;
+}
+
+function segmentAad(header, final) {
+  const aad = new Uint8Array(header.length + 1);
+  aad.set(header, 0);
+  aad[header.length] = final ? 1 : 0;
+  return aad;
+}
+
+/**
+ * Parse a single `bytes=` range against the plaintext size.
+ * Returns null for no (or an unusable) Range header and -1 if unsatisfiable.
+ */
+function parseRange(value, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(value || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - parseInt(match[2]));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+  }
+
+  return start > end || start >= size ? -1 : { start, end };
+}
+
+/**
+ * Plaintext bytes `start`..`end` of an uncompressed transfer, decrypted a
+ * batch of segments at a time as the media element reads. Only the
+ * segments the range touches are downloaded.
+ */
+function createPlaybackStream(playback, start, end) {
+  const { streamUrl, password, size, header, key } = playback;
+  const { segmentSize, headerLength, iv, raw } = header;
+  const encryptedSegmentSize = segmentSize + TAG_LENGTH;
+  const segmentCount = Math.max(1, Math.ceil(size / segmentSize));
+  const lastSegment = Math.floor(end / segmentSize);
+  let segment = Math.floor(start / segmentSize);
+  let skip = start - segment * segmentSize;
+  let remaining = end - start + 1;
+  let controller = null;
+
+  return new ReadableStream({
+    async pull(stream) {
+      const batchEnd = Math.min(segment + PLAY_BATCH_SEGMENTS - 1, lastSegment);
+      controller = new AbortController();
+
+      const response = await fetch(streamUrl, {
+        headers: {
+          Range: `bytes=${headerLength + segment * encryptedSegmentSize}-${headerLength + (batchEnd + 1) * encryptedSegmentSize - 1}`,
+          ...(password ? { 'X-Transfer-Password': password } : {})
+        },
+        signal: controller.signal
+      });
+      if (response.status !== 206) {
+        throw new Error(`Fetching encrypted segments failed (HTTP ${response.status})`);
+      }
+      const ciphertext = new Uint8Array(await response.arrayBuffer());
+
+      for (let offset = 0; segment <= batchEnd; segment++, offset += encryptedSegmentSize) {
+        const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: segmentNonce(iv, segment), additionalData: segmentAad(raw, segment === segmentCount - 1) },
+          key,
+          ciphertext.subarray(offset, offset + encryptedSegmentSize)
+        ));
+        const chunk = plaintext.subarray(skip, skip + remaining);
+        skip = 0;
+        remaining -= chunk.length;
+        stream.enqueue(chunk);
+      }
+
+      if (remaining === 0) {
+        stream.close();
+      }
+    },
+    cancel() {
+      // Seeking abandons the current response
+      controller?.abort();
+    }
+  });
+}
+
+function respondWithPlayback(event, id) {
+  const playback = playbacks.get(id);
+  if (!playback) {
+    event.respondWith(new Response('Playback not found', { status: 404 }));
+    return;
+  }
+
+  const { size, mimeType } = playback;
+  const range = parseRange(event.request.headers.get('range'), size);
+  const headers = {
+    'Content-Type': mimeType || 'application/octet-stream',
+    'Accept-Ranges': 'bytes'
+  };
+
+  if (range === -1) {
+    headers['Content-Range'] = `bytes */${size}`;
+    event.respondWith(new Response(null, { status: 416, headers }));
+    return;
+  }
+
+  const { start, end } = range || { start: 0, end: size - 1 };
+  headers['Content-Length'] = String(end - start + 1);
+
+  if (range) {
+    headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  }
+
+  const body = size === 0 ? null : createPlaybackStream(playback, start, end);
+  event.respondWith(new Response(body, { status: range ? 206 : 200, headers }));
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+
+  if (url.pathname.startsWith(PLAY_PREFIX)) {
+    respondWithPlayback(event, url.pathname.slice(PLAY_PREFIX.length));
+    return;
+  }
+
+  if (!url.pathname.startsWith(PREFIX)) return;
+
+  const id = url.pathname.slice(PREFIX.length);
+  const download = downloads.get(id);
+
+  if (!download) {
+    event.respondWith(new Response('Download not found', { status: 404 }));
+    return;
+  }
+  downloads.delete(id);
+
+  const headers = {
+    'Content-Type': download.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`
+  };
+  if (download.size) {
+    headers['Content-Length'] = String(download.size);
+  }
+
+  event.respondWith(new Response(download.stream, { headers }));
+});
@@ -3,6 +3,7 @@ import Header from './components/Header';
 import Home from './pages/Home';
 import Download from './pages/Download';
 import Transfers from './pages/Transfers';
+import Keys from './pages/Keys';
 import './App.css';
 
 function App() {
@@ -15,6 +16,7 @@ function App() {
             <Route path="/" element={<Home />} />
             <Route path="/download/:id" element={<Download />} />
             <Route path="/transfers" element={<Transfers />} />
+            <Route path="/keys" element={<Keys />} />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,143 @@
+import { useMemo, useState } from 'react';
+import {
+  ChevronRight,
+  ChevronDown,
+  Folder,
+  FolderOpen,
+  FileText,
+  Download as DownloadIcon,
+  CheckCircle,
+  Archive
+} from 'lucide-react';
+import './ArchiveTree.css';
+
+// Nest listing entries into folders, including folders only implied by paths
+function buildTree(entries) {
+  const root = { path: '', folders: new Map(), files: [] };
+
+  for (const entry of entries) {
+    const parts = entry.path.split('/');
+    const name = entry.directory ? null : parts.pop();
+
+    let node = root;
+    for (const part of parts) {
+      if (!node.folders.has(part)) {
+        node.folders.set(part, {
+          name: part,
+          path: node.path ? `${node.path}/${part}` : part,
+          folders: new Map(),
+          files: []
+        });
+      }
+      node = node.folders.get(part);
+    }
+    if (name !== null) node.files.push({ name, entry });
+  }
+  return root;
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+function TreeFolder({ node, depth, expanded, onToggle, ...rowProps }) {
+  return (
+    <>
+      {[...node.folders.values()].sort(byName).map((folder) => {
+        const open = expanded.has(folder.path);
+        return (
+          <li key={`${folder.path}/`}>
+            <button
+              className="archive-tree-row archive-tree-folder"
+              style={{ paddingLeft: `${depth * 16}px` }}
+              onClick={() => onToggle(folder.path)}
+            >
+              {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+              {open ? <FolderOpen size={16} /> : <Folder size={16} />}
+              <span className="archive-tree-name">{folder.name}</span>
+              <span className="archive-tree-meta">{folder.folders.size + folder.files.length} items</span>
+            </button>
+            {open && (
+              <ul>
+                <TreeFolder node={folder} depth={depth + 1} expanded={expanded} onToggle={onToggle} {...rowProps} />
+              </ul>
+            )}
+          </li>
+        );
+      })}
+      {node.files.sort(byName).map(({ name, entry }) => (
+        <li key={entry.path} className="archive-tree-row" style={{ paddingLeft: `${depth * 16 + 14}px` }}>
+          <FileText size={16} />
+          <span className="archive-tree-name" title={entry.path}>{name}</span>
+          {entry.modified && (
+            <span className="archive-tree-meta">{new Date(entry.modified).toLocaleDateString()}</span>
+          )}
+          <span className="archive-tree-meta">{rowProps.formatSize(entry.size)}</span>
+          {rowProps.canDownload(entry) ? (
+            <button
+              className="btn btn-icon"
+              title={`Download ${name}`}
+              onClick={() => rowProps.onDownload(entry)}
+              disabled={rowProps.disabled}
+            >
+              {rowProps.savedPaths.includes(entry.path) ? <CheckCircle size={16} /> : <DownloadIcon size={16} />}
+            </button>
+          ) : (
+            <span className="archive-tree-unavailable" title="This entry cannot be downloaded on its own">—</span>
+          )}
+        </li>
+      ))}
+    </>
+  );
+}
+
+/**
+ * Browsable listing of an uploaded ZIP or tar archive, with per-file downloads
+ */
+function ArchiveTree({ listing, canDownload, onDownload, savedPaths, disabled, formatSize }) {
+  const tree = useMemo(() => buildTree(listing.entries), [listing]);
+
+  // A single top-level folder starts open
+  const [expanded, setExpanded] = useState(() => (
+    tree.folders.size === 1 && tree.files.length === 0 ? new Set(tree.folders.keys()) : new Set()
+  ));
+
+  const toggle = (path) => {
+    setExpanded((previous) => {
+      const next = new Set(previous);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const fileCount = listing.entries.filter((entry) => !entry.directory).length;
+
+  return (
+    <div className="archive-tree">
+      <div className="archive-tree-header">
+        <Archive size={16} />
+        <span>
+          {fileCount} {fileCount === 1 ? 'file' : 'files'} in this {listing.format.toUpperCase()} archive
+          {listing.truncated && ' (list shortened)'}
+        </span>
+      </div>
+      <ul className="archive-tree-list">
+        <TreeFolder
+          node={tree}
+          depth={0}
+          expanded={expanded}
+          onToggle={toggle}
+          canDownload={canDownload}
+          onDownload={onDownload}
+          savedPaths={savedPaths}
+          disabled={disabled}
+          formatSize={formatSize}
+        />
+      </ul>
+    </div>
+  );
+}
+
+export default ArchiveTree;
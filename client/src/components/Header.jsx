@@ -1,5 +1,5 @@
 import { Link, useLocation } from 'react-router-dom';
-import { Shield, Upload, List, Lock } from 'lucide-react';
+import { Shield, Upload, List, Lock, KeyRound } from 'lucide-react';
 import './Header.css';
 
 function Header() {
@@ -33,6 +33,13 @@ function Header() {
             <List size={18} />
             <span>Transfers</span>
           </Link>
+          <Link 
+            to="/keys" 
+            className={`nav-link ${location.pathname === '/keys' ? 'active' : ''}`}
+          >
+            <KeyRound size={18} />
+            <span>Keys</span>
+          </Link>
         </nav>
         
         <div className="header-badge">
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { ShieldCheck, ShieldAlert, ShieldQuestion, UserCheck } from 'lucide-react';
+import './SenderBadge.css';
+
+/**
+ * Who sent a transfer. `sender` is its checked signature
+ * (`{ valid, fingerprint, statement, trustedName }`), or null when unsigned;
+ * `contentCheck` says whether the downloaded plaintext matched the signed hash.
+ */
+function SenderBadge({ sender, contentCheck, onTrust }) {
+  const [name, setName] = useState('');
+
+  if (!sender) {
+    return (
+      <div className="sender-badge unverified">
+        <ShieldQuestion size={18} />
+        <div className="sender-text">
+          <strong>Unverified sender</strong>
+          <span>This transfer is not signed</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (!sender.valid || contentCheck === 'mismatch') {
+    return (
+      <div className="sender-badge invalid">
+        <ShieldAlert size={18} />
+        <div className="sender-text">
+          <strong>Signature check failed</strong>
+          <span>
+            {sender.valid
+              ? 'The downloaded file does not match what the sender signed. Do not trust it.'
+              : 'The signature does not match this transfer. It may have been tampered with.'}
+          </span>
+        </div>
+      </div>
+    );
+  }
+
+  const details = [
+    `Key ${sender.fingerprint}`,
+    `signed ${new Date(sender.statement.signedAt).toLocaleString()}`,
+    contentCheck === 'match' && 'file matches the signature'
+  ].filter(Boolean).join(' · ');
+
+  if (sender.trustedName) {
+    return (
+      <div className="sender-badge verified">
+        <ShieldCheck size={18} />
+        <div className="sender-text">
+          <strong>Verified sender: {sender.trustedName}</strong>
+          <span>{details}</span>
+        </div>
+      </div>
+    );
+  }
+
+  const handleTrust = (e) => {
+    e.preventDefault();
+    onTrust(name.trim());
+  };
+
+  return (
+    <div className="sender-badge unverified">
+      <ShieldQuestion size={18} />
+      <div className="sender-text">
+        <strong>Signed by an unknown key</strong>
+        <span>{details}</span>
+        <form className="sender-trust" onSubmit={handleTrust}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Sender's name"
+            maxLength={64}
+          />
+          <button type="submit" className="btn btn-secondary" disabled={!name.trim()}>
+            <UserCheck size={16} />
+            <span>Trust Key</span>
+          </button>
+        </form>
+        <span className="sender-hint">Check the fingerprint with the sender before trusting it.</span>
+      </div>
+    </div>
+  );
+}
+
+export default SenderBadge;
@@ -0,0 +1,472 @@
+// ZIP and tar.gz archives of a multi-file transfer, written in the browser
+// while its bytes are decrypted. Mirrors server/lib/archive.js: entries are
+// manifest entries laid out back to back, so one pass builds the archive.
+
+export const ArchiveFormat = {
+  ZIP: 'zip',
+  TAR_GZ: 'tar.gz'
+};
+
+export const ZipMethod = {
+  STORE: 'store',
+  DEFLATE: 'deflate'
+};
+
+const MIME_TYPES = {
+  [ArchiveFormat.ZIP]: 'application/zip',
+  [ArchiveFormat.TAR_GZ]: 'application/gzip'
+};
+
+// Sizes and offsets from here on need ZIP64 fields
+const ZIP32_LIMIT = 0xFFFFFFFF;
+
+// Deflate can grow incompressible data slightly, so entries this large
+// are written with ZIP64 sizes before their compressed size is known
+const ZIP64_ENTRY_SIZE = 0xF0000000;
+
+const ZIP_FLAGS = 0x0808; // bit 3: sizes in a data descriptor, bit 11: UTF-8 names
+const ZIP_VERSION = 20;
+const ZIP64_VERSION = 45;
+const UNIX_HOST = 3 << 8;
+const FILE_ATTRIBUTES = (0o100644 << 16) >>> 0;
+
+const TAR_BLOCK = 512;
+const TAR_MAX_SIZE = 0o77777777777;
+
+const encoder = new TextEncoder();
+
+/**
+ * Download filename for a transfer packed as `format`
+ */
+export function getArchiveFilename(name, format) {
+  return `${name || 'transfer'}.${format}`;
+}
+
+export function getArchiveMimeType(format) {
+  return MIME_TYPES[format];
+}
+
+/**
+ * Whether this browser can build `format` (with `method`, for ZIP)
+ */
+export function isArchiveSupported(format, method = ZipMethod.DEFLATE) {
+  const needs = format === ArchiveFormat.TAR_GZ ? 'gzip'
+    : method === ZipMethod.DEFLATE ? 'deflate-raw'
+      : null;
+  if (!needs) return true;
+
+  try {
+    new CompressionStream(needs);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(data, value = 0) {
+  let c = (value ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Chunks of a ReadableStream; stopping early cancels the stream
+async function* readChunks(stream) {
+  const reader = stream.getReader();
+  let finished = false;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    if (!finished) await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Reads exact byte counts off a stream of chunks
+ */
+class ChunkReader {
+  constructor(stream) {
+    this.chunks = readChunks(stream);
+    this.leftover = null;
+  }
+
+  async next(max) {
+    let chunk = this.leftover;
+    this.leftover = null;
+
+    if (!chunk) {
+      const { value, done } = await this.chunks.next();
+      if (done) return null;
+      chunk = value;
+    }
+    if (chunk.byteLength > max) {
+      this.leftover = chunk.subarray(max);
+      return chunk.subarray(0, max);
+    }
+    return chunk;
+  }
+
+  // The next `size` bytes, in chunks
+  async *take(size) {
+    let remaining = size;
+    while (remaining > 0) {
+      const chunk = await this.next(remaining);
+      if (!chunk) {
+        throw new Error('Transfer ended before all of its files were read');
+      }
+      remaining -= chunk.byteLength;
+      yield chunk;
+    }
+  }
+
+  // Read to the end, so the whole transfer is verified
+  async drain() {
+    while (await this.next(Infinity));
+  }
+
+  close() {
+    return this.chunks.return();
+  }
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.byteLength;
+  }
+  return out;
+}
+
+function dosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function entryDate(entry, modified) {
+  const date = new Date(entry.lastModified || modified || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function zipLocalHeader(name, method, when, zip64) {
+  const header = new Uint8Array(30 + name.length + (zip64 ? 20 : 0));
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(4, zip64 ? ZIP64_VERSION : ZIP_VERSION, true);
+  view.setUint16(6, ZIP_FLAGS, true);
+  view.setUint16(8, method, true);
+  view.setUint16(10, when.time, true);
+  view.setUint16(12, when.date, true);
+  view.setUint32(18, zip64 ? ZIP32_LIMIT : 0, true);
+  view.setUint32(22, zip64 ? ZIP32_LIMIT : 0, true);
+  view.setUint16(26, name.length, true);
+  view.setUint16(28, zip64 ? 20 : 0, true);
+  header.set(name, 30);
+
+  if (zip64) {
+    // Sizes follow in the data descriptor; zeros here
+    view.setUint16(30 + name.length, 0x0001, true);
+    view.setUint16(32 + name.length, 16, true);
+  }
+  return header;
+}
+
+function zipDataDescriptor({ crc, compressedSize, size, zip64 }) {
+  const descriptor = new Uint8Array(zip64 ? 24 : 16);
+  const view = new DataView(descriptor.buffer);
+  view.setUint32(0, 0x08074b50, true);
+  view.setUint32(4, crc, true);
+  if (zip64) {
+    view.setBigUint64(8, BigInt(compressedSize), true);
+    view.setBigUint64(16, BigInt(size), true);
+  } else {
+    view.setUint32(8, compressedSize, true);
+    view.setUint32(12, size, true);
+  }
+  return descriptor;
+}
+
+function zipCentralHeader({ name, method, when, crc, compressedSize, size, offset, zip64 }) {
+  const needs64 = zip64 || compressedSize >= ZIP32_LIMIT || offset >= ZIP32_LIMIT;
+  const header = new Uint8Array(46 + name.length + (needs64 ? 28 : 0));
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x02014b50, true);
+  view.setUint16(4, UNIX_HOST | (needs64 ? ZIP64_VERSION : ZIP_VERSION), true);
+  view.setUint16(6, needs64 ? ZIP64_VERSION : ZIP_VERSION, true);
+  view.setUint16(8, ZIP_FLAGS, true);
+  view.setUint16(10, method, true);
+  view.setUint16(12, when.time, true);
+  view.setUint16(14, when.date, true);
+  view.setUint32(16, crc, true);
+  view.setUint32(20, needs64 ? ZIP32_LIMIT : compressedSize, true);
+  view.setUint32(24, needs64 ? ZIP32_LIMIT : size, true);
+  view.setUint16(28, name.length, true);
+  view.setUint16(30, needs64 ? 28 : 0, true);
+  view.setUint32(38, FILE_ATTRIBUTES, true);
+  view.setUint32(42, needs64 ? ZIP32_LIMIT : offset, true);
+  header.set(name, 46);
+
+  if (needs64) {
+    const extra = 46 + name.length;
+    view.setUint16(extra, 0x0001, true);
+    view.setUint16(extra + 2, 24, true);
+    view.setBigUint64(extra + 4, BigInt(size), true);
+    view.setBigUint64(extra + 12, BigInt(compressedSize), true);
+    view.setBigUint64(extra + 20, BigInt(offset), true);
+  }
+  return header;
+}
+
+function zipEnd(count, directorySize, directoryOffset) {
+  const needs64 = count >= 0xFFFF || directorySize >= ZIP32_LIMIT || directoryOffset >= ZIP32_LIMIT;
+  const end = new Uint8Array((needs64 ? 76 : 0) + 22);
+  const view = new DataView(end.buffer);
+  let position = 0;
+
+  if (needs64) {
+    view.setUint32(0, 0x06064b50, true);
+    view.setBigUint64(4, 44n, true);
+    view.setUint16(12, UNIX_HOST | ZIP64_VERSION, true);
+    view.setUint16(14, ZIP64_VERSION, true);
+    view.setBigUint64(24, BigInt(count), true);
+    view.setBigUint64(32, BigInt(count), true);
+    view.setBigUint64(40, BigInt(directorySize), true);
+    view.setBigUint64(48, BigInt(directoryOffset), true);
+
+    view.setUint32(56, 0x07064b50, true);
+    view.setBigUint64(64, BigInt(directoryOffset + directorySize), true);
+    view.setUint32(72, 1, true);
+    position = 76;
+  }
+
+  view.setUint32(position, 0x06054b50, true);
+  view.setUint16(position + 8, Math.min(count, 0xFFFF), true);
+  view.setUint16(position + 10, Math.min(count, 0xFFFF), true);
+  view.setUint32(position + 12, needs64 ? ZIP32_LIMIT : directorySize, true);
+  view.setUint32(position + 16, needs64 ? ZIP32_LIMIT : directoryOffset, true);
+  return end;
+}
+
+// Pass an entry's chunks through, updating `state.crc`
+async function* checksummed(chunks, state) {
+  for await (const chunk of chunks) {
+    state.crc = crc32(chunk, state.crc);
+    yield chunk;
+  }
+}
+
+// Deflate an entry's chunks, updating `state.crc` on the way in
+async function* deflateEntry(chunks, state) {
+  const deflater = new CompressionStream('deflate-raw');
+  const writer = deflater.writable.getWriter();
+
+  const feeding = (async () => {
+    try {
+      for await (const chunk of checksummed(chunks, state)) {
+        await writer.write(chunk);
+      }
+      await writer.close();
+    } catch (err) {
+      await writer.abort(err).catch(() => {});
+      throw err;
+    }
+  })();
+  // Rejections surface through the readable side, then the await below
+  feeding.catch(() => {});
+
+  yield* readChunks(deflater.readable);
+  await feeding;
+}
+
+async function* writeZip(plaintext, entries, { method, modified }) {
+  const reader = new ChunkReader(plaintext);
+  const methodId = method === ZipMethod.STORE ? 0 : 8;
+  const directory = [];
+  let offset = 0;
+
+  try {
+    for (const entry of entries) {
+      const name = encoder.encode(entry.path);
+      const when = dosDateTime(entryDate(entry, modified));
+      const zip64 = entry.size >= ZIP64_ENTRY_SIZE || offset >= ZIP32_LIMIT;
+      const state = { crc: 0 };
+      let compressedSize = 0;
+
+      const localHeader = zipLocalHeader(name, methodId, when, zip64);
+      yield localHeader;
+
+      const chunks = reader.take(entry.size);
+      const data = methodId === 0 ? checksummed(chunks, state) : deflateEntry(chunks, state);
+
+      for await (const chunk of data) {
+        compressedSize += chunk.byteLength;
+        yield chunk;
+      }
+
+      const record = { name, method: methodId, when, crc: state.crc, compressedSize, size: entry.size, offset, zip64 };
+      const descriptor = zipDataDescriptor(record);
+      yield descriptor;
+
+      directory.push(zipCentralHeader(record));
+      offset += localHeader.byteLength + compressedSize + descriptor.byteLength;
+    }
+
+    await reader.drain();
+  } finally {
+    await reader.close();
+  }
+
+  const central = concat(directory);
+  yield central;
+  yield zipEnd(entries.length, central.byteLength, offset);
+}
+
+// PAX extended header record: `<length> <key>=<value>\n`, where the
+// length counts its own digits
+function paxRecord(key, value) {
+  const bodyLength = encoder.encode(` ${key}=${value}\n`).byteLength;
+  let length = bodyLength;
+  while (String(length).length + bodyLength !== length) {
+    length = String(length).length + bodyLength;
+  }
+  return `${length} ${key}=${value}\n`;
+}
+
+// Split a path into ustar's 155-byte prefix and 100-byte name, or null
+function splitTarPath(path) {
+  const fits = (value, max) => encoder.encode(value).byteLength <= max;
+  if (fits(path, 100)) return { name: path, prefix: '' };
+
+  for (let i = path.indexOf('/'); i !== -1; i = path.indexOf('/', i + 1)) {
+    const prefix = path.slice(0, i);
+    const name = path.slice(i + 1);
+    if (fits(prefix, 155) && fits(name, 100)) return { name, prefix };
+  }
+  return null;
+}
+
+function writeField(block, value, offset, length) {
+  block.set(encoder.encode(value).subarray(0, length), offset);
+}
+
+function writeOctal(block, value, offset, length) {
+  writeField(block, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function tarHeader({ name, prefix = '', size, mtime, type = '0' }) {
+  const block = new Uint8Array(TAR_BLOCK);
+  writeField(block, name, 0, 100);
+  writeOctal(block, 0o644, 100, 8);
+  writeOctal(block, 0, 108, 8);
+  writeOctal(block, 0, 116, 8);
+  writeOctal(block, size > TAR_MAX_SIZE ? 0 : size, 124, 12);
+  writeOctal(block, Math.max(0, Math.floor(mtime.getTime() / 1000)), 136, 12);
+  writeField(block, type, 156, 1);
+  writeField(block, 'ustar\0', 257, 6);
+  writeField(block, '00', 263, 2);
+  writeField(block, prefix, 345, 155);
+
+  // The checksum is summed with its own field as spaces
+  block.fill(0x20, 148, 156);
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  writeField(block, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return block;
+}
+
+function tarPadding(size) {
+  return new Uint8Array((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
+}
+
+async function* writeTar(plaintext, entries, { modified }) {
+  const reader = new ChunkReader(plaintext);
+
+  try {
+    for (const entry of entries) {
+      const mtime = entryDate(entry, modified);
+      const split = splitTarPath(entry.path);
+
+      // Long paths and huge files go in a PAX extended header
+      if (!split || entry.size > TAR_MAX_SIZE) {
+        const records = encoder.encode(
+          (split ? '' : paxRecord('path', entry.path))
+          + (entry.size > TAR_MAX_SIZE ? paxRecord('size', entry.size) : '')
+        );
+        yield tarHeader({ name: 'PaxHeader', size: records.byteLength, mtime, type: 'x' });
+        yield records;
+        yield tarPadding(records.byteLength);
+      }
+
+      // Without a fitting split, the PAX path wins; the ustar name is a fallback
+      yield tarHeader({ ...(split || { name: entry.path.slice(-100) }), size: entry.size, mtime });
+      yield* reader.take(entry.size);
+      yield tarPadding(entry.size);
+    }
+
+    await reader.drain();
+  } finally {
+    await reader.close();
+  }
+  yield new Uint8Array(TAR_BLOCK * 2);
+}
+
+/**
+ * Turn a transfer's decrypted byte stream into an archive of its entries.
+ * `method` ('deflate' or 'store') applies to ZIP; `modified` dates entries
+ * without their own `lastModified`.
+ */
+export function createArchiveStream(plaintext, entries, { format, method = ZipMethod.DEFLATE, modified = null }) {
+  const parts = format === ArchiveFormat.TAR_GZ
+    ? writeTar(plaintext, entries, { modified })
+    : writeZip(plaintext, entries, { method, modified });
+
+  const archive = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await parts.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel() {
+      return parts.return();
+    }
+  });
+
+  return format === ArchiveFormat.TAR_GZ ? archive.pipeThrough(new CompressionStream('gzip')) : archive;
+}
+
+export default {
+  ArchiveFormat,
+  ZipMethod,
+  getArchiveFilename,
+  getArchiveMimeType,
+  isArchiveSupported,
+  crc32,
+  createArchiveStream
+};
@@ -0,0 +1,447 @@
+// Listings of ZIP and tar(.gz) files picked for upload: names, sizes, dates
+// and where each entry's data starts. Mirrors server/lib/archiveListing.js.
+// The listing is encrypted under the file key and sent with the upload, so
+// recipients can browse the archive and download single entries.
+
+import { normalizePath, createEntryFilter } from './bundle';
+
+export const LISTING_VERSION = 1;
+
+export const ListingFormat = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZ: 'tar.gz'
+};
+
+// Most entries listed; larger archives get a truncated listing
+export const MAX_LISTING_ENTRIES = 10000;
+
+// Largest ZIP central directory read
+const MAX_ZIP_DIRECTORY = 16 * 1024 * 1024;
+
+// Largest PAX or GNU long-name record read from a tar stream
+const MAX_TAR_RECORD = 64 * 1024;
+
+// Only files named as archives are inspected; .docx, .jar and the like
+// are ZIP files too, but not ones a recipient would browse
+const ARCHIVE_EXTENSIONS = {
+  [ListingFormat.ZIP]: /\.zip$/i,
+  [ListingFormat.TAR]: /\.tar$/i,
+  [ListingFormat.TAR_GZ]: /\.(tar\.gz|tgz)$/i
+};
+
+const TAR_BLOCK = 512;
+const ZIP32_LIMIT = 0xFFFFFFFF;
+
+const ZipMethod = {
+  STORE: 0,
+  DEFLATE: 8
+};
+
+const utf8 = new TextDecoder();
+const latin1 = new TextDecoder('latin1');
+
+async function readBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+function isTarHeader(block) {
+  return block.length >= TAR_BLOCK && latin1.decode(block.subarray(257, 262)) === 'ustar';
+}
+
+async function detectFormat(file) {
+  const head = await readBytes(file, 0, TAR_BLOCK);
+  const view = new DataView(head.buffer);
+
+  if (head.length >= 4 && view.getUint32(0, true) === 0x04034b50) return ListingFormat.ZIP;
+  if (isTarHeader(head)) return ListingFormat.TAR;
+  // Whether the gzip data holds a tar is found out by the tar parser
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return ListingFormat.TAR_GZ;
+  return null;
+}
+
+function fromDosDateTime(date, time) {
+  const parsed = new Date(
+    1980 + (date >> 9),
+    ((date >> 5) & 0x0F) - 1,
+    date & 0x1F,
+    time >> 11,
+    (time >> 5) & 0x3F,
+    (time & 0x1F) * 2
+  );
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Read a ZIP file's central directory, seeking with Blob slices
+ */
+async function listZip(file) {
+  const tailStart = Math.max(0, file.size - 22 - 0xFFFF);
+  const tail = await readBytes(file, tailStart, file.size);
+  const tailView = new DataView(tail.buffer);
+
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tailView.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  let count = tailView.getUint16(end + 10, true);
+  let directorySize = tailView.getUint32(end + 12, true);
+  let directoryOffset = tailView.getUint32(end + 16, true);
+
+  // ZIP64: the real values are in a record the locator points to
+  const locator = end - 20;
+  if (locator >= 0 && tailView.getUint32(locator, true) === 0x07064b50) {
+    const recordOffset = Number(tailView.getBigUint64(locator + 8, true));
+    const record = new DataView((await readBytes(file, recordOffset, recordOffset + 56)).buffer);
+    if (record.byteLength < 56 || record.getUint32(0, true) !== 0x06064b50) return null;
+    count = Number(record.getBigUint64(32, true));
+    directorySize = Number(record.getBigUint64(40, true));
+    directoryOffset = Number(record.getBigUint64(48, true));
+  }
+
+  if (directorySize > MAX_ZIP_DIRECTORY || directoryOffset + directorySize > file.size) return null;
+
+  const directory = await readBytes(file, directoryOffset, directoryOffset + directorySize);
+  const view = new DataView(directory.buffer);
+  const entries = [];
+  let truncated = false;
+  let position = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > directory.length || view.getUint32(position, true) !== 0x02014b50) return null;
+
+    const flags = view.getUint16(position + 8, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const nameBytes = directory.subarray(position + 46, position + 46 + nameLength);
+    const name = (flags & 0x0800 ? utf8 : latin1).decode(nameBytes);
+
+    let compressedSize = view.getUint32(position + 20, true);
+    let size = view.getUint32(position + 24, true);
+    let offset = view.getUint32(position + 42, true);
+
+    // ZIP64 extra field: 64-bit values for the fields set to 0xFFFFFFFF, in this order
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (size === ZIP32_LIMIT) { size = Number(view.getBigUint64(field, true)); field += 8; }
+        if (compressedSize === ZIP32_LIMIT) { compressedSize = Number(view.getBigUint64(field, true)); field += 8; }
+        if (offset === ZIP32_LIMIT) offset = Number(view.getBigUint64(field, true));
+      }
+      extra += 4 + length;
+    }
+
+    const path = normalizePath(name);
+    if (path && entries.length < MAX_LISTING_ENTRIES) {
+      const directoryEntry = name.endsWith('/');
+      entries.push({
+        path,
+        size,
+        compressedSize,
+        modified: fromDosDateTime(view.getUint16(position + 14, true), view.getUint16(position + 12, true)),
+        offset,
+        method: view.getUint16(position + 10, true),
+        ...(directoryEntry && { directory: true }),
+        ...((flags & 0x0001) && { encrypted: true })
+      });
+    } else if (path) {
+      truncated = true;
+    }
+
+    position = extraEnd + commentLength;
+  }
+
+  return { entries, truncated };
+}
+
+function readTarString(block, start, length) {
+  const field = block.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return utf8.decode(end === -1 ? field : field.subarray(0, end));
+}
+
+// Octal, or base-256 (GNU) when the high bit of the first byte is set
+function readTarNumber(block, start, length) {
+  if (block[start] & 0x80) {
+    let value = block[start] & 0x7F;
+    for (let i = start + 1; i < start + length; i++) value = value * 256 + block[i];
+    return value;
+  }
+  return parseInt(readTarString(block, start, length).trim() || '0', 8);
+}
+
+function tarChecksumValid(block) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === readTarNumber(block, 148, 8);
+}
+
+function parsePaxRecords(data) {
+  const values = {};
+  let position = 0;
+  while (position < data.length) {
+    const space = data.indexOf(0x20, position);
+    if (space === -1) break;
+    const length = parseInt(latin1.decode(data.subarray(position, space)));
+    if (!(length > 0)) break;
+
+    const record = utf8.decode(data.subarray(space + 1, position + length - 1));
+    const equals = record.indexOf('=');
+    if (equals !== -1) values[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+  return values;
+}
+
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+/**
+ * Incremental tar header parser: fed the tar stream in chunks, it skips
+ * over file data and collects an entry per header
+ */
+class TarParser {
+  constructor() {
+    this.entries = [];
+    this.truncated = false;
+    this.position = 0;
+    this.header = new Uint8Array(0);
+    // Data still to skip, or to collect for PAX / long-name records
+    this.skip = 0;
+    this.record = null;
+    this.pending = {};
+    this.done = false;
+  }
+
+  write(chunk) {
+    let data = chunk;
+
+    while (data.length > 0 && !this.done) {
+      if (this.skip > 0) {
+        const length = Math.min(this.skip, data.length);
+        if (this.record) this.record.chunks.push(data.slice(0, length));
+        this.skip -= length;
+        this.position += length;
+        data = data.subarray(length);
+        if (this.skip === 0 && this.record) this.finishRecord();
+        continue;
+      }
+
+      const needed = TAR_BLOCK - this.header.length;
+      const taken = data.subarray(0, needed);
+      this.header = concat(this.header, taken);
+      this.position += taken.length;
+      data = data.subarray(taken.length);
+
+      if (this.header.length === TAR_BLOCK) {
+        const block = this.header;
+        this.header = new Uint8Array(0);
+        this.readHeader(block);
+      }
+    }
+  }
+
+  readHeader(block) {
+    // A zero block marks the end of the archive
+    if (block.every((byte) => byte === 0)) {
+      this.done = true;
+      return;
+    }
+    if (!tarChecksumValid(block)) {
+      throw new Error('Invalid tar header');
+    }
+
+    const type = String.fromCharCode(block[156] || 0x30);
+    const size = this.pending.size ?? readTarNumber(block, 124, 12);
+    const padded = Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === 'x' || type === 'L') {
+      if (size > MAX_TAR_RECORD) throw new Error('Tar record too large');
+      this.record = { type, chunks: [], size };
+      this.skip = padded;
+      if (padded === 0) this.finishRecord();
+      return;
+    }
+
+    const prefix = readTarString(block, 345, 155);
+    const name = this.pending.path ?? (prefix ? `${prefix}/` : '') + readTarString(block, 0, 100);
+    const mtime = this.pending.mtime ?? readTarNumber(block, 136, 12);
+    this.pending = {};
+
+    // Regular files and directories are listed; links and the like are not
+    if (type === '0' || type === '7' || type === '5') {
+      const path = normalizePath(name);
+      if (path && this.entries.length < MAX_LISTING_ENTRIES) {
+        this.entries.push({
+          path,
+          size: type === '5' ? 0 : size,
+          modified: new Date(mtime * 1000).toISOString(),
+          offset: this.position,
+          ...(type === '5' && { directory: true })
+        });
+      } else if (path) {
+        this.truncated = true;
+      }
+    }
+    this.skip = padded;
+  }
+
+  finishRecord() {
+    const { type, chunks, size } = this.record;
+    const data = chunks.reduce(concat, new Uint8Array(0)).subarray(0, size);
+    this.record = null;
+
+    if (type === 'L') {
+      this.pending.path = readTarString(data, 0, data.length);
+      return;
+    }
+
+    const values = parsePaxRecords(data);
+    if (values.path) this.pending.path = values.path;
+    if (values.size) this.pending.size = parseInt(values.size);
+    if (values.mtime) this.pending.mtime = Math.floor(parseFloat(values.mtime));
+  }
+}
+
+/**
+ * Read the tar stream's headers; stops reading at the end-of-archive marker
+ */
+async function listTar(stream) {
+  const parser = new TarParser();
+  const reader = stream.getReader();
+
+  try {
+    while (!parser.done) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.write(value);
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+
+  return parser.done || parser.entries.length > 0 ? parser : null;
+}
+
+/**
+ * List a ZIP or tar(.gz) file's entries, or resolve to null when `file`
+ * is not an archive (or cannot be read as one)
+ */
+export async function inspectArchive(file) {
+  try {
+    const format = await detectFormat(file);
+    if (!format || !ARCHIVE_EXTENSIONS[format].test(file.name)) return null;
+
+    const result = format === ListingFormat.ZIP
+      ? await listZip(file)
+      : await listTar(format === ListingFormat.TAR_GZ
+        ? file.stream().pipeThrough(new DecompressionStream('gzip'))
+        : file.stream());
+    if (!result) return null;
+
+    return {
+      version: LISTING_VERSION,
+      format,
+      entries: result.entries,
+      truncated: result.truncated
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether an entry's data can be cut out of the archive on download
+ */
+export function isExtractable(listing, entry) {
+  if (entry.directory || entry.encrypted) return false;
+  return listing.format !== ListingFormat.ZIP || entry.method === ZipMethod.STORE || entry.method === ZipMethod.DEFLATE;
+}
+
+/**
+ * Transform that keeps only a ZIP entry's (compressed) data: it skips to
+ * the entry's local header, reads the name and extra field lengths from
+ * it, and ends after `compressedSize` bytes of data. The rest is still read.
+ */
+function createZipEntrySlice(offset, compressedSize) {
+  let skip = offset;
+  let header = null;
+  let remaining = compressedSize;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      let data = chunk;
+
+      if (skip >= data.length) {
+        skip -= data.length;
+        return;
+      }
+      data = data.subarray(skip);
+      skip = 0;
+
+      // Local header: 30 fixed bytes, then name and extra field
+      if (header !== false) {
+        header = header ? concat(header, data) : data;
+        if (header.length < 30) return;
+
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        if (view.getUint32(0, true) !== 0x04034b50) {
+          throw new Error('Archive entry header not found');
+        }
+        const dataStart = 30 + view.getUint16(26, true) + view.getUint16(28, true);
+        data = header;
+        header = false;
+
+        if (dataStart >= data.length) {
+          skip = dataStart - data.length;
+          return;
+        }
+        data = data.subarray(dataStart);
+      }
+
+      const slice = data.subarray(0, remaining);
+      remaining -= slice.length;
+      if (slice.length > 0) controller.enqueue(slice);
+    }
+  });
+}
+
+/**
+ * One entry's content out of the archive's decrypted byte stream
+ */
+export function extractEntry(plaintext, listing, entry) {
+  if (listing.format === ListingFormat.ZIP) {
+    const data = plaintext.pipeThrough(createZipEntrySlice(entry.offset, entry.compressedSize));
+    return entry.method === ZipMethod.DEFLATE ? data.pipeThrough(new DecompressionStream('deflate-raw')) : data;
+  }
+
+  const tar = listing.format === ListingFormat.TAR_GZ
+    ? plaintext.pipeThrough(new DecompressionStream('gzip'))
+    : plaintext;
+  return tar.pipeThrough(createEntryFilter(entry));
+}
+
+export default {
+  LISTING_VERSION,
+  ListingFormat,
+  MAX_LISTING_ENTRIES,
+  inspectArchive,
+  isExtractable,
+  extractEntry
+};
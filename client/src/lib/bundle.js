@@ -0,0 +1,132 @@
+// Multi-file transfers ("bundles"): the files are stored back to back in one
+// encrypted blob, with a manifest of where each one starts. The manifest is
+// encrypted under the same file key (see encryptManifest in crypto.js).
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Clean a relative path: forward slashes, no empty, `.` or `..` segments
+ */
+export function normalizePath(path) {
+  return String(path || '')
+    .split(/[\\/]+/)
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+    .join('/');
+}
+
+/**
+ * A dropped or picked file's path relative to what the user selected.
+ * react-dropzone sets `relativePath` (e.g. `/photos/a.jpg`); folder
+ * pickers set `webkitRelativePath`.
+ */
+export function getRelativePath(file) {
+  return normalizePath(file.relativePath || file.webkitRelativePath || file.path) || file.name;
+}
+
+/**
+ * Whether a file was selected as part of a folder
+ */
+export function isInFolder(file) {
+  return getRelativePath(file).includes('/');
+}
+
+export function baseName(path) {
+  return path.split('/').pop();
+}
+
+/**
+ * Default name for a bundle: the folder all entries share, or a file count
+ */
+export function getBundleName(entries) {
+  const [first] = entries;
+  const folder = first?.path.includes('/') ? first.path.split('/')[0] : null;
+
+  if (folder && entries.every((entry) => entry.path.startsWith(`${folder}/`))) {
+    return folder;
+  }
+  return `${entries.length} files`;
+}
+
+// `a/b.txt` → `a/b (2).txt`
+function withSuffix(path, n) {
+  const dot = path.lastIndexOf('.');
+  return dot > path.lastIndexOf('/') + 1
+    ? `${path.slice(0, dot)} (${n})${path.slice(dot)}`
+    : `${path} (${n})`;
+}
+
+/**
+ * Join files into one File (Blob parts are not copied) and describe them
+ * in a manifest. Repeated paths get a ` (2)`, ` (3)`, ... suffix.
+ */
+export function createBundle(files) {
+  const entries = [];
+  const paths = new Set();
+  let offset = 0;
+
+  for (const file of files) {
+    const original = getRelativePath(file);
+    let path = original;
+    for (let n = 2; paths.has(path); n++) {
+      path = withSuffix(original, n);
+    }
+    paths.add(path);
+
+    entries.push({
+      path,
+      size: file.size,
+      offset,
+      type: file.type || 'application/octet-stream',
+      lastModified: file.lastModified
+    });
+    offset += file.size;
+  }
+
+  const name = getBundleName(entries);
+  return {
+    name,
+    file: new File(files, name, { type: 'application/octet-stream' }),
+    manifest: { version: MANIFEST_VERSION, entries }
+  };
+}
+
+/**
+ * One entry's bytes out of the whole decrypted bundle
+ */
+export function getEntryBlob(blob, entry) {
+  return blob.slice(entry.offset, entry.offset + entry.size, entry.type);
+}
+
+/**
+ * Transform that keeps only one entry's bytes of a decrypted bundle stream.
+ * The rest is still read, so the whole blob is verified and the download
+ * is counted as complete.
+ */
+export function createEntryFilter(entry) {
+  let position = 0;
+  const end = entry.offset + entry.size;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      const start = Math.max(entry.offset - position, 0);
+      const stop = Math.min(end - position, chunk.byteLength);
+      position += chunk.byteLength;
+
+      if (stop > start) {
+        controller.enqueue(chunk.subarray(start, stop));
+      }
+    }
+  });
+}
+
+export default {
+  MANIFEST_VERSION,
+  normalizePath,
+  getRelativePath,
+  isInFolder,
+  baseName,
+  getBundleName,
+  createBundle,
+  getEntryBlob,
+  createEntryFilter
+};
@@ -0,0 +1,224 @@
+// Transfer blob header and segmented AES-256-GCM streams.
+// Mirrors server/lib/container.js and the segment format in server/lib/encryption.js.
+
+const MAGIC = [0x53, 0x54, 0x50, 0x58]; // "STPX"
+const FIXED_LENGTH = 17;
+const NONCE_LENGTH = 12;
+
+export const CONTAINER_VERSION = 1;
+export const SEGMENT_SIZE = 64 * 1024;
+export const TAG_LENGTH = 16;
+
+const CompressionId = {
+  none: 0,
+  gzip: 1,
+  brotli: 2,
+  zstd: 3,
+  deflate: 4
+};
+
+const CIPHER_AES_256_GCM_SEGMENTED = 1;
+
+/**
+ * Concatenate byte chunks into a single Uint8Array
+ */
+function concatBytes(chunks, length) {
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return result;
+}
+
+/**
+ * Encode a blob header
+ */
+export function encodeHeader({ algorithm, level, segmentSize, iv }) {
+  const header = new Uint8Array(FIXED_LENGTH + iv.length);
+  const view = new DataView(header.buffer);
+
+  header.set(MAGIC, 0);
+  view.setUint8(4, CONTAINER_VERSION);
+  view.setUint16(5, header.length);
+  view.setUint8(7, CompressionId[algorithm]);
+  view.setUint8(8, level);
+  view.setUint8(9, CIPHER_AES_256_GCM_SEGMENTED);
+  view.setUint32(10, segmentSize);
+  view.setUint16(14, 0);
+  view.setUint8(16, iv.length);
+  header.set(iv, FIXED_LENGTH);
+
+  return header;
+}
+
+/**
+ * Check whether bytes start with the blob header magic
+ */
+export function hasHeader(bytes) {
+  return bytes.length >= MAGIC.length && MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Decode a blob header. Returns null for headerless (legacy) blobs.
+ */
+export function decodeHeader(bytes) {
+  if (!hasHeader(bytes)) {
+    return null;
+  }
+
+  if (bytes.length < FIXED_LENGTH) {
+    throw new Error('Blob header is truncated');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint8(4);
+  if (version > CONTAINER_VERSION) {
+    throw new Error(`Unsupported container version: ${version}`);
+  }
+
+  const headerLength = view.getUint16(5);
+  const ivLength = view.getUint8(16);
+  if (headerLength < FIXED_LENGTH + ivLength || bytes.length < headerLength) {
+    throw new Error('Blob header is truncated');
+  }
+
+  const algorithm = Object.keys(CompressionId).find((name) => CompressionId[name] === view.getUint8(7));
+  if (!algorithm) {
+    throw new Error(`Unknown compression algorithm id: ${view.getUint8(7)}`);
+  }
+
+  if (view.getUint8(9) !== CIPHER_AES_256_GCM_SEGMENTED) {
+    throw new Error(`Unknown cipher id: ${view.getUint8(9)}`);
+  }
+
+  return {
+    version,
+    headerLength,
+    algorithm,
+    level: view.getUint8(8),
+    segmentSize: view.getUint32(10),
+    iv: bytes.slice(FIXED_LENGTH, FIXED_LENGTH + ivLength),
+    // Authenticated with every segment
+    raw: bytes.slice(0, headerLength)
+  };
+}
+
+/**
+ * Derive the nonce for one segment: the first 12 bytes of the IV
+ * with the segment counter XORed into the last 4 bytes
+ */
+export function deriveSegmentNonce(iv, index) {
+  const nonce = iv.slice(0, NONCE_LENGTH);
+  const view = new DataView(nonce.buffer);
+  view.setUint32(NONCE_LENGTH - 4, (view.getUint32(NONCE_LENGTH - 4) ^ index) >>> 0);
+  return nonce;
+}
+
+/**
+ * Associated data for a segment: the header plus the final-segment flag
+ */
+function segmentAad(header, final) {
+  const aad = new Uint8Array(header.length + 1);
+  aad.set(header, 0);
+  aad[header.length] = final ? 1 : 0;
+  return aad;
+}
+
+/**
+ * TransformStream that cuts its input into fixed-size segments. The last
+ * segment is held back until flush so it can be flagged as final.
+ */
+function createSegmentTransform(segmentSize, processSegment) {
+  let pending = [];
+  let pendingLength = 0;
+  let index = 0;
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      pending.push(chunk);
+      pendingLength += chunk.byteLength;
+
+      if (pendingLength <= segmentSize) {
+        return;
+      }
+
+      const data = concatBytes(pending, pendingLength);
+      let offset = 0;
+
+      while (data.length - offset > segmentSize) {
+        controller.enqueue(await processSegment(data.subarray(offset, offset + segmentSize), index++, false));
+        offset += segmentSize;
+      }
+
+      pending = [data.subarray(offset)];
+      pendingLength = data.length - offset;
+    },
+
+    async flush(controller) {
+      controller.enqueue(await processSegment(concatBytes(pending, pendingLength), index++, true));
+    }
+  });
+}
+
+/**
+ * Create a TransformStream that encrypts plaintext into authenticated segments
+ */
+export function createEncryptTransform(key, iv, header, segmentSize = SEGMENT_SIZE) {
+  return createSegmentTransform(segmentSize, async (plaintext, index, final) => {
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: deriveSegmentNonce(iv, index), additionalData: segmentAad(header, final) },
+      key,
+      plaintext
+    );
+    return new Uint8Array(ciphertext);
+  });
+}
+
+/**
+ * Create a TransformStream that verifies and decrypts authenticated segments.
+ * A tampered, reordered or truncated stream errors instead of ending cleanly.
+ */
+export function createDecryptTransform(key, header) {
+  return createSegmentTransform(header.segmentSize + TAG_LENGTH, async (segment, index, final) => {
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: deriveSegmentNonce(header.iv, index), additionalData: segmentAad(header.raw, final) },
+        key,
+        segment
+      );
+      return new Uint8Array(plaintext);
+    } catch {
+      throw new Error(`Segment ${index} failed authentication (corrupted, wrong key or truncated download)`);
+    }
+  });
+}
+
+/**
+ * Create a decompression TransformStream for the algorithm in the header
+ */
+export function createDecompressTransform(algorithm) {
+  if (algorithm === 'none') {
+    return new TransformStream();
+  }
+
+  try {
+    return new DecompressionStream(algorithm);
+  } catch {
+    throw new Error(`${algorithm} decompression is not supported by this browser`);
+  }
+}
+
+export default {
+  CONTAINER_VERSION,
+  SEGMENT_SIZE,
+  TAG_LENGTH,
+  encodeHeader,
+  hasHeader,
+  decodeHeader,
+  deriveSegmentNonce,
+  createEncryptTransform,
+  createDecryptTransform,
+  createDecompressTransform
+};
@@ -0,0 +1,119 @@
+// Decide whether a file is worth compressing before it is encrypted.
+// Mirrors analyzeContent / analyzeFile in server/lib/compression.js.
+
+export const CompressionMode = {
+  COMPRESS: 'compress',
+  STORE: 'store'
+};
+
+// Entropy is estimated on a few blocks spread over the file
+const SAMPLE_BLOCK_SIZE = 16 * 1024;
+const SAMPLE_BLOCKS = 4;
+
+// Below this many bytes an entropy estimate says nothing useful
+const MIN_ENTROPY_SAMPLE = 1024;
+
+// Bits per byte above which compression gains next to nothing
+const ENTROPY_THRESHOLD = 7.5;
+
+// Formats that are already compressed (or encrypted), by their magic bytes
+const INCOMPRESSIBLE_SIGNATURES = [
+  { format: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { format: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { format: 'webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+  { format: 'mp4', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+  { format: 'matroska', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { format: 'ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { format: 'flac', bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { format: 'mp3', bytes: [0x49, 0x44, 0x33] },
+  { format: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { format: 'gzip', bytes: [0x1f, 0x8b] },
+  { format: 'bzip2', bytes: [0x42, 0x5a, 0x68] },
+  { format: 'xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { format: 'zstd', bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { format: '7z', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { format: 'rar', bytes: [0x52, 0x61, 0x72, 0x21] },
+  { format: 'transfer blob', bytes: [0x53, 0x54, 0x50, 0x58] }
+];
+
+/**
+ * Name the incompressible format the bytes start with, if any
+ */
+export function detectFormat(head) {
+  const match = INCOMPRESSIBLE_SIGNATURES.find(({ bytes, offset = 0 }) =>
+    head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte)
+  );
+  return match ? match.format : null;
+}
+
+/**
+ * Shannon entropy of a block in bits per byte (0 = constant, 8 = random)
+ */
+export function estimateEntropy(block) {
+  if (block.length === 0) return 0;
+
+  const counts = new Uint32Array(256);
+  for (const byte of block) {
+    counts[byte]++;
+  }
+
+  let entropy = 0;
+  for (const count of counts) {
+    if (count === 0) continue;
+    const p = count / block.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Decide from the first bytes (magic number) and sampled blocks (entropy).
+ * Returns `{ mode, reason, format, entropy }`.
+ */
+export function analyzeContent(head, blocks) {
+  const format = detectFormat(head);
+  if (format) {
+    return { mode: CompressionMode.STORE, reason: `Already compressed (${format})`, format, entropy: null };
+  }
+
+  const sampled = blocks.filter((block) => block.length >= MIN_ENTROPY_SAMPLE);
+  if (sampled.length === 0) {
+    return { mode: CompressionMode.COMPRESS, reason: 'Too small to sample', format: null, entropy: null };
+  }
+
+  // Every block has to look random; one compressible block is enough to compress
+  const entropy = Math.min(...sampled.map(estimateEntropy));
+  const rounded = parseFloat(entropy.toFixed(2));
+
+  if (entropy > ENTROPY_THRESHOLD) {
+    return { mode: CompressionMode.STORE, reason: `High entropy (${rounded} bits/byte)`, format: null, entropy: rounded };
+  }
+  return { mode: CompressionMode.COMPRESS, reason: `Compressible (${rounded} bits/byte)`, format: null, entropy: rounded };
+}
+
+/**
+ * analyzeContent for a File, sampling blocks across the whole file
+ */
+export async function analyzeFile(file) {
+  const read = async (start, length) => new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+
+  const head = await read(0, SAMPLE_BLOCK_SIZE);
+  if (file.size <= SAMPLE_BLOCK_SIZE * SAMPLE_BLOCKS) {
+    return analyzeContent(head, [await read(0, file.size)]);
+  }
+
+  const stride = Math.floor((file.size - SAMPLE_BLOCK_SIZE) / (SAMPLE_BLOCKS - 1));
+  const blocks = await Promise.all(
+    Array.from({ length: SAMPLE_BLOCKS }, (_, i) => read(i * stride, SAMPLE_BLOCK_SIZE))
+  );
+  return analyzeContent(head, blocks);
+}
+
+export default {
+  CompressionMode,
+  detectFormat,
+  estimateEntropy,
+  analyzeContent,
+  analyzeFile
+};
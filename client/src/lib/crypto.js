@@ -0,0 +1,569 @@
+// Browser-side compression and encryption (WebCrypto + CompressionStream)
+
+import {
+  SEGMENT_SIZE,
+  encodeHeader,
+  hasHeader,
+  decodeHeader,
+  createEncryptTransform,
+  createDecryptTransform,
+  createDecompressTransform
+} from './container';
+import { CompressionMode, analyzeFile } from './contentAnalysis';
+import { scrypt } from './scrypt';
+import { Sha256, createHashTap } from './sha256';
+
+// Encryption configuration
+const ALGORITHM = 'AES-GCM';
+const KEY_LENGTH = 256;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 32;
+
+// CompressionStream has no level option; browsers use the library default
+export const BROWSER_COMPRESSION_LEVEL = 6;
+
+// Magic (4), version (1) and header length (2)
+const HEADER_PREFIX_LENGTH = 7;
+
+// Associated data of bundle manifests, archive listings and plaintext digests
+// (see the server's encryption.js)
+const MANIFEST_AAD = new TextEncoder().encode('STPX manifest');
+const LISTING_AAD = new TextEncoder().encode('STPX listing');
+const DIGEST_AAD = new TextEncoder().encode('STPX digest');
+
+// Password-wrapped keys: scrypt(password, salt) yields 64 bytes. The first 32
+// wrap the file key (AES-KW, as the server's wrapKey); the last 32 are the
+// access key the server checks instead of the password, which it never sees.
+const PASSWORD_KEYS_LENGTH = 64;
+
+// Recipient keys: the file key is wrapped the same way under HKDF-SHA256 of an
+// X25519 exchange between a one-off ephemeral key and the recipient's key
+// (see the server's wrapKeyForRecipient)
+const X25519 = { name: 'X25519' };
+const RECIPIENT_KEY_INFO = new TextEncoder().encode('STPX recipient key');
+
+// Sender signatures: Ed25519 over a statement of the plaintext's SHA-256,
+// filename, size and signing time, sealed under the file key (see the
+// server's encodeStatement)
+const ED25519 = { name: 'Ed25519' };
+const STATEMENT_VERSION = 1;
+const SIGNATURE_AAD = new TextEncoder().encode('STPX signature');
+
+/**
+ * Convert an ArrayBuffer or typed array to a hex string
+ */
+export function bufferToHex(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a hex string to a Uint8Array
+ */
+export function hexToBuffer(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Generate random bytes as a hex string
+ */
+export function randomHex(length) {
+  return bufferToHex(crypto.getRandomValues(new Uint8Array(length)));
+}
+
+/**
+ * Generate a random AES-256-GCM file key
+ */
+export async function generateFileKey() {
+  return crypto.subtle.generateKey(
+    { name: ALGORITHM, length: KEY_LENGTH },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Export a file key as hex (for the URL fragment)
+ */
+export async function exportKey(key) {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  return bufferToHex(raw);
+}
+
+/**
+ * Import a hex file key
+ */
+export async function importKey(hex) {
+  return crypto.subtle.importKey(
+    'raw',
+    hexToBuffer(hex),
+    { name: ALGORITHM },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Decompress gzip data into a Blob
+ */
+export async function decompressToBlob(data, type = 'application/octet-stream') {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+  const decompressed = await new Response(stream).arrayBuffer();
+  return new Blob([decompressed], { type });
+}
+
+/**
+ * Audio and video are already compressed; they are stored uncompressed so
+ * plaintext offsets map straight to segments and playback can seek
+ */
+export function isMediaType(mimeType) {
+  return !!mimeType && (mimeType.startsWith('video/') || mimeType.startsWith('audio/'));
+}
+
+/**
+ * Whether this browser's CompressionStream supports the algorithm
+ * (gzip everywhere; zstd only in newer browsers)
+ */
+export function isCompressionSupported(algorithm) {
+  try {
+    new CompressionStream(algorithm);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compress and encrypt a file in the browser into the segmented
+ * container format (header + authenticated segments).
+ * Already-compressed or random-looking files (and `algorithm` 'none') are
+ * stored uncompressed; `compressionMode` and `compressionReason` in the result say which happened.
+ * Passing the `{ key, iv, salt }` of an earlier run reproduces its ciphertext,
+ * which lets an interrupted upload continue after a reload - provided the
+ * file and the compressor are unchanged. Callers must check that the result
+ * is the same ciphertext before sending any of it, since a different one
+ * under the same key and IV gives away both plaintexts.
+ * The plaintext is hashed on the way through (`plaintextHash`).
+ */
+export async function encryptFile(file, onStage = () => {}, keyMaterial = null, algorithm = 'gzip') {
+  onStage('encrypting');
+  const key = keyMaterial ? await importKey(keyMaterial.key) : await generateFileKey();
+  const iv = keyMaterial ? hexToBuffer(keyMaterial.iv) : crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  let analysis;
+  if (isMediaType(file.type)) {
+    analysis = { mode: CompressionMode.STORE, reason: 'Media is stored uncompressed for seeking' };
+  } else if (algorithm === 'none') {
+    analysis = { mode: CompressionMode.STORE, reason: 'Requested none' };
+  } else {
+    analysis = await analyzeFile(file);
+  }
+  const compressor = analysis.mode === CompressionMode.STORE ? 'none' : algorithm;
+  const header = encodeHeader({
+    algorithm: compressor,
+    level: compressor === 'none' ? 0 : BROWSER_COMPRESSION_LEVEL,
+    segmentSize: SEGMENT_SIZE,
+    iv
+  });
+
+  const hash = new Sha256();
+  const source = file.stream().pipeThrough(createHashTap(hash));
+  const plaintext = compressor === 'none'
+    ? source
+    : source.pipeThrough(new CompressionStream(compressor));
+  const body = plaintext.pipeThrough(createEncryptTransform(key, iv, header));
+  const segments = await new Response(body).blob();
+
+  return {
+    ciphertext: new Blob([header, segments], { type: 'application/octet-stream' }),
+    key: keyMaterial ? keyMaterial.key : await exportKey(key),
+    iv: bufferToHex(iv),
+    salt: keyMaterial ? keyMaterial.salt : randomHex(SALT_LENGTH),
+    compressionMode: analysis.mode,
+    compressionReason: analysis.reason,
+    plaintextHash: hash.digest()
+  };
+}
+
+/**
+ * Legacy browser uploads: one GCM pass over the gzip data, no header
+ */
+async function decryptLegacy(ciphertext, key, ivHex, type) {
+  const compressed = await crypto.subtle.decrypt(
+    { name: ALGORITHM, iv: hexToBuffer(ivHex) },
+    key,
+    ciphertext
+  );
+  return decompressToBlob(compressed, type);
+}
+
+/**
+ * Decrypt and decompress a downloaded ciphertext into a Blob,
+ * dispatching on the blob header
+ */
+export async function decryptFile(ciphertext, keyHex, ivHex, type, onStage = () => {}) {
+  onStage('decrypting');
+  const key = await importKey(keyHex);
+  const bytes = new Uint8Array(ciphertext);
+  const header = decodeHeader(bytes);
+
+  if (!header) {
+    return decryptLegacy(bytes, key, ivHex, type);
+  }
+
+  const body = new Blob([bytes.subarray(header.headerLength)]).stream()
+    .pipeThrough(createDecryptTransform(key, header))
+    .pipeThrough(createDecompressTransform(header.algorithm));
+  const plaintext = await new Response(body).arrayBuffer();
+
+  return new Blob([plaintext], { type });
+}
+
+/**
+ * Read the blob header off the front of a ciphertext stream.
+ * Returns the header and a stream of the remaining (segment) bytes.
+ */
+async function readStreamHeader(ciphertext) {
+  const reader = ciphertext.getReader();
+  let buffered = new Uint8Array(0);
+
+  const fill = async (length) => {
+    while (buffered.length < length) {
+      const { done, value } = await reader.read();
+      if (done) throw new Error('Blob header is truncated');
+      const next = new Uint8Array(buffered.length + value.byteLength);
+      next.set(buffered, 0);
+      next.set(value, buffered.length);
+      buffered = next;
+    }
+  };
+
+  // Magic, version and header length come first
+  await fill(HEADER_PREFIX_LENGTH);
+  if (!hasHeader(buffered)) {
+    throw new Error('Legacy transfers cannot be stream-decrypted');
+  }
+  await fill(new DataView(buffered.buffer).getUint16(5));
+
+  const header = decodeHeader(buffered);
+  const rest = buffered.subarray(header.headerLength);
+
+  const body = new ReadableStream({
+    start(controller) {
+      if (rest.length > 0) controller.enqueue(rest);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+
+  return { header, body };
+}
+
+/**
+ * Decrypt and decompress a ciphertext stream as it arrives, so files of any
+ * size can be written to disk without being held in memory.
+ * A tampered or truncated stream errors instead of ending cleanly.
+ */
+export async function decryptStream(ciphertext, keyHex) {
+  const key = await importKey(keyHex);
+  const { header, body } = await readStreamHeader(ciphertext);
+
+  return body
+    .pipeThrough(createDecryptTransform(key, header))
+    .pipeThrough(createDecompressTransform(header.algorithm));
+}
+
+// Seal a JSON value under the file key: hex of nonce | ciphertext | tag
+async function sealJSON(value, keyHex, additionalData) {
+  const key = await importKey(keyHex);
+  const nonce = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const encrypted = await crypto.subtle.encrypt(
+    { name: ALGORITHM, iv: nonce, additionalData },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return bufferToHex(nonce) + bufferToHex(encrypted);
+}
+
+async function openJSON(encryptedHex, keyHex, additionalData) {
+  const key = await importKey(keyHex);
+  const data = hexToBuffer(encryptedHex);
+  const decrypted = await crypto.subtle.decrypt(
+    { name: ALGORITHM, iv: data.subarray(0, IV_LENGTH), additionalData },
+    key,
+    data.subarray(IV_LENGTH)
+  );
+  return JSON.parse(new TextDecoder().decode(decrypted));
+}
+
+/**
+ * Encrypt a bundle manifest under the file key: hex of nonce | ciphertext | tag
+ */
+export async function encryptManifest(manifest, keyHex) {
+  return sealJSON(manifest, keyHex, MANIFEST_AAD);
+}
+
+/**
+ * Decrypt a bundle manifest; fails on a wrong key or a tampered manifest
+ */
+export async function decryptManifest(encryptedHex, keyHex) {
+  return openJSON(encryptedHex, keyHex, MANIFEST_AAD);
+}
+
+/**
+ * Encrypt an archive listing under the file key, like a manifest
+ */
+export async function encryptListing(listing, keyHex) {
+  return sealJSON(listing, keyHex, LISTING_AAD);
+}
+
+/**
+ * Decrypt an archive listing; fails on a wrong key or a tampered listing
+ */
+export async function decryptListing(encryptedHex, keyHex) {
+  return openJSON(encryptedHex, keyHex, LISTING_AAD);
+}
+
+/**
+ * Derive the key-wrapping key and the server access key (hex) from a
+ * password and the transfer's salt
+ */
+export async function derivePasswordKeys(password, saltHex) {
+  const derived = await scrypt(new TextEncoder().encode(password), hexToBuffer(saltHex), PASSWORD_KEYS_LENGTH);
+  return {
+    wrappingKey: derived.subarray(0, PASSWORD_KEYS_LENGTH / 2),
+    accessKey: bufferToHex(derived.subarray(PASSWORD_KEYS_LENGTH / 2))
+  };
+}
+
+async function importWrappingKey(wrappingKey, usage) {
+  return crypto.subtle.importKey('raw', wrappingKey, { name: 'AES-KW' }, false, [usage]);
+}
+
+/**
+ * Wrap a hex file key under a password-derived wrapping key; returns hex
+ */
+export async function wrapFileKey(keyHex, wrappingKey) {
+  const key = await crypto.subtle.importKey('raw', hexToBuffer(keyHex), { name: ALGORITHM }, true, ['encrypt', 'decrypt']);
+  const wrapped = await crypto.subtle.wrapKey('raw', key, await importWrappingKey(wrappingKey, 'wrapKey'), 'AES-KW');
+  return bufferToHex(wrapped);
+}
+
+/**
+ * Unwrap a wrapped file key into hex; fails on a wrong password
+ */
+export async function unwrapFileKey(wrappedHex, wrappingKey) {
+  const key = await crypto.subtle.unwrapKey(
+    'raw',
+    hexToBuffer(wrappedHex),
+    await importWrappingKey(wrappingKey, 'unwrapKey'),
+    'AES-KW',
+    { name: ALGORITHM },
+    true,
+    ['encrypt', 'decrypt']
+  );
+  return exportKey(key);
+}
+
+/**
+ * Whether this browser's WebCrypto supports X25519 (needed for recipient keys)
+ */
+export async function isX25519Supported() {
+  try {
+    await crypto.subtle.generateKey(X25519, false, ['deriveBits']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generate a recipient key pair; the private key cannot be exported,
+ * so it never leaves this browser's key store
+ */
+export async function generateRecipientKeyPair() {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(X25519, false, ['deriveBits']);
+  return {
+    publicKey: bufferToHex(await crypto.subtle.exportKey('raw', publicKey)),
+    privateKey
+  };
+}
+
+// HKDF over the X25519 shared secret, salted with both public keys
+async function deriveRecipientWrappingKey(privateKey, peerKey, ephemeralKey, recipientKey) {
+  const shared = await crypto.subtle.deriveBits(
+    { name: 'X25519', public: await crypto.subtle.importKey('raw', peerKey, X25519, false, []) },
+    privateKey,
+    256
+  );
+  const salt = new Uint8Array(ephemeralKey.length + recipientKey.length);
+  salt.set(ephemeralKey, 0);
+  salt.set(recipientKey, ephemeralKey.length);
+
+  const hkdfKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: RECIPIENT_KEY_INFO },
+    hkdfKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Wrap a hex file key to a recipient's hex X25519 public key.
+ * Returns the hex `ephemeralKey` and `wrappedKey` the recipient unwraps with.
+ */
+export async function wrapKeyForRecipient(keyHex, publicKeyHex) {
+  const recipientKey = hexToBuffer(publicKeyHex);
+  const ephemeral = await crypto.subtle.generateKey(X25519, false, ['deriveBits']);
+  const ephemeralKey = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+
+  const wrappingKey = await deriveRecipientWrappingKey(ephemeral.privateKey, recipientKey, ephemeralKey, recipientKey);
+  return {
+    ephemeralKey: bufferToHex(ephemeralKey),
+    wrappedKey: await wrapFileKey(keyHex, wrappingKey)
+  };
+}
+
+/**
+ * Unwrap a recipient's copy of a file key (`{ ephemeralKey, wrappedKey }`)
+ * with their key pair from the key store; returns the hex file key
+ */
+export async function unwrapKeyAsRecipient({ ephemeralKey, wrappedKey }, { privateKey, publicKey }) {
+  const ephemeral = hexToBuffer(ephemeralKey);
+  const wrappingKey = await deriveRecipientWrappingKey(privateKey, ephemeral, ephemeral, hexToBuffer(publicKey));
+  return unwrapFileKey(wrappedKey, wrappingKey);
+}
+
+/**
+ * Whether this browser's WebCrypto supports Ed25519 (needed for signing)
+ */
+export async function isEd25519Supported() {
+  try {
+    await crypto.subtle.generateKey(ED25519, false, ['sign', 'verify']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generate a signing key pair; like recipient keys, the private key cannot be exported
+ */
+export async function generateSigningKeyPair() {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(ED25519, false, ['sign', 'verify']);
+  return {
+    publicKey: bufferToHex(await crypto.subtle.exportKey('raw', publicKey)),
+    privateKey
+  };
+}
+
+/**
+ * A public key's fingerprint for people to compare: the first 64 bits
+ * of its SHA-256, in groups of four hex digits
+ */
+export async function getKeyFingerprint(publicKeyHex) {
+  const digest = bufferToHex(await crypto.subtle.digest('SHA-256', hexToBuffer(publicKeyHex)));
+  return digest.slice(0, 16).match(/.{4}/g).join(' ');
+}
+
+// The signed bytes: JSON with a fixed key order, byte for byte as the server encodes it
+function encodeStatement({ version, sha256, filename, size, signedAt }) {
+  return new TextEncoder().encode(JSON.stringify({ version, sha256, filename, size, signedAt }));
+}
+
+/**
+ * Sign the plaintext's hex `sha256`, `filename` and `size` as of now.
+ * Returns `{ statement, signature }` with the hex signature.
+ */
+export async function signStatement({ sha256, filename, size }, privateKey) {
+  const statement = { version: STATEMENT_VERSION, sha256, filename, size, signedAt: new Date().toISOString() };
+  const signature = await crypto.subtle.sign(ED25519, privateKey, encodeStatement(statement));
+  return { statement, signature: bufferToHex(signature) };
+}
+
+/**
+ * Check a `{ statement, signature }` against the signer's hex public key
+ */
+export async function verifyStatement({ statement, signature }, publicKeyHex) {
+  const publicKey = await crypto.subtle.importKey('raw', hexToBuffer(publicKeyHex), ED25519, false, ['verify']);
+  return crypto.subtle.verify(ED25519, publicKey, hexToBuffer(signature), encodeStatement(statement));
+}
+
+/**
+ * Seal a signed statement under the file key; it carries the plaintext hash,
+ * which only those with the key should see
+ */
+export async function encryptSignature(signed, keyHex) {
+  return sealJSON(signed, keyHex, SIGNATURE_AAD);
+}
+
+/**
+ * Open a sealed signed statement; fails on a wrong key or tampering
+ */
+export async function decryptSignature(encryptedHex, keyHex) {
+  return openJSON(encryptedHex, keyHex, SIGNATURE_AAD);
+}
+
+/**
+ * Seal the plaintext digest (`{ sha256, size }`) under the file key, for
+ * downloads to be checked against
+ */
+export async function encryptDigest(digest, keyHex) {
+  return sealJSON(digest, keyHex, DIGEST_AAD);
+}
+
+/**
+ * Open a sealed plaintext digest; fails on a wrong key or tampering
+ */
+export async function decryptDigest(encryptedHex, keyHex) {
+  return openJSON(encryptedHex, keyHex, DIGEST_AAD);
+}
+
+export default {
+  bufferToHex,
+  hexToBuffer,
+  randomHex,
+  generateFileKey,
+  exportKey,
+  importKey,
+  decompressToBlob,
+  isMediaType,
+  isCompressionSupported,
+  BROWSER_COMPRESSION_LEVEL,
+  encryptFile,
+  decryptFile,
+  decryptStream,
+  encryptManifest,
+  decryptManifest,
+  encryptListing,
+  decryptListing,
+  derivePasswordKeys,
+  wrapFileKey,
+  unwrapFileKey,
+  isX25519Supported,
+  generateRecipientKeyPair,
+  wrapKeyForRecipient,
+  unwrapKeyAsRecipient,
+  isEd25519Supported,
+  generateSigningKeyPair,
+  getKeyFingerprint,
+  signStatement,
+  verifyStatement,
+  encryptSignature,
+  decryptSignature,
+  encryptDigest,
+  decryptDigest
+};
@@ -0,0 +1,105 @@
+// Key pairs kept in IndexedDB: recipient (X25519) and signing (Ed25519) keys,
+// plus the signers' public keys this browser trusts. Private keys are
+// non-extractable CryptoKeys: this browser can use them, but nothing can read
+// them out. They live apart from upload state, which is cleared far more casually.
+
+const DB_NAME = 'secure-transfer-keys';
+const DB_VERSION = 2;
+const KEY_PAIRS = 'keys';
+const SIGNING_KEYS = 'signingKeys';
+const TRUSTED_KEYS = 'trustedKeys';
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore(KEY_PAIRS, { keyPath: 'id' });
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(SIGNING_KEYS, { keyPath: 'id' });
+        db.createObjectStore(TRUSTED_KEYS, { keyPath: 'publicKey' });
+      }
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(name, mode, fn) {
+  const db = await openDatabase();
+  return promisify(fn(db.transaction(name, mode).objectStore(name)));
+}
+
+/**
+ * Store a key pair under its directory ID:
+ * `{ id, name, publicKey (hex), privateKey (CryptoKey), createdAt }`
+ */
+export async function saveKeyPair(record) {
+  await withStore(KEY_PAIRS, 'readwrite', (store) => store.put(record));
+}
+
+export async function getKeyPairs() {
+  return withStore(KEY_PAIRS, 'readonly', (store) => store.getAll());
+}
+
+export async function deleteKeyPair(id) {
+  await withStore(KEY_PAIRS, 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Store a signing key pair, shaped like a recipient key pair; its ID is
+ * the fingerprint of its public key
+ */
+export async function saveSigningKey(record) {
+  await withStore(SIGNING_KEYS, 'readwrite', (store) => store.put(record));
+}
+
+export async function getSigningKeys() {
+  return withStore(SIGNING_KEYS, 'readonly', (store) => store.getAll());
+}
+
+export async function deleteSigningKey(id) {
+  await withStore(SIGNING_KEYS, 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Pin a signer's public key under a name of the user's choosing:
+ * `{ publicKey (hex), name, fingerprint, trustedAt }`
+ */
+export async function trustKey(record) {
+  await withStore(TRUSTED_KEYS, 'readwrite', (store) => store.put(record));
+}
+
+export async function getTrustedKeys() {
+  return withStore(TRUSTED_KEYS, 'readonly', (store) => store.getAll());
+}
+
+export async function untrustKey(publicKey) {
+  await withStore(TRUSTED_KEYS, 'readwrite', (store) => store.delete(publicKey));
+}
+
+export default {
+  saveKeyPair,
+  getKeyPairs,
+  deleteKeyPair,
+  saveSigningKey,
+  getSigningKeys,
+  deleteSigningKey,
+  trustKey,
+  getTrustedKeys,
+  untrustKey
+};
@@ -0,0 +1,202 @@
+// Chunk trees of stored blobs (see the server's merkle.js): fixed-size chunks
+// hashed into a Merkle tree, leaf = SHA-256(0x00 | chunk) and
+// node = SHA-256(0x01 | left | right), an odd node carried up unchanged.
+// Downloads check the ciphertext chunk by chunk and fetch only damaged
+// chunks again.
+
+import { bufferToHex, hexToBuffer } from './crypto';
+
+// Same chunk size as the server's
+export const CHUNK_SIZE = 1024 * 1024;
+
+// Fetches of one damaged or interrupted chunk, 1s apart, then 2s, ...
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function sha256(...parts) {
+  const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+export function hashLeaf(chunk) {
+  return sha256(new Uint8Array([0x00]), chunk);
+}
+
+export function hashNode(left, right) {
+  return sha256(new Uint8Array([0x01]), left, right);
+}
+
+/**
+ * Hex root of a tree over `leaves` (Uint8Arrays)
+ */
+export async function computeRoot(leaves) {
+  if (leaves.length === 0) return bufferToHex(await sha256());
+
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? await hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+  return bufferToHex(level[0]);
+}
+
+/**
+ * Hex root of the chunk tree of a blob, as the server will compute it
+ */
+export async function computeBlobRoot(blob, chunkSize = CHUNK_SIZE) {
+  const leaves = [];
+  for (let offset = 0; offset < blob.size; offset += chunkSize) {
+    const chunk = new Uint8Array(await blob.slice(offset, offset + chunkSize).arrayBuffer());
+    leaves.push(await hashLeaf(chunk));
+  }
+  return computeRoot(leaves);
+}
+
+/**
+ * Take a transfer's chunk tree (`{ chunkSize, leaves, size }` from /chunks),
+ * whose leaves must add up to `merkleRoot`
+ */
+export async function loadTree({ chunkSize, leaves, size }, merkleRoot) {
+  const tree = { chunkSize, size, leaves: leaves.map(hexToBuffer) };
+  if (await computeRoot(tree.leaves) !== merkleRoot) {
+    throw new Error('Chunk hashes do not match the transfer');
+  }
+  return tree;
+}
+
+async function matchesLeaf(chunk, leaf) {
+  const hash = await hashLeaf(chunk);
+  return hash.length === leaf.length && hash.every((byte, i) => byte === leaf[i]);
+}
+
+function corruptChunkError(index) {
+  const error = new Error(`Chunk ${index} of the stored file is damaged and could not be fetched intact`);
+  error.code = 'ECHUNK';
+  error.chunk = index;
+  return error;
+}
+
+function concat(parts, length) {
+  const data = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return data;
+}
+
+/**
+ * Read a stored blob as a stream of verified chunks.
+ * `fetchRange(start, end)` returns the Response for bytes `start`..`end`
+ * (inclusive; to the end of the blob without `end`). The blob is read in
+ * one request; a chunk that fails its leaf hash is fetched again on its own,
+ * and after a dropped connection, reading resumes from the next chunk.
+ * Errors once a chunk cannot be fetched intact.
+ */
+export function createVerifiedStream(fetchRange, { chunkSize, leaves }, { retries = MAX_RETRIES } = {}) {
+  let index = 0;
+  let reader = null;
+  let buffered = new Uint8Array(0);
+
+  const open = async (start) => {
+    buffered = new Uint8Array(0);
+    reader = (await fetchRange(start)).body.getReader();
+  };
+
+  const drop = () => {
+    reader?.cancel().catch(() => {});
+    reader = null;
+  };
+
+  // Up to `length` bytes from the open response; fewer once it has ended
+  const read = async (length) => {
+    const parts = [];
+    let size = 0;
+    let next = buffered;
+    buffered = new Uint8Array(0);
+
+    for (;;) {
+      if (next.length > 0) {
+        const take = next.subarray(0, length - size);
+        parts.push(take);
+        size += take.length;
+        buffered = next.subarray(take.length);
+      }
+      if (size === length) break;
+      const { done, value } = await reader.read();
+      if (done) break;
+      next = value;
+    }
+    return concat(parts, size);
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (index === leaves.length) {
+        drop();
+        controller.close();
+        return;
+      }
+
+      const last = index === leaves.length - 1;
+      const start = index * chunkSize;
+
+      // The last chunk runs to the end of the blob, so trailing bytes fail it too
+      try {
+        if (!reader) await open(start);
+        const chunk = await read(last ? Infinity : chunkSize);
+        if ((last || chunk.length === chunkSize) && await matchesLeaf(chunk, leaves[index])) {
+          controller.enqueue(chunk);
+          index++;
+          return;
+        }
+        // Cut short: the rest is fetched afresh from the next chunk on
+        if (!last && chunk.length < chunkSize) drop();
+      } catch {
+        drop();
+      }
+
+      for (let attempt = 0; attempt < retries; attempt++) {
+        await delay(RETRY_DELAY * 2 ** attempt);
+        try {
+          const response = await fetchRange(start, last ? undefined : start + chunkSize - 1);
+          const chunk = new Uint8Array(await response.arrayBuffer());
+          if (await matchesLeaf(chunk, leaves[index])) {
+            controller.enqueue(chunk);
+            index++;
+            return;
+          }
+        } catch {
+          // Try again
+        }
+      }
+      drop();
+      throw corruptChunkError(index);
+    },
+
+    cancel(reason) {
+      return reader?.cancel(reason);
+    }
+  });
+}
+
+export default {
+  CHUNK_SIZE,
+  hashLeaf,
+  hashNode,
+  computeRoot,
+  computeBlobRoot,
+  loadTree,
+  createVerifiedStream
+};
@@ -0,0 +1,115 @@
+// Seekable in-browser playback of end-to-end encrypted media.
+// The service worker (public/download-sw.js) answers the media element's
+// range requests by fetching and decrypting only the segments they cover.
+
+import { decodeHeader } from './container';
+import { getServiceWorker } from './saveTarget';
+
+const PLAY_PREFIX = '/__play/';
+
+// Enough for the fixed header fields plus the longest IV
+const HEADER_PROBE_LENGTH = 17 + 255;
+
+// The browser stops idle workers after about 30 seconds, dropping registrations
+const KEEPALIVE_INTERVAL = 20 * 1000;
+
+// How long to wait for the worker to take control of a freshly loaded page
+const CONTROLLER_TIMEOUT = 5 * 1000;
+
+/**
+ * Whether encrypted media can be decrypted for playback in this browser
+ */
+export function canPlayInBrowser() {
+  return 'serviceWorker' in navigator && window.isSecureContext;
+}
+
+async function waitForController() {
+  if (navigator.serviceWorker.controller) return;
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error('In-browser playback needs a normal page reload to start'));
+    }, CONTROLLER_TIMEOUT);
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+async function fetchHeader(streamUrl, password) {
+  const response = await fetch(streamUrl, {
+    headers: {
+      Range: `bytes=0-${HEADER_PROBE_LENGTH - 1}`,
+      ...(password ? { 'X-Transfer-Password': password } : {})
+    }
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    // Same shape as an axios error, for the error handling in Download.jsx
+    throw Object.assign(new Error(data.error || 'Playback failed'), {
+      response: { status: response.status, data }
+    });
+  }
+
+  const header = decodeHeader(new Uint8Array(await response.arrayBuffer()));
+  if (!header || header.algorithm !== 'none') {
+    throw new Error('This transfer is not stored in a seekable format');
+  }
+  return header;
+}
+
+/**
+ * Register an encrypted media transfer with the service worker.
+ * Returns the URL to give a <video> or <audio> element, and `release`
+ * to call once the player is gone.
+ */
+export async function openPlayback({ streamUrl, key, password, size, mimeType }) {
+  const header = await fetchHeader(streamUrl, password);
+  const worker = await getServiceWorker();
+  await waitForController();
+
+  const id = crypto.randomUUID();
+  const registration = {
+    type: 'register-playback',
+    id,
+    streamUrl,
+    keyHex: key,
+    password,
+    size,
+    mimeType,
+    header: {
+      raw: header.raw,
+      iv: header.iv,
+      segmentSize: header.segmentSize,
+      headerLength: header.headerLength
+    }
+  };
+
+  const channel = new MessageChannel();
+  const ready = new Promise((resolve) => {
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      resolve();
+    };
+  });
+  worker.postMessage(registration, [channel.port2]);
+  await ready;
+
+  const keepalive = setInterval(() => worker.postMessage(registration), KEEPALIVE_INTERVAL);
+
+  return {
+    url: `${PLAY_PREFIX}${id}`,
+    release() {
+      clearInterval(keepalive);
+      worker.postMessage({ type: 'release-playback', id });
+    }
+  };
+}
+
+export default {
+  canPlayInBrowser,
+  openPlayback
+};
@@ -0,0 +1,124 @@
+// Writable destinations on disk for streamed downloads
+
+const SERVICE_WORKER_URL = '/download-sw.js';
+const SERVICE_WORKER_PREFIX = '/__download/';
+
+// How long the hidden download frame is kept after the stream closes
+const FRAME_CLEANUP_DELAY = 60 * 1000;
+
+/**
+ * Ask the user where to save, via the File System Access API.
+ * Must be called from a user gesture. Aborting the returned stream
+ * discards the partial file.
+ */
+async function openFileSystemTarget(filename) {
+  const handle = await window.showSaveFilePicker({ suggestedName: filename });
+  return handle.createWritable();
+}
+
+/**
+ * Register the download/playback service worker and wait until it is active
+ */
+export async function getServiceWorker() {
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  const worker = registration.installing || registration.waiting || registration.active;
+
+  if (worker.state !== 'activated') {
+    await new Promise((resolve) => {
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'activated') resolve();
+      });
+    });
+  }
+  return worker;
+}
+
+/**
+ * Stream into a download handled by the service worker: the worker answers
+ * a request for a hidden frame with a response fed through a MessageChannel.
+ * Each chunk waits for the worker to pull, so memory use stays flat.
+ */
+async function openServiceWorkerTarget(filename, mimeType, size) {
+  const worker = await getServiceWorker();
+  const channel = new MessageChannel();
+  const port = channel.port1;
+  const id = crypto.randomUUID();
+
+  let credits = 0;
+  let waiting = null;
+  let cancelled = null;
+
+  const ready = new Promise((resolve) => {
+    port.onmessage = ({ data }) => {
+      if (data.type === 'ready') {
+        resolve();
+      } else if (data.type === 'pull') {
+        credits++;
+        waiting?.();
+      } else if (data.type === 'cancel') {
+        cancelled = new DOMException('Download was cancelled', 'AbortError');
+        waiting?.();
+      }
+    };
+  });
+
+  worker.postMessage({ type: 'register-download', id, filename, mimeType, size }, [channel.port2]);
+  await ready;
+
+  const frame = document.createElement('iframe');
+  frame.hidden = true;
+  frame.src = `${SERVICE_WORKER_PREFIX}${id}`;
+  document.body.appendChild(frame);
+
+  const cleanup = () => {
+    setTimeout(() => frame.remove(), FRAME_CLEANUP_DELAY);
+    port.close();
+  };
+
+  return new WritableStream({
+    async write(chunk) {
+      while (credits === 0 && !cancelled) {
+        await new Promise((resolve) => { waiting = resolve; });
+      }
+      if (cancelled) throw cancelled;
+
+      credits--;
+      // Copy so only this chunk's bytes are transferred
+      const copy = chunk.slice();
+      port.postMessage({ type: 'chunk', chunk: copy }, [copy.buffer]);
+    },
+    close() {
+      port.postMessage({ type: 'close' });
+      cleanup();
+    },
+    abort(reason) {
+      port.postMessage({ type: 'abort', message: reason?.message || 'Download failed' });
+      cleanup();
+    }
+  });
+}
+
+/**
+ * Whether decrypted downloads can be streamed to disk in this browser
+ */
+export function canStreamToDisk() {
+  return 'showSaveFilePicker' in window || ('serviceWorker' in navigator && window.isSecureContext);
+}
+
+/**
+ * Open a WritableStream that saves to disk, preferring the File System
+ * Access API and falling back to a service-worker download.
+ * Call from a user gesture; the save picker needs one.
+ */
+export async function openSaveTarget({ filename, mimeType, size }) {
+  if ('showSaveFilePicker' in window) {
+    return { writable: await openFileSystemTarget(filename), method: 'file-system-access' };
+  }
+  return { writable: await openServiceWorkerTarget(filename, mimeType, size), method: 'service-worker' };
+}
+
+export default {
+  getServiceWorker,
+  canStreamToDisk,
+  openSaveTarget
+};
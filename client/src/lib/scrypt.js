@@ -0,0 +1,108 @@
+// scrypt (RFC 7914) for deriving password keys; WebCrypto only has PBKDF2,
+// which scrypt uses for its first and last steps
+
+// Same parameters as the server's deriveKeyFromPassword (Node's defaults)
+export const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+const rotl = (a, b) => (a << b) | (a >>> (32 - b));
+
+/**
+ * Salsa20/8 core, applied in place to 16 words of `B`
+ */
+function salsa20_8(B, x) {
+  x.set(B);
+
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+    x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+    x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+    x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+    x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+    x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+    x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+    x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+    x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+    x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+    x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+    x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+    x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+    x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+    x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+    x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+  }
+
+  for (let i = 0; i < 16; i++) B[i] = (B[i] + x[i]) | 0;
+}
+
+/**
+ * BlockMix of the 2r 64-byte blocks in `B` into `Y`; `X` and `x` are scratch
+ */
+function blockMix(B, Y, r, X, x) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let j = 0; j < 16; j++) X[j] ^= B[i * 16 + j];
+    salsa20_8(X, x);
+    // Even blocks go to the first half, odd ones to the second
+    Y.set(X, (i % 2) * r * 16 + (i >> 1) * 16);
+  }
+}
+
+/**
+ * ROMix over one 128r-byte block of words
+ */
+function roMix(B, N, r) {
+  const words = 32 * r;
+  const V = new Int32Array(words * N);
+  const Y = new Int32Array(words);
+  const X = new Int32Array(16);
+  const x = new Int32Array(16);
+
+  for (let i = 0; i < N; i++) {
+    V.set(B, i * words);
+    blockMix(B, Y, r, X, x);
+    B.set(Y);
+  }
+  for (let i = 0; i < N; i++) {
+    // Integerify: the first word of the last 64-byte block, mod N (a power of two)
+    const j = B[(2 * r - 1) * 16] & (N - 1);
+    for (let k = 0; k < words; k++) B[k] ^= V[j * words + k];
+    blockMix(B, Y, r, X, x);
+    B.set(Y);
+  }
+}
+
+async function pbkdf2(password, salt, length) {
+  const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: 1 },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Derive `length` bytes from a password and salt (both bytes).
+ * Uses 128 * r * N bytes of memory (16 MB with the default parameters).
+ */
+export async function scrypt(password, salt, length, { N, r, p } = SCRYPT_PARAMS) {
+  const blockSize = 128 * r;
+  const bytes = await pbkdf2(password, salt, p * blockSize);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < p; i++) {
+    // Words are little-endian regardless of the platform
+    const B = new Int32Array(blockSize / 4);
+    for (let k = 0; k < B.length; k++) B[k] = view.getInt32(i * blockSize + k * 4, true);
+    roMix(B, N, r);
+    for (let k = 0; k < B.length; k++) view.setInt32(i * blockSize + k * 4, B[k], true);
+  }
+
+  return pbkdf2(password, bytes, length);
+}
+
+export default {
+  SCRYPT_PARAMS,
+  scrypt
+};
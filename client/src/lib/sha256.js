@@ -0,0 +1,172 @@
+// Incremental SHA-256 (FIPS 180-4). WebCrypto only digests whole buffers,
+// but plaintexts are hashed as they stream through encryption and decryption.
+
+const K = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+const BLOCK_SIZE = 64;
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+export class Sha256 {
+  constructor() {
+    this.state = new Int32Array(INITIAL_STATE);
+    this.block = new Uint8Array(BLOCK_SIZE);
+    this.blockLength = 0;
+    this.bytes = 0;
+    this.w = new Int32Array(64);
+  }
+
+  /**
+   * Compress one 64-byte block from `data` at `offset`
+   */
+  compress(data, offset) {
+    const { w, state } = this;
+
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const a = w[i - 15];
+      const b = w[i - 2];
+      const s0 = rotr(a, 7) ^ rotr(a, 18) ^ (a >>> 3);
+      const s1 = rotr(b, 17) ^ rotr(b, 19) ^ (b >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+    state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+  }
+
+  update(chunk) {
+    const data = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    let offset = 0;
+    this.bytes += data.length;
+
+    // Top up a partial block first, then compress whole blocks in place
+    if (this.blockLength > 0) {
+      const take = Math.min(BLOCK_SIZE - this.blockLength, data.length);
+      this.block.set(data.subarray(0, take), this.blockLength);
+      this.blockLength += take;
+      offset = take;
+      if (this.blockLength < BLOCK_SIZE) return this;
+      this.compress(this.block, 0);
+      this.blockLength = 0;
+    }
+    for (; offset + BLOCK_SIZE <= data.length; offset += BLOCK_SIZE) {
+      this.compress(data, offset);
+    }
+    this.block.set(data.subarray(offset), 0);
+    this.blockLength = data.length - offset;
+    return this;
+  }
+
+  /**
+   * Finish and return the hex digest; the hash cannot be updated afterwards
+   */
+  digest() {
+    const bits = this.bytes * 8;
+    const padding = new Uint8Array((this.blockLength < 56 ? 64 : 128) - this.blockLength);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, Math.floor(bits / 2 ** 32));
+    view.setUint32(padding.length - 4, bits >>> 0);
+    this.update(padding);
+
+    return Array.from(this.state, (word) => (word >>> 0).toString(16).padStart(8, '0')).join('');
+  }
+}
+
+/**
+ * Pass-through stream that feeds every chunk into `hash` (a Sha256)
+ */
+export function createHashTap(hash) {
+  return new TransformStream({
+    transform(chunk, controller) {
+      hash.update(chunk);
+      controller.enqueue(chunk);
+    }
+  });
+}
+
+/**
+ * Error for plaintext that does not hash to the digest recorded at upload
+ */
+export function integrityError(expected, actual) {
+  const error = new Error(`Downloaded file does not match its recorded SHA-256 (expected ${expected}, got ${actual})`);
+  error.code = 'EINTEGRITY';
+  return error;
+}
+
+/**
+ * Pass-through stream that checks everything it sees against the hex SHA-256
+ * `expected`. The latest chunk is held back until the next one arrives, so on
+ * a mismatch the stream errors before the end of the file is released.
+ */
+export function createHashVerifier(expected) {
+  const hash = new Sha256();
+  let held = null;
+  return new TransformStream({
+    transform(chunk, controller) {
+      hash.update(chunk);
+      if (held) controller.enqueue(held);
+      held = chunk;
+    },
+    flush(controller) {
+      const actual = hash.digest();
+      if (actual !== expected) {
+        controller.error(integrityError(expected, actual));
+        return;
+      }
+      if (held) controller.enqueue(held);
+    }
+  });
+}
+
+/**
+ * Hex SHA-256 of a whole stream (e.g. a Blob's)
+ */
+export async function hashStream(stream) {
+  const hash = new Sha256();
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return hash.digest();
+    hash.update(value);
+  }
+}
+
+export default {
+  Sha256,
+  createHashTap,
+  integrityError,
+  createHashVerifier,
+  hashStream
+};
@@ -0,0 +1,72 @@
+// Upload session state persisted in IndexedDB, so uploads survive a reload
+
+import { bufferToHex } from './crypto';
+
+const DB_NAME = 'secure-transfer';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploads';
+
+// Bytes hashed from each end of a file for its fingerprint
+const FINGERPRINT_SAMPLE_SIZE = 1024 * 1024;
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  return promisify(fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+}
+
+/**
+ * Identify a file without keeping it: name, size, modification time
+ * and a SHA-256 over its first and last megabyte
+ */
+export async function fingerprintFile(file) {
+  const head = file.slice(0, FINGERPRINT_SAMPLE_SIZE);
+  const tail = file.slice(Math.max(FINGERPRINT_SAMPLE_SIZE, file.size - FINGERPRINT_SAMPLE_SIZE));
+  const meta = new TextEncoder().encode(`${file.name}\n${file.size}\n${file.lastModified}\n`);
+  const sample = await new Blob([meta, head, tail]).arrayBuffer();
+  return bufferToHex(await crypto.subtle.digest('SHA-256', sample));
+}
+
+/**
+ * Insert or replace an upload record (keyed by `id`)
+ */
+export async function saveUpload(record) {
+  await withStore('readwrite', (store) => store.put(record));
+}
+
+export async function getAllUploads() {
+  return withStore('readonly', (store) => store.getAll());
+}
+
+export async function deleteUpload(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+}
+
+export default {
+  fingerprintFile,
+  saveUpload,
+  getAllUploads,
+  deleteUpload
+};
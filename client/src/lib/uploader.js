@@ -0,0 +1,807 @@
+// Chunked upload queue on top of the resumable upload session API
+
+import axios from 'axios';
+import {
+  encryptFile,
+  encryptManifest,
+  encryptListing,
+  derivePasswordKeys,
+  wrapFileKey,
+  wrapKeyForRecipient,
+  signStatement,
+  encryptSignature,
+  encryptDigest,
+  bufferToHex,
+  isCompressionSupported,
+  BROWSER_COMPRESSION_LEVEL
+} from './crypto';
+import { fingerprintFile, saveUpload, getAllUploads, deleteUpload } from './uploadStore';
+import { createBundle } from './bundle';
+import { inspectArchive } from './archiveListing';
+import { computeBlobRoot } from './merkle';
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const PARALLEL_CHUNKS = 3;
+const MAX_ACTIVE_UPLOADS = 2;
+
+// Retry with exponential backoff: 1s, 2s, 4s, ... capped at 30s
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// Preflight samples: slices spread over the file, as the server planner expects
+const SAMPLE_SLICE_SIZE = 64 * 1024;
+const SAMPLE_SLICES = 4;
+
+/**
+ * Compression options that ask the server planner to choose the algorithm,
+ * as opposed to naming one ('gzip', 'zstd')
+ */
+export const CompressionGoal = {
+  BALANCED: 'balanced',
+  SMALLEST: 'smallest',
+  FASTEST: 'fastest'
+};
+
+export function isCompressionGoal(value) {
+  return Object.values(CompressionGoal).includes(value);
+}
+
+export const UploadStatus = {
+  READY: 'ready',
+  QUEUED: 'queued',
+  ENCRYPTING: 'encrypting',
+  UPLOADING: 'uploading',
+  FINALIZING: 'finalizing',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  // Restored after a reload; waiting for the user to select the file again
+  INTERRUPTED: 'interrupted'
+};
+
+const ACTIVE_STATUSES = [UploadStatus.ENCRYPTING, UploadStatus.UPLOADING, UploadStatus.FINALIZING];
+
+/**
+ * Delay that rejects early when the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+function getRetryDelay(attempt) {
+  const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Network errors, timeouts, rate limits, server errors and checksum
+ * mismatches (422) are worth another attempt; other 4xx are not
+ */
+function isRetryable(err) {
+  const status = err.response?.status;
+  return !status || status === 408 || status === 422 || status === 429 || status >= 500;
+}
+
+function getErrorMessage(err) {
+  return err.response?.data?.message || err.response?.data?.error || err.message || 'Upload failed';
+}
+
+async function sha256Hex(blob) {
+  return bufferToHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+}
+
+/**
+ * Evenly spaced slices of a file, joined into one small Blob
+ */
+function sampleFile(file) {
+  if (file.size <= SAMPLE_SLICE_SIZE * SAMPLE_SLICES) {
+    return file.slice(0, file.size);
+  }
+
+  const stride = Math.floor((file.size - SAMPLE_SLICE_SIZE) / (SAMPLE_SLICES - 1));
+  return new Blob(Array.from({ length: SAMPLE_SLICES }, (_, i) =>
+    file.slice(i * stride, i * stride + SAMPLE_SLICE_SIZE)
+  ));
+}
+
+/**
+ * One file: encrypt in the browser, upload the ciphertext in parallel
+ * chunks through an upload session, then complete the session.
+ * Session state is mirrored to IndexedDB until the upload finishes.
+ * A bundle task's file is several files joined, described by `manifest`.
+ */
+export class UploadTask {
+  constructor(file, { apiUrl, onChange, manifest = null }) {
+    this.id = crypto.randomUUID();
+    this.file = file;
+    this.name = file.name;
+    this.size = file.size;
+    this.manifest = manifest;
+    // Entries of a ZIP or tar upload, read before it is encrypted
+    this.listing = null;
+    this.apiUrl = apiUrl;
+    this.onChange = onChange;
+    this.options = {};
+    // Compression picked for this file, and the preflight estimate behind it
+    this.algorithm = null;
+    this.estimate = null;
+    this.pendingGoal = null;
+
+    this.status = UploadStatus.READY;
+    this.error = null;
+    this.result = null;
+
+    this.fingerprint = null;
+    this.keyMaterial = null;
+    this.encrypted = null;
+    // Chunk tree root of the ciphertext the session was created for
+    this.ciphertextRoot = null;
+    // Why a restored upload cannot be continued (see abandon)
+    this.abandoned = null;
+    this.totalBytes = 0;
+    this.sessionId = null;
+    this.expiresAt = null;
+    this.chunkSize = CHUNK_SIZE;
+    this.chunkHashes = {};
+    this.verifyChunks = false;
+    this.received = new Set();
+    this.inFlight = new Map();
+    this.controller = null;
+  }
+
+  /**
+   * Rebuild a task from its IndexedDB record. It has no file until
+   * the user selects the same one again (see UploadQueue.reattach).
+   */
+  static fromRecord(record, options) {
+    const task = new UploadTask({ name: record.name, size: record.size }, options);
+    Object.assign(task, {
+      id: record.id,
+      file: null,
+      status: UploadStatus.INTERRUPTED,
+      fingerprint: record.fingerprint,
+      keyMaterial: { key: record.key, iv: record.iv, salt: record.salt },
+      // Re-creating the same ciphertext needs the same compression
+      algorithm: record.compression,
+      ciphertextRoot: record.ciphertextRoot,
+      totalBytes: record.totalBytes,
+      sessionId: record.sessionId,
+      expiresAt: record.expiresAt,
+      chunkSize: record.chunkSize,
+      chunkHashes: record.chunkHashes,
+      // The ciphertext gets re-created, so stored chunks are checked against it
+      verifyChunks: true
+    });
+    return task;
+  }
+
+  toRecord() {
+    return {
+      id: this.id,
+      name: this.name,
+      size: this.size,
+      fingerprint: this.fingerprint,
+      key: this.encrypted.key,
+      iv: this.encrypted.iv,
+      salt: this.encrypted.salt,
+      compression: this.algorithm,
+      ciphertextRoot: this.ciphertextRoot,
+      totalBytes: this.totalBytes,
+      sessionId: this.sessionId,
+      expiresAt: this.expiresAt,
+      chunkSize: this.chunkSize,
+      chunkHashes: this.chunkHashes
+    };
+  }
+
+  persist() {
+    // A bundle cannot be re-selected after a reload, so there is nothing to resume
+    if (this.manifest) return;
+    saveUpload(this.toRecord()).catch((err) => console.warn('Could not save upload state:', err));
+  }
+
+  forget() {
+    deleteUpload(this.id).catch((err) => console.warn('Could not remove upload state:', err));
+  }
+
+  get totalChunks() {
+    return Math.max(1, Math.ceil(this.totalBytes / this.chunkSize));
+  }
+
+  /**
+   * Ciphertext bytes confirmed by the server plus bytes of chunks in flight
+   */
+  get bytesUploaded() {
+    if (this.status === UploadStatus.COMPLETED) return this.totalBytes;
+    let bytes = 0;
+    for (const index of this.received) {
+      bytes += Math.min(this.chunkSize, this.totalBytes - index * this.chunkSize);
+    }
+    for (const loaded of this.inFlight.values()) {
+      bytes += loaded;
+    }
+    return bytes;
+  }
+
+  get progress() {
+    if (this.status === UploadStatus.COMPLETED) return 100;
+    if (!this.totalBytes) return 0;
+    return Math.min(99, Math.floor((this.bytesUploaded / this.totalBytes) * 100));
+  }
+
+  snapshot() {
+    return {
+      id: this.id,
+      name: this.name,
+      size: this.size,
+      entryCount: this.manifest ? this.manifest.entries.length : null,
+      status: this.status,
+      progress: this.progress,
+      bytesUploaded: this.bytesUploaded,
+      totalBytes: this.totalBytes || this.size,
+      error: this.error,
+      result: this.result,
+      estimate: this.estimate,
+      estimating: !!this.pendingGoal
+    };
+  }
+
+  setStatus(status, error = null) {
+    this.status = status;
+    this.error = error;
+    this.onChange();
+  }
+
+  /**
+   * Ask the server to plan compression for `goal` from a sample of the file.
+   * The sample leaves the browser unencrypted; only its size estimate and
+   * the chosen algorithm come back. Failures just leave no estimate.
+   */
+  async preflight(goal) {
+    if (!this.file || this.pendingGoal === goal || this.estimate?.goal === goal) return;
+
+    const algorithms = ['gzip', 'zstd'].filter(isCompressionSupported);
+    const formData = new FormData();
+    formData.append('size', this.file.size);
+    formData.append('mimeType', this.file.type || 'application/octet-stream');
+    formData.append('goal', goal);
+    formData.append('algorithms', algorithms.join(','));
+    formData.append('levels', BROWSER_COMPRESSION_LEVEL);
+    formData.append('sample', sampleFile(this.file), this.name);
+
+    this.pendingGoal = goal;
+    this.onChange();
+    let estimate = null;
+    try {
+      const response = await axios.post(`${this.apiUrl}/api/upload/preflight`, formData);
+      estimate = response.data;
+    } catch (err) {
+      console.warn('Preflight failed:', getErrorMessage(err));
+    }
+
+    // A newer goal was asked for in the meantime
+    if (this.pendingGoal !== goal) return;
+    this.pendingGoal = null;
+    this.estimate = estimate;
+    this.onChange();
+  }
+
+  /**
+   * The algorithm to encrypt with: the named one, or the preflight plan's
+   * for a goal (gzip when there is no plan)
+   */
+  resolveAlgorithm() {
+    const { compression } = this.options;
+    if (!isCompressionGoal(compression)) return compression;
+    return this.estimate?.goal === compression ? this.estimate.plan.algorithm : 'gzip';
+  }
+
+  /**
+   * Run (or continue) the upload. Resolves once the task has stopped,
+   * whether it completed, failed, or was paused or cancelled.
+   */
+  async run() {
+    this.controller = new AbortController();
+    const { signal } = this.controller;
+
+    try {
+      if (this.abandoned) {
+        throw new Error(this.abandoned);
+      }
+
+      if (!this.encrypted) {
+        this.setStatus(UploadStatus.ENCRYPTING);
+        this.fingerprint ??= await fingerprintFile(this.file);
+        this.algorithm ??= this.resolveAlgorithm();
+        if (!this.manifest) this.listing ??= await inspectArchive(this.file);
+        this.encrypted = await encryptFile(this.file, undefined, this.keyMaterial, this.algorithm);
+        this.totalBytes = this.encrypted.ciphertext.size;
+        signal.throwIfAborted();
+      }
+
+      if (this.sessionId) {
+        await this.syncSession(signal);
+      }
+      if (!this.sessionId) {
+        await this.createSession(signal);
+      }
+
+      this.setStatus(UploadStatus.UPLOADING);
+      await this.uploadChunks(signal);
+
+      this.setStatus(UploadStatus.FINALIZING);
+      const response = await axios.post(
+        `${this.apiUrl}/api/upload/sessions/${this.sessionId}/complete`,
+        { totalChunks: this.totalChunks },
+        { signal }
+      );
+
+      // The key stays in the browser; it only ends up in the share link,
+      // unless it was wrapped under the password or to recipients
+      const { keyWrapped, recipients } = response.data.transfer;
+      this.result = {
+        ...response.data,
+        decryptionKey: keyWrapped || recipients?.length ? null : this.encrypted.key
+      };
+      this.encrypted = null;
+      this.forget();
+      this.setStatus(UploadStatus.COMPLETED);
+
+    } catch (err) {
+      this.inFlight.clear();
+      if (this.status === UploadStatus.PAUSED || this.status === UploadStatus.CANCELLED) {
+        // Stopped by pause() / cancel(), which already set the status
+        this.onChange();
+        return;
+      }
+      console.error('Upload error:', err);
+      this.setStatus(UploadStatus.FAILED, getErrorMessage(err));
+    }
+  }
+
+  /**
+   * With `protectKey`, the file key is wrapped under the password and the
+   * server gets a key derived from it in place of the password itself
+   */
+  async getPasswordFields() {
+    const { password, protectKey } = this.options;
+    if (!password) return {};
+    if (!protectKey) return { password };
+
+    const { wrappingKey, accessKey } = await derivePasswordKeys(password, this.encrypted.salt);
+    return {
+      password: accessKey,
+      wrappedKey: await wrapFileKey(this.encrypted.key, wrappingKey)
+    };
+  }
+
+  /**
+   * With `recipients` (key directory entries), the file key is wrapped to
+   * each one's public key; the server never sees it
+   */
+  async getRecipientFields() {
+    const { recipients } = this.options;
+    if (!recipients?.length) return {};
+
+    return {
+      recipientKeys: await Promise.all(recipients.map(async (recipient) => ({
+        keyId: recipient.id,
+        ...await wrapKeyForRecipient(this.encrypted.key, recipient.publicKey)
+      })))
+    };
+  }
+
+  /**
+   * With `signingKey` (a signing key pair from the key store), the plaintext's
+   * hash, name and size are signed; the statement is sealed under the file key
+   */
+  async getSignatureFields() {
+    const { signingKey } = this.options;
+    if (!signingKey) return {};
+
+    const signed = await signStatement({
+      sha256: this.encrypted.plaintextHash,
+      filename: this.file.name,
+      size: this.file.size
+    }, signingKey.privateKey);
+    return {
+      signerKey: signingKey.publicKey,
+      sealedSignature: await encryptSignature(signed, this.encrypted.key)
+    };
+  }
+
+  async createSession(signal) {
+    const { expiresIn, maxDownloads } = this.options;
+    this.ciphertextRoot = await computeBlobRoot(this.encrypted.ciphertext);
+    const response = await axios.post(`${this.apiUrl}/api/upload/sessions`, {
+      filename: this.file.name,
+      mimeType: this.file.type || 'application/octet-stream',
+      chunkSize: CHUNK_SIZE,
+      clientEncrypted: true,
+      iv: this.encrypted.iv,
+      salt: this.encrypted.salt,
+      originalSize: this.file.size,
+      compressionReason: this.getCompressionReason(),
+      ...(this.manifest && {
+        manifest: await encryptManifest(this.manifest, this.encrypted.key),
+        entryCount: this.manifest.entries.length
+      }),
+      ...(this.listing && {
+        archiveListing: await encryptListing(this.listing, this.encrypted.key),
+        archiveEntryCount: this.listing.entries.length
+      }),
+      // Downloads check the decrypted plaintext against this
+      plaintextDigest: await encryptDigest({
+        sha256: this.encrypted.plaintextHash,
+        size: this.file.size
+      }, this.encrypted.key),
+      // The server checks the assembled blob against this
+      merkleRoot: this.ciphertextRoot,
+      ...await this.getPasswordFields(),
+      ...await this.getRecipientFields(),
+      ...await this.getSignatureFields(),
+      expiresIn: expiresIn || undefined,
+      maxDownloads: maxDownloads || undefined
+    }, { signal });
+
+    this.sessionId = response.data.sessionId;
+    this.chunkSize = response.data.chunkSize;
+    this.expiresAt = response.data.expiresAt;
+    this.chunkHashes = {};
+    this.received.clear();
+    this.persist();
+  }
+
+  /**
+   * The plan's reason when the file was stored the way it planned,
+   * otherwise what the browser's own analysis decided
+   */
+  getCompressionReason() {
+    const plan = this.estimate?.plan;
+    if (plan && plan.algorithm === this.algorithm && plan.mode === this.encrypted.compressionMode) {
+      return plan.reason;
+    }
+    return this.encrypted.compressionReason;
+  }
+
+  /**
+   * Drop a restored upload that cannot be continued, together with its
+   * session and saved state. Its key material must not encrypt anything
+   * else, and the transfer options only lived in the session, so it cannot
+   * start over either: the task keeps failing with `message`.
+   */
+  abandon(message) {
+    axios.delete(`${this.apiUrl}/api/upload/sessions/${this.sessionId}`).catch(() => {});
+    this.forget();
+    this.keyMaterial = null;
+    this.encrypted = null;
+    this.abandoned = message;
+    return new Error(message);
+  }
+
+  /**
+   * Ask the server which chunks it already has; an expired or
+   * unknown session is dropped so a new one gets created.
+   * A restored upload only continues if the re-created ciphertext is the
+   * very same: anything else under the stored key and IV would leave the
+   * server two different ciphertexts under one nonce.
+   */
+  async syncSession(signal) {
+    let receivedChunks;
+    try {
+      const response = await axios.get(`${this.apiUrl}/api/upload/sessions/${this.sessionId}`, { signal });
+      receivedChunks = response.data.receivedChunks;
+    } catch (err) {
+      const status = err.response?.status;
+      if (status !== 404 && status !== 410) throw err;
+
+      if (this.verifyChunks) {
+        throw this.abandon('The upload session has expired. Please upload the file again.');
+      }
+      this.sessionId = null;
+      this.received.clear();
+      return;
+    }
+
+    if (!this.verifyChunks) {
+      this.received = new Set(receivedChunks);
+      return;
+    }
+
+    // The whole ciphertext, since the file may have changed where no
+    // fingerprint looks, and compressors may change between browser versions
+    if (await computeBlobRoot(this.encrypted.ciphertext) !== this.ciphertextRoot) {
+      throw this.abandon('The file has changed since this upload started. Please upload it again.');
+    }
+
+    // Skip the chunks sent before; one sent without its hash being saved
+    // goes again, byte for byte the same
+    this.received = new Set();
+    for (const index of receivedChunks) {
+      const expected = this.chunkHashes[index];
+      if (index >= this.totalChunks || (expected && expected !== await sha256Hex(this.getChunk(index)))) {
+        throw this.abandon('The file has changed since this upload started. Please upload it again.');
+      }
+      if (expected) this.received.add(index);
+    }
+    this.verifyChunks = false;
+  }
+
+  async uploadChunks(signal) {
+    const pending = [];
+    for (let i = 0; i < this.totalChunks; i++) {
+      if (!this.received.has(i)) pending.push(i);
+    }
+
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        await this.uploadChunkWithRetry(pending[next++], signal);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(PARALLEL_CHUNKS, pending.length) }, worker));
+    } catch (err) {
+      // Stop the other workers too
+      this.controller.abort(err);
+      throw err;
+    }
+  }
+
+  async uploadChunkWithRetry(index, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.uploadChunk(index, signal);
+      } catch (err) {
+        this.inFlight.delete(index);
+        if (signal.aborted || !isRetryable(err) || attempt >= MAX_RETRIES) {
+          throw err;
+        }
+        await wait(getRetryDelay(attempt), signal);
+      }
+    }
+  }
+
+  getChunk(index) {
+    const start = index * this.chunkSize;
+    return this.encrypted.ciphertext.slice(start, start + this.chunkSize);
+  }
+
+  async uploadChunk(index, signal) {
+    const chunk = this.getChunk(index);
+    const hash = await sha256Hex(chunk);
+
+    await axios.put(`${this.apiUrl}/api/upload/sessions/${this.sessionId}/chunks/${index}`, chunk, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Chunk-SHA256': hash
+      },
+      signal,
+      onUploadProgress: (progressEvent) => {
+        this.inFlight.set(index, progressEvent.loaded);
+        this.onChange();
+      }
+    });
+
+    this.inFlight.delete(index);
+    this.received.add(index);
+    this.chunkHashes[index] = hash;
+    this.persist();
+    this.onChange();
+  }
+
+  pause() {
+    if (this.status === UploadStatus.QUEUED) {
+      this.setStatus(UploadStatus.PAUSED);
+    } else if (ACTIVE_STATUSES.includes(this.status) && this.status !== UploadStatus.FINALIZING) {
+      this.setStatus(UploadStatus.PAUSED);
+      this.controller.abort();
+    }
+  }
+
+  cancel() {
+    if ([UploadStatus.COMPLETED, UploadStatus.CANCELLED, UploadStatus.FINALIZING].includes(this.status)) {
+      return;
+    }
+
+    const wasActive = ACTIVE_STATUSES.includes(this.status);
+    this.setStatus(UploadStatus.CANCELLED);
+    if (wasActive) this.controller.abort();
+
+    if (this.sessionId) {
+      axios.delete(`${this.apiUrl}/api/upload/sessions/${this.sessionId}`).catch(() => {});
+      this.sessionId = null;
+    }
+    this.forget();
+    this.encrypted = null;
+    this.totalBytes = 0;
+    this.received.clear();
+  }
+}
+
+/**
+ * Queue of upload tasks. At most MAX_ACTIVE_UPLOADS files upload at once;
+ * `onChange` receives a fresh snapshot of every task after each change.
+ */
+export class UploadQueue {
+  constructor({ apiUrl, onChange = () => {} }) {
+    this.apiUrl = apiUrl;
+    this.onChange = onChange;
+    this.tasks = [];
+    this.restored = false;
+  }
+
+  notify() {
+    this.onChange(this.tasks.map((task) => task.snapshot()));
+  }
+
+  add(files) {
+    for (const file of files) {
+      this.tasks.push(new UploadTask(file, { apiUrl: this.apiUrl, onChange: () => this.notify() }));
+    }
+    this.notify();
+  }
+
+  get(id) {
+    return this.tasks.find((task) => task.id === id);
+  }
+
+  /**
+   * Load unfinished uploads saved by an earlier page load (once)
+   */
+  async restore() {
+    if (this.restored) return;
+    this.restored = true;
+
+    let records;
+    try {
+      records = await getAllUploads();
+    } catch (err) {
+      console.warn('Could not load saved uploads:', err);
+      return;
+    }
+
+    for (const record of records) {
+      if (record.expiresAt && new Date(record.expiresAt) < new Date()) {
+        deleteUpload(record.id).catch(() => {});
+      } else if (!this.get(record.id)) {
+        this.tasks.push(UploadTask.fromRecord(record, { apiUrl: this.apiUrl, onChange: () => this.notify() }));
+      }
+    }
+    this.notify();
+  }
+
+  /**
+   * Give an interrupted upload its file back and continue it,
+   * provided the file matches the stored fingerprint
+   */
+  async reattach(id, file) {
+    const task = this.get(id);
+    if (!task || task.status !== UploadStatus.INTERRUPTED) return;
+
+    if (await fingerprintFile(file) !== task.fingerprint) {
+      task.setStatus(UploadStatus.INTERRUPTED, `That is not the same file. Please select "${task.name}".`);
+      return;
+    }
+
+    task.file = file;
+    task.error = null;
+    task.status = UploadStatus.QUEUED;
+    this.pump();
+  }
+
+  /**
+   * Fetch compression estimates for every task not started yet
+   */
+  preflight(goal) {
+    for (const task of this.tasks) {
+      if (task.status === UploadStatus.READY) {
+        task.preflight(goal);
+      }
+    }
+  }
+
+  /**
+   * Replace the tasks not started yet with one task that uploads all of
+   * their files as a single transfer, planned like its largest file
+   */
+  bundleReady() {
+    const ready = this.tasks.filter((task) => task.status === UploadStatus.READY);
+    if (ready.length < 2) return;
+
+    const { file, manifest } = createBundle(ready.map((task) => task.file));
+    const task = new UploadTask(file, { apiUrl: this.apiUrl, onChange: () => this.notify(), manifest });
+    task.estimate = ready.reduce((largest, t) => (t.size > largest.size ? t : largest)).estimate;
+
+    this.tasks = [...this.tasks.filter((t) => !ready.includes(t)), task];
+  }
+
+  /**
+   * Queue every task that has not been started yet, with the given transfer
+   * options; with `bundle`, they go out as one transfer
+   */
+  startAll(options, { bundle = false } = {}) {
+    if (bundle) {
+      this.bundleReady();
+    }
+    for (const task of this.tasks) {
+      if (task.status === UploadStatus.READY) {
+        task.options = options;
+        task.status = UploadStatus.QUEUED;
+      }
+    }
+    this.pump();
+  }
+
+  /**
+   * Start queued tasks while there is capacity
+   */
+  pump() {
+    let active = this.tasks.filter((task) => ACTIVE_STATUSES.includes(task.status)).length;
+
+    for (const task of this.tasks) {
+      if (active >= MAX_ACTIVE_UPLOADS) break;
+      if (task.status !== UploadStatus.QUEUED) continue;
+
+      active++;
+      task.run().then(() => this.pump());
+    }
+    this.notify();
+  }
+
+  pause(id) {
+    this.get(id)?.pause();
+    this.pump();
+  }
+
+  /**
+   * Continue a paused task, or retry a failed one from the chunks the server has
+   */
+  resume(id) {
+    const task = this.get(id);
+    if (task && [UploadStatus.PAUSED, UploadStatus.FAILED].includes(task.status)) {
+      task.status = UploadStatus.QUEUED;
+      this.pump();
+    }
+  }
+
+  cancel(id) {
+    this.get(id)?.cancel();
+    this.pump();
+  }
+
+  remove(id) {
+    const task = this.get(id);
+    if (!task || ACTIVE_STATUSES.includes(task.status)) return;
+    task.cancel();
+    this.tasks = this.tasks.filter((t) => t !== task);
+    this.notify();
+  }
+
+  /**
+   * Drop finished tasks (completed or cancelled)
+   */
+  clearFinished() {
+    this.tasks = this.tasks.filter(
+      (task) => ![UploadStatus.COMPLETED, UploadStatus.CANCELLED].includes(task.status)
+    );
+    this.notify();
+  }
+}
+
+export default {
+  UploadStatus,
+  CompressionGoal,
+  isCompressionGoal,
+  UploadTask,
+  UploadQueue
+};
@@ -9,14 +9,106 @@ import {
   Loader2,
   Shield,
   Clock,
-  DownloadCloud
+  DownloadCloud,
+  PlayCircle,
+  Files,
+  KeyRound,
+  ShieldCheck
 } from 'lucide-react';
 import axios from 'axios';
 import { io } from 'socket.io-client';
+import {
+  decryptFile,
+  decryptStream,
+  decryptManifest,
+  decryptListing,
+  derivePasswordKeys,
+  unwrapFileKey,
+  unwrapKeyAsRecipient,
+  getKeyFingerprint,
+  verifyStatement,
+  decryptSignature,
+  decryptDigest
+} from '../lib/crypto';
+import { getKeyPairs, getTrustedKeys, trustKey } from '../lib/keyStore';
+import { createHashVerifier, hashStream, integrityError } from '../lib/sha256';
+import { loadTree, createVerifiedStream } from '../lib/merkle';
+import { baseName, getEntryBlob, createEntryFilter } from '../lib/bundle';
+import { canStreamToDisk, openSaveTarget } from '../lib/saveTarget';
+import { createArchiveStream, getArchiveFilename, getArchiveMimeType, isArchiveSupported } from '../lib/archive';
+import { extractEntry, isExtractable } from '../lib/archiveListing';
+import { canPlayInBrowser, openPlayback } from '../lib/playback';
+import ArchiveTree from '../components/ArchiveTree';
+import SenderBadge from '../components/SenderBadge';
 import './Download.css';
 
 const API_URL = 'http://localhost:3001';
 
+// How "download all" saves the files of a multi-file transfer
+const ARCHIVE_OPTIONS = [
+  { value: 'zip', label: 'ZIP archive', archive: { format: 'zip', method: 'deflate' } },
+  { value: 'zip-store', label: 'ZIP archive (uncompressed)', archive: { format: 'zip', method: 'store' } },
+  { value: 'tar.gz', label: 'tar.gz archive', archive: { format: 'tar.gz' } },
+  { value: 'files', label: 'Separate files', archive: null }
+];
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Pass-through stream reporting how much of `total` bytes has gone through,
+// as a percentage scaled down to `scale`
+function createProgressStream(total, scale, onProgress) {
+  let loaded = 0;
+  let lastPercent = 0;
+  return new TransformStream({
+    transform(chunk, controller) {
+      loaded += chunk.byteLength;
+      const percent = total ? Math.floor((loaded * scale) / total) : 0;
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        onProgress(percent);
+      }
+      controller.enqueue(chunk);
+    }
+  });
+}
+
+// Failed fetches as errors shaped like axios's, for the error handling in
+// handleDownload: an error response, or a request that got none (or was cut off)
+async function responseError(response) {
+  const data = await response.json().catch(() => ({}));
+  return Object.assign(new Error(data.error || 'Download failed'), {
+    response: { status: response.status, data }
+  });
+}
+
+function requestError(err) {
+  return err instanceof TypeError ? Object.assign(err, { request: true }) : err;
+}
+
+// Open and check a signed transfer's statement, which must be about this
+// transfer, and look the signer up among the keys this browser trusts
+async function checkSender(transferInfo, key) {
+  const fingerprint = await getKeyFingerprint(transferInfo.signerKey);
+  const trusted = (await getTrustedKeys().catch(() => []))
+    .find((trustedKey) => trustedKey.publicKey === transferInfo.signerKey);
+
+  try {
+    const signed = await decryptSignature(transferInfo.signature, key);
+    const valid = await verifyStatement(signed, transferInfo.signerKey)
+      && signed.statement.filename === transferInfo.filename
+      && signed.statement.size === transferInfo.originalBytes;
+    return { valid, fingerprint, statement: signed.statement, trustedName: trusted?.name || null };
+  } catch {
+    return { valid: false, fingerprint, statement: null, trustedName: null };
+  }
+}
+
 function Download() {
   const { id } = useParams();
   const location = useLocation();
@@ -29,21 +121,105 @@ function Download() {
   const [downloadProgress, setDownloadProgress] = useState(0);
   const [downloadStage, setDownloadStage] = useState('');
   const [downloadComplete, setDownloadComplete] = useState(false);
+  const [player, setPlayer] = useState(null);
+  const [startingPlayback, setStartingPlayback] = useState(false);
+  // Files of a multi-file transfer, and the ones saved individually so far
+  const [entries, setEntries] = useState(null);
+  const [savedPaths, setSavedPaths] = useState([]);
+  const [saveAs, setSaveAs] = useState('zip');
+  // Contents of an uploaded ZIP or tar archive; its entries download one at a time
+  const [listing, setListing] = useState(null);
+  // For a password-wrapped key: the unwrapped key and what the server checks as the password;
+  // for a transfer encrypted to recipients, the key unwrapped with this browser's key pair
+  const [unlocked, setUnlocked] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+  const [noRecipientKey, setNoRecipientKey] = useState(false);
+  // The sender's checked signature, and whether the downloaded plaintext matches it
+  const [sender, setSender] = useState(null);
+  const [contentCheck, setContentCheck] = useState(null);
+  // The plaintext digest recorded at upload, and the hash a whole download was verified against
+  const [digest, setDigest] = useState(null);
+  const [verifiedHash, setVerifiedHash] = useState(null);
 
-  // Extract key and authTag from URL fragment
+  // Extract key and authTag from URL fragment (or the key unwrapped with the password)
   const getDecryptionParams = () => {
     const hash = location.hash.substring(1);
     const params = new URLSearchParams(hash);
     return {
-      key: params.get('key'),
+      key: unlocked?.key || params.get('key'),
       tag: params.get('tag')
     };
   };
 
+  // End-to-end transfers with a wrapped key are checked against a key derived from the password
+  const accessPassword = unlocked?.password ?? password;
+
   useEffect(() => {
     fetchTransferInfo();
   }, [id]);
 
+  // A multi-file transfer's file list is encrypted under the key in the link
+  useEffect(() => {
+    const key = unlocked?.key || new URLSearchParams(location.hash.substring(1)).get('key');
+    if (!transferInfo?.manifest || !key) return;
+
+    decryptManifest(transferInfo.manifest, key)
+      .then((manifest) => setEntries(manifest.entries))
+      .catch(() => setError('Could not read the list of files. The download link may be corrupted.'));
+  }, [transferInfo, location.hash, unlocked]);
+
+  // So is the listing of an uploaded archive; without it the archive still downloads whole
+  useEffect(() => {
+    const key = unlocked?.key || new URLSearchParams(location.hash.substring(1)).get('key');
+    if (!transferInfo?.archiveListing || !key) return;
+
+    decryptListing(transferInfo.archiveListing, key)
+      .then(setListing)
+      .catch(() => setListing(null));
+  }, [transferInfo, location.hash, unlocked]);
+
+  // A signed transfer's statement is sealed under the key as well
+  useEffect(() => {
+    const key = unlocked?.key || new URLSearchParams(location.hash.substring(1)).get('key');
+    if (!transferInfo?.signature || !key) return;
+
+    checkSender(transferInfo, key).then(setSender);
+  }, [transferInfo, location.hash, unlocked]);
+
+  // And so is the plaintext digest every whole download is checked against
+  useEffect(() => {
+    const key = unlocked?.key || new URLSearchParams(location.hash.substring(1)).get('key');
+    if (!transferInfo?.plaintextDigest || !key) return;
+
+    decryptDigest(transferInfo.plaintextDigest, key)
+      .then(setDigest)
+      .catch(() => setError('Could not read the recorded file hash. The download link may be corrupted.'));
+  }, [transferInfo, location.hash, unlocked]);
+
+  // A transfer encrypted to recipients opens with the first of their key pairs kept here
+  useEffect(() => {
+    if (!transferInfo?.recipients) return;
+
+    getKeyPairs()
+      .then(async (pairs) => {
+        for (const recipient of transferInfo.recipients) {
+          const pair = pairs.find((candidate) => candidate.id === recipient.keyId);
+          if (pair) {
+            setUnlocked({ key: await unwrapKeyAsRecipient(recipient, pair) });
+            return;
+          }
+        }
+        setNoRecipientKey(true);
+      })
+      .catch((err) => {
+        console.error('Recipient unlock error:', err);
+        setError('Could not unlock this transfer with the key in this browser.');
+      });
+  }, [transferInfo]);
+
+  // Drop the service worker registration when the player goes away
+  useEffect(() => () => player?.release?.(), [player]);
+
   const fetchTransferInfo = async () => {
     try {
       const response = await axios.get(`${API_URL}/api/download/${id}/info`);
@@ -62,27 +238,160 @@ function Download() {
     }
   };
 
-  const handleDownload = async () => {
-    const { key, tag } = getDecryptionParams();
-    
-    if (!key || !tag) {
-      setError('Invalid download link. Missing decryption key.');
-      return;
+  const saveBlob = (blob, filename = transferInfo.filename) => {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  const saveArchive = (blob, archive) => {
+    saveBlob(
+      new Blob([blob], { type: getArchiveMimeType(archive.format) }),
+      getArchiveFilename(transferInfo.filename, archive.format)
+    );
+  };
+
+  // The decrypted transfer as a whole; multi-file transfers are packed into
+  // an archive, cut into their files, or just the requested one.
+  // An entry of an uploaded archive is extracted from it.
+  const saveDecrypted = async (blob, entry, archive) => {
+    if (archive) {
+      const stream = createArchiveStream(blob.stream(), entries, { ...archive, modified: transferInfo.createdAt });
+      saveArchive(await new Response(stream).blob(), archive);
+    } else if (entry && listing) {
+      saveBlob(await new Response(extractEntry(blob.stream(), listing, entry)).blob(), baseName(entry.path));
+    } else if (entry) {
+      saveBlob(getEntryBlob(blob, entry), baseName(entry.path));
+    } else if (entries) {
+      entries.forEach((e) => saveBlob(getEntryBlob(blob, e), baseName(e.path)));
+    } else {
+      saveBlob(blob);
     }
+  };
 
-    if (transferInfo.hasPassword && !password) {
-      setError('Please enter the password to download this file.');
-      return;
+  // Fetch the stored ciphertext, or bytes `start`..`end` of it. Failures are
+  // shaped like axios errors, for the error handling in handleDownload
+  const fetchCiphertext = async (start = 0, end) => {
+    const headers = accessPassword ? { 'X-Transfer-Password': accessPassword } : {};
+    if (start > 0 || end !== undefined) {
+      headers.Range = `bytes=${start}-${end ?? ''}`;
     }
 
-    setDownloading(true);
-    setDownloadProgress(0);
-    setDownloadStage('Preparing download...');
-    setError(null);
+    const response = await fetch(`${API_URL}/api/download/${id}/stream`, { headers });
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return response;
+  };
 
-    // Connect to socket for progress
+  // Where a streamed download is written: the file, one of its files or
+  // entries, or an archive of its files. Ask before anything else, while the
+  // click still counts as a user gesture.
+  const openDownloadTarget = (entry, archive) => openSaveTarget(entry ? {
+    filename: baseName(entry.path),
+    mimeType: entry.type || 'application/octet-stream',
+    size: entry.size
+  } : archive ? {
+    filename: getArchiveFilename(transferInfo.filename, archive.format),
+    mimeType: getArchiveMimeType(archive.format)
+  } : {
+    filename: transferInfo.filename,
+    mimeType: transferInfo.mimeType,
+    size: transferInfo.originalBytes
+  });
+
+  // The ciphertext as a stream, with its size. With a chunk tree, it is checked
+  // chunk by chunk as it arrives, and only damaged chunks are fetched again.
+  const openCiphertext = async () => {
+    if (!transferInfo.merkleRoot) {
+      const response = await fetchCiphertext();
+      return { body: response.body, size: parseInt(response.headers.get('content-length')) || 0 };
+    }
+
+    const response = await axios.get(`${API_URL}/api/download/${id}/chunks`, {
+      headers: accessPassword ? { 'X-Transfer-Password': accessPassword } : {}
+    });
+    const tree = await loadTree(response.data, transferInfo.merkleRoot);
+    return { body: createVerifiedStream(fetchCiphertext, tree), size: tree.size };
+  };
+
+  // End-to-end encrypted transfers: fetch the ciphertext and decrypt it locally
+  const downloadClientEncrypted = async (key, entry, archive) => {
+    setDownloadStage('Downloading encrypted file...');
+
+    const { body, size } = await openCiphertext();
+    const ciphertext = await new Response(
+      body.pipeThrough(createProgressStream(size, 70, setDownloadProgress))
+    ).arrayBuffer();
+
+    let blob;
+    try {
+      blob = await decryptFile(ciphertext, key, transferInfo.iv, transferInfo.mimeType, (stage) => {
+        setDownloadProgress(stage === 'decrypting' ? 75 : 90);
+        setDownloadStage(stage === 'decrypting' ? 'Decrypting file...' : 'Decompressing...');
+      });
+    } catch (decryptError) {
+      console.error('Decryption error:', decryptError);
+      throw new Error('Invalid decryption key. The download link may be corrupted.');
+    }
+
+    const plaintextHash = await checkPlaintext(blob, entry);
+    await saveDecrypted(blob, entry, archive);
+    return plaintextHash;
+  };
+
+  // End-to-end encrypted transfers of any size: decrypt as the bytes arrive
+  // and write straight to disk, never holding the whole file in memory.
+  // For one file of a multi-file transfer or an uploaded archive, only its
+  // bytes are written; an archive is built from the plaintext on its way to disk.
+  const streamClientEncrypted = async (key, entry, archive) => {
+    const target = await openDownloadTarget(entry, archive);
+
+    setDownloadStage('Downloading & decrypting to disk...');
+
+    try {
+      const { body, size } = await openCiphertext();
+
+      // The whole plaintext is checked on its way to disk; on a mismatch the
+      // stream errors before the end is written, and the partial file is discarded
+      const verify = expectedHash && !entry;
+      const decrypted = await decryptStream(body.pipeThrough(createProgressStream(size, 99, setDownloadProgress)), key);
+      const plaintext = verify ? decrypted.pipeThrough(createHashVerifier(expectedHash)) : decrypted;
+      const output = entry && listing ? extractEntry(plaintext, listing, entry)
+        : entry ? plaintext.pipeThrough(createEntryFilter(entry))
+        : archive ? createArchiveStream(plaintext, entries, { ...archive, modified: transferInfo.createdAt })
+          : plaintext;
+      await output.pipeTo(target.writable);
+      return verify ? expectedHash : null;
+    } catch (err) {
+      // Discard the partial file; pipeTo may already have done so
+      await target.writable.abort(err).catch(() => {});
+      throw err;
+    }
+  };
+
+  // Server-encrypted transfers (API uploads): the server decrypts with the key from the link.
+  // It can also send a single file of a multi-file transfer, or all of them as an archive,
+  // or extract one entry of an uploaded archive.
+  const getServerDownloadRequest = (key, tag, entry, archive) => ({
+    password: accessPassword || undefined,
+    decryptionKey: key,
+    authTag: tag,
+    path: listing ? undefined : entry?.path,
+    archiveEntry: listing ? entry?.path : undefined,
+    archive: archive?.format,
+    zipMethod: archive?.method
+  });
+
+  // The server reports its decryption progress over the socket
+  const watchServerProgress = () => {
     const socket = io(API_URL);
-    
+
     socket.on('download-progress', (data) => {
       if (data.transferId === id) {
         setDownloadProgress(data.progress);
@@ -94,15 +403,48 @@ function Download() {
         );
       }
     });
+    return socket;
+  };
+
+  // Server-encrypted transfers of any size: the decrypted response is written
+  // straight to disk as it arrives, never held in memory. The whole file is
+  // checked on its way there, as for end-to-end transfers.
+  const streamServerEncrypted = async (key, tag, entry, archive) => {
+    const target = await openDownloadTarget(entry, archive);
+    const socket = watchServerProgress();
+
+    try {
+      const response = await fetch(`${API_URL}/api/download/${id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getServerDownloadRequest(key, tag, entry, archive))
+      });
+      if (!response.ok) {
+        throw await responseError(response);
+      }
+
+      const verify = expectedHash && !entry && !archive;
+      const body = verify ? response.body.pipeThrough(createHashVerifier(expectedHash)) : response.body;
+      await body.pipeTo(target.writable);
+      return verify ? expectedHash : null;
+    } catch (err) {
+      // Discard the partial file; pipeTo may already have done so
+      await target.writable.abort(err).catch(() => {});
+      // The server cuts the connection when the file fails verification mid-stream
+      throw requestError(err);
+    } finally {
+      socket.disconnect();
+    }
+  };
+
+  // The same, through a Blob, where nothing can stream to disk
+  const downloadServerEncrypted = async (key, tag, entry, archive) => {
+    const socket = watchServerProgress();
 
     try {
       const response = await axios.post(
         `${API_URL}/api/download/${id}`,
-        {
-          password: password || undefined,
-          decryptionKey: key,
-          authTag: tag
-        },
+        getServerDownloadRequest(key, tag, entry, archive),
         {
           responseType: 'blob',
           onDownloadProgress: (progressEvent) => {
@@ -116,33 +458,218 @@ function Download() {
         }
       );
 
-      // Create download link
-      const blob = new Blob([response.data]);
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = transferInfo.filename;
-      document.body.appendChild(a);
-      a.click();
-      window.URL.revokeObjectURL(url);
-      document.body.removeChild(a);
-
-      setDownloadComplete(true);
-      setDownloadProgress(100);
-      setDownloadStage('Download complete!');
+      if (entry) {
+        saveBlob(new Blob([response.data], { type: entry.type }), baseName(entry.path));
+      } else if (archive) {
+        saveArchive(response.data, archive);
+      } else {
+        // The server checks too, but cuts the connection only once the file is all but sent
+        const plaintextHash = await checkPlaintext(response.data);
+        await saveDecrypted(response.data);
+        return plaintextHash;
+      }
+      return null;
+    } finally {
+      socket.disconnect();
+    }
+  };
+
+  const clientEncrypted = transferInfo?.encryptionMode === 'client';
+  // End-to-end transfers are packed in the browser, which may lack a compressor
+  const archiveOptions = ARCHIVE_OPTIONS.filter(({ archive }) =>
+    !archive || !clientEncrypted || isArchiveSupported(archive.format, archive.method)
+  );
+  const canPlay = transferInfo?.seekable && (!clientEncrypted || canPlayInBrowser());
+  // The link of a transfer with a wrapped key has no key until the password
+  // or a recipient's key pair unwraps it
+  const locked = (transferInfo?.keyWrapped || !!transferInfo?.recipients) && !unlocked;
+  // Whole downloads are checked against the digest recorded at upload, or
+  // for a signed transfer that predates it, against the signed hash
+  const expectedHash = digest?.sha256 || (sender?.valid ? sender.statement.sha256 : null);
+
+  // Hash a whole downloaded plaintext before it is saved; a mismatch throws
+  const checkPlaintext = async (blob, entry = null) => {
+    if (!expectedHash || entry) return null;
+
+    setDownloadStage('Verifying file...');
+    const actual = await hashStream(blob.stream());
+    if (actual !== expectedHash) {
+      throw integrityError(expectedHash, actual);
+    }
+    return actual;
+  };
+
+  const handleTrust = async (name) => {
+    await trustKey({
+      publicKey: transferInfo.signerKey,
+      name,
+      fingerprint: sender.fingerprint,
+      trustedAt: new Date().toISOString()
+    });
+    setSender({ ...sender, trustedName: name });
+  };
+
+  const handleUnlock = async () => {
+    if (!password) {
+      setError('Please enter the password to unlock this transfer.');
+      return;
+    }
 
+    setError(null);
+    setUnlocking(true);
+
+    try {
+      const { wrappingKey, accessKey } = await derivePasswordKeys(password, transferInfo.keySalt);
+      // The server never sees the password of an end-to-end transfer
+      const credential = clientEncrypted ? accessKey : password;
+      const response = await axios.post(`${API_URL}/api/download/${id}/key`, { password: credential });
+      const key = await unwrapFileKey(response.data.wrappedKey, wrappingKey);
+      setUnlocked({ key, password: credential });
     } catch (err) {
-      console.error('Download error:', err);
+      console.error('Unlock error:', err);
       if (err.response?.status === 401) {
         setError('Invalid password. Please try again.');
+      } else {
+        setError(err.response?.data?.error || 'Could not unlock this transfer. Please try again.');
+      }
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  // Seekable media: the element requests byte ranges, which are decrypted
+  // by the server (/play) or, for end-to-end transfers, by the service worker
+  const handlePlay = async () => {
+    const { key } = getDecryptionParams();
+
+    if (!key) {
+      setError('Invalid download link. Missing decryption key.');
+      return;
+    }
+
+    if (transferInfo.hasPassword && !password) {
+      setError('Please enter the password to play this file.');
+      return;
+    }
+
+    setError(null);
+    setStartingPlayback(true);
+
+    try {
+      let url;
+      let release = null;
+
+      if (clientEncrypted) {
+        ({ url, release } = await openPlayback({
+          streamUrl: `${API_URL}/api/download/${id}/stream`,
+          key,
+          password: accessPassword || undefined,
+          size: transferInfo.originalBytes,
+          mimeType: transferInfo.mimeType
+        }));
+      } else {
+        // Media elements cannot send headers; a short-lived token stands in
+        // for the key and password, which stay out of the URL
+        const response = await axios.post(`${API_URL}/api/download/${id}/play`, {
+          password: accessPassword || undefined,
+          decryptionKey: key
+        });
+        url = `${API_URL}/api/download/${id}/play?${new URLSearchParams({ token: response.data.token })}`;
+      }
+
+      setPlayer({ url, release, audio: transferInfo.mimeType.startsWith('audio/') });
+    } catch (err) {
+      console.error('Playback error:', err);
+      if (err.response?.status === 401) {
+        setError('Invalid password. Please try again.');
+      } else {
+        setError(err.response?.data?.error || err.message || 'Playback failed. Please try again.');
+      }
+    } finally {
+      setStartingPlayback(false);
+    }
+  };
+
+  const handlePlayerError = () => {
+    setPlayer(null);
+    setError('Playback failed. Check the password and that the link is complete.');
+  };
+
+  // Without `entry`, the whole transfer (every file of a multi-file one);
+  // otherwise a file of a multi-file transfer or an entry of an uploaded archive
+  const handleDownload = async (entry = null) => {
+    const { key, tag } = getDecryptionParams();
+
+    // Only legacy (headerless) server transfers carry a tag in the link
+    if (!key) {
+      setError('Invalid download link. Missing decryption key.');
+      return;
+    }
+
+    if (transferInfo.hasPassword && !password) {
+      setError('Please enter the password to download this file.');
+      return;
+    }
+
+    setDownloading(true);
+    setDownloadProgress(0);
+    setDownloadStage('Preparing download...');
+    setError(null);
+
+    const archive = entries && !entry
+      ? archiveOptions.find((option) => option.value === saveAs)?.archive || null
+      : null;
+
+    try {
+      // Several files cannot share one save dialog, so separate files go through a Blob
+      let plaintextHash;
+      if (clientEncrypted && transferInfo.containerVersion && canStreamToDisk() && (entry || !entries || archive)) {
+        plaintextHash = await streamClientEncrypted(key, entry, archive);
+      } else if (clientEncrypted) {
+        plaintextHash = await downloadClientEncrypted(key, entry, archive);
+      } else if (canStreamToDisk() && (entry || !entries || archive)) {
+        plaintextHash = await streamServerEncrypted(key, tag, entry, archive);
+      } else {
+        plaintextHash = await downloadServerEncrypted(key, tag, entry, archive);
+      }
+
+      if (plaintextHash) {
+        setVerifiedHash(plaintextHash);
+        if (sender?.valid) {
+          setContentCheck(plaintextHash === sender.statement.sha256 ? 'match' : 'mismatch');
+        }
+      }
+
+      if (entry) {
+        setSavedPaths((paths) => [...paths, entry.path]);
+      } else {
+        setDownloadComplete(true);
+        setDownloadProgress(100);
+        setDownloadStage('Download complete!');
+      }
+
+    } catch (err) {
+      // The save dialog or the browser download was cancelled
+      if (err.name === 'AbortError') {
+        return;
+      }
+
+      console.error('Download error:', err);
+      if (err.code === 'EINTEGRITY') {
+        setError('The downloaded file does not match the SHA-256 recorded at upload, so it was not saved. It may have been corrupted or tampered with.');
+        if (sender?.valid) setContentCheck('mismatch');
+      } else if (err.response?.status === 401) {
+        setError('Invalid password. Please try again.');
       } else if (err.response?.status === 400) {
         setError('Invalid decryption key. The download link may be corrupted.');
+      } else if (err.request && !err.response) {
+        // The server cuts the connection when the file fails verification mid-stream
+        setError('Download was interrupted before it completed. The file may have failed integrity verification.');
       } else {
-        setError(err.response?.data?.error || 'Download failed. Please try again.');
+        setError(err.response?.data?.error || err.message || 'Download failed. Please try again.');
       }
     } finally {
       setDownloading(false);
-      socket.disconnect();
     }
   };
 
@@ -183,13 +710,26 @@ function Download() {
                 <CheckCircle size={48} />
               </div>
               <h2>Download Complete!</h2>
-              <p>Your file has been decrypted and downloaded successfully.</p>
+              <p>
+                {entries
+                  ? 'Your files have been decrypted and downloaded successfully.'
+                  : 'Your file has been decrypted and downloaded successfully.'}
+              </p>
+              {verifiedHash && (
+                <div className="verified-hash">
+                  <span>
+                    <ShieldCheck size={16} />
+                    Matches the SHA-256 recorded at upload
+                  </span>
+                  <code>{verifiedHash}</code>
+                </div>
+              )}
             </div>
           ) : (
             <>
               <div className="download-header">
                 <div className="file-icon-large">
-                  <FileText size={40} />
+                  {transferInfo.entryCount ? <Files size={40} /> : <FileText size={40} />}
                 </div>
                 <div className="file-details">
                   <h2 className="file-name">{transferInfo.filename}</h2>
@@ -208,6 +748,12 @@ function Download() {
                         Password Protected
                       </span>
                     )}
+                    {transferInfo.recipients && (
+                      <span className="meta-item protected">
+                        <KeyRound size={14} />
+                        For {transferInfo.recipients.map((recipient) => recipient.name).join(', ')}
+                      </span>
+                    )}
                   </div>
                 </div>
               </div>
@@ -239,21 +785,81 @@ function Download() {
                     </span>
                   </div>
                 )}
+                {digest && (
+                  <div className="info-row">
+                    <span className="info-label">SHA-256</span>
+                    <code className="info-value hash-value">{digest.sha256}</code>
+                  </div>
+                )}
               </div>
 
+              {entries && (
+                <div className="bundle-contents">
+                  <div className="bundle-header">
+                    <Files size={16} />
+                    <span>{entries.length} files</span>
+                  </div>
+                  <ul className="bundle-entries">
+                    {entries.map((entry) => (
+                      <li key={entry.path} className="bundle-entry">
+                        <FileText size={16} />
+                        <span className="bundle-entry-path" title={entry.path}>{entry.path}</span>
+                        <span className="bundle-entry-size">{formatFileSize(entry.size)}</span>
+                        <button
+                          className="btn btn-icon"
+                          title={`Download ${baseName(entry.path)}`}
+                          onClick={() => handleDownload(entry)}
+                          disabled={downloading}
+                        >
+                          {savedPaths.includes(entry.path) ? <CheckCircle size={16} /> : <DownloadIcon size={16} />}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="archive-format">
+                    <label htmlFor="save-as">Download all as</label>
+                    <select
+                      id="save-as"
+                      value={saveAs}
+                      onChange={(e) => setSaveAs(e.target.value)}
+                      disabled={downloading}
+                    >
+                      {archiveOptions.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {listing && (
+                <ArchiveTree
+                  listing={listing}
+                  canDownload={(entry) => isExtractable(listing, entry)}
+                  onDownload={handleDownload}
+                  savedPaths={savedPaths}
+                  disabled={downloading}
+                  formatSize={formatFileSize}
+                />
+              )}
+
               <div className="security-badge">
                 <Shield size={16} />
                 <span>End-to-End Encrypted with AES-256-GCM</span>
               </div>
 
-              {transferInfo.hasPassword && (
+              {!locked && (!transferInfo.signerKey || sender) && (
+                <SenderBadge sender={sender} contentCheck={contentCheck} onTrust={handleTrust} />
+              )}
+
+              {transferInfo.hasPassword && !unlocked?.password && (
                 <div className="password-section">
                   <label>Enter Password</label>
                   <input
                     type="password"
                     value={password}
                     onChange={(e) => setPassword(e.target.value)}
-                    placeholder="Enter the password to decrypt"
+                    placeholder={transferInfo.keyWrapped && locked ? 'Enter the password to unlock the key' : 'Enter the password to decrypt'}
                   />
                 </div>
               )}
@@ -265,7 +871,54 @@ function Download() {
                 </div>
               )}
 
-              {downloading ? (
+              {player && (
+                <div className="media-player">
+                  {player.audio ? (
+                    <audio src={player.url} controls autoPlay onError={handlePlayerError} />
+                  ) : (
+                    <video src={player.url} controls autoPlay playsInline onError={handlePlayerError} />
+                  )}
+                </div>
+              )}
+
+              {canPlay && !locked && !player && !downloading && (
+                <button
+                  className="btn btn-secondary download-btn play-btn"
+                  onClick={handlePlay}
+                  disabled={startingPlayback}
+                >
+                  {startingPlayback ? <Loader2 className="animate-spin" size={20} /> : <PlayCircle size={20} />}
+                  <span>Play in Browser</span>
+                </button>
+              )}
+
+              {locked && transferInfo.recipients ? (
+                <div className="recipient-notice">
+                  {noRecipientKey ? (
+                    <>
+                      <KeyRound size={18} />
+                      <span>
+                        This transfer is encrypted to {transferInfo.recipients.map((recipient) => recipient.name).join(', ')}.
+                        Open the link in a browser that holds one of their keys.
+                      </span>
+                    </>
+                  ) : (
+                    <>
+                      <Loader2 className="animate-spin" size={18} />
+                      <span>Looking for your key...</span>
+                    </>
+                  )}
+                </div>
+              ) : locked ? (
+                <button
+                  className="btn btn-primary download-btn"
+                  onClick={handleUnlock}
+                  disabled={unlocking}
+                >
+                  {unlocking ? <Loader2 className="animate-spin" size={20} /> : <KeyRound size={20} />}
+                  <span>Unlock with Password</span>
+                </button>
+              ) : downloading ? (
                 <div className="download-progress">
                   <div className="progress-header">
                     <Loader2 className="animate-spin" size={20} />
@@ -282,10 +935,10 @@ function Download() {
               ) : (
                 <button 
                   className="btn btn-primary download-btn" 
-                  onClick={handleDownload}
+                  onClick={() => handleDownload()}
                 >
                   <DownloadIcon size={20} />
-                  <span>Decrypt & Download</span>
+                  <span>{entries ? `Decrypt & Download All ${entries.length} Files` : 'Decrypt & Download'}</span>
                 </button>
               )}
             </>
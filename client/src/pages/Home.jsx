@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { 
   Upload, 
@@ -10,41 +10,139 @@ import {
   Copy,
   ExternalLink,
   AlertCircle,
-  Loader2
+  Loader2,
+  Pause,
+  Play,
+  RotateCcw,
+  FolderOpen,
+  Files,
+  X,
+  KeyRound
 } from 'lucide-react';
 import axios from 'axios';
-import { io } from 'socket.io-client';
+import { UploadQueue, UploadStatus, isCompressionGoal } from '../lib/uploader';
+import { isCompressionSupported, isX25519Supported } from '../lib/crypto';
+import { getSigningKeys } from '../lib/keyStore';
+import { isInFolder } from '../lib/bundle';
 import './Home.css';
 
 const API_URL = 'http://localhost:3001';
 
+// Recipients need a browser that can decompress zstd too
+const ZSTD_AVAILABLE = isCompressionSupported('zstd');
+
+const STATUS_LABELS = {
+  [UploadStatus.READY]: 'Ready',
+  [UploadStatus.QUEUED]: 'Waiting...',
+  [UploadStatus.ENCRYPTING]: 'Compressing & encrypting with AES-256...',
+  [UploadStatus.UPLOADING]: 'Uploading encrypted chunks...',
+  [UploadStatus.FINALIZING]: 'Finalizing...',
+  [UploadStatus.PAUSED]: 'Paused',
+  [UploadStatus.COMPLETED]: 'Complete!',
+  [UploadStatus.FAILED]: 'Failed',
+  [UploadStatus.CANCELLED]: 'Cancelled',
+  [UploadStatus.INTERRUPTED]: 'Interrupted - select the same file to resume'
+};
+
+// Incompressible files are stored as-is rather than compressed
+function describeCompression(transfer) {
+  if (transfer.compressionMode === 'store') {
+    return transfer.compressionReason
+      ? `stored uncompressed: ${transfer.compressionReason}`
+      : 'stored uncompressed';
+  }
+  return `${transfer.savings} saved`;
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.max(ms, 1)} ms` : `${parseFloat((ms / 1000).toFixed(1))} s`;
+}
+
+// Preflight plan for a file that has not been uploaded yet
+function describeEstimate({ plan, estimate }) {
+  if (plan.mode === 'store') {
+    return `Will be stored uncompressed: ${plan.reason}`;
+  }
+  return `≈ ${estimate.compressedSize} with ${plan.algorithm} (${estimate.savings} saved), ~${formatDuration(estimate.processingTimeMs)} to compress`;
+}
+
+const RUNNING_STATUSES = [
+  UploadStatus.QUEUED,
+  UploadStatus.ENCRYPTING,
+  UploadStatus.UPLOADING,
+  UploadStatus.FINALIZING
+];
+
 function Home() {
-  const [file, setFile] = useState(null);
-  const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [uploadStage, setUploadStage] = useState('');
-  const [uploadResult, setUploadResult] = useState(null);
-  const [error, setError] = useState(null);
-  const [copied, setCopied] = useState(false);
+  const [items, setItems] = useState([]);
+  const [queue] = useState(() => new UploadQueue({ apiUrl: API_URL, onChange: setItems }));
+  const [copiedId, setCopiedId] = useState(null);
   
   // Upload options
   const [password, setPassword] = useState('');
   const [expiresIn, setExpiresIn] = useState('24');
   const [maxDownloads, setMaxDownloads] = useState('');
-  const [compressionLevel, setCompressionLevel] = useState('6');
+  const [compression, setCompression] = useState('gzip');
+  const [bundle, setBundle] = useState(false);
+  const [protectKey, setProtectKey] = useState(false);
+  const [recipientIds, setRecipientIds] = useState([]);
 
-  const onDrop = useCallback((acceptedFiles) => {
-    if (acceptedFiles.length > 0) {
-      setFile(acceptedFiles[0]);
-      setError(null);
-      setUploadResult(null);
-    }
+  // Registered recipient keys, when this browser can encrypt to them
+  const [directory, setDirectory] = useState([]);
+  // This browser's signing key (see the Keys page); uploads are signed with it by default
+  const [signingKey, setSigningKey] = useState(null);
+  const [sign, setSign] = useState(true);
+
+  // Pick up uploads that were still running when the page was closed
+  useEffect(() => {
+    queue.restore();
+  }, [queue]);
+
+  useEffect(() => {
+    isX25519Supported().then(async (supported) => {
+      if (!supported) return;
+      const response = await axios.get(`${API_URL}/api/keys`);
+      setDirectory(response.data.keys);
+    }).catch((err) => console.error('Failed to load the key directory:', err));
+
+    getSigningKeys()
+      .then(([key]) => setSigningKey(key || null))
+      .catch((err) => console.error('Failed to load the signing key:', err));
   }, []);
 
+  // Estimate each new file's compression whenever the planner decides it
+  const readyIds = items
+    .filter((item) => item.status === UploadStatus.READY)
+    .map((item) => item.id)
+    .join(',');
+
+  useEffect(() => {
+    if (readyIds && isCompressionGoal(compression)) {
+      queue.preflight(compression);
+    }
+  }, [queue, compression, readyIds]);
+
+  // A dropped or picked folder goes out as one link by default
+  const addFiles = useCallback((files) => {
+    if (files.length > 0) {
+      queue.add(files);
+      if (files.some(isInFolder)) {
+        setBundle(true);
+      }
+    }
+  }, [queue]);
+
+  const onDrop = useCallback((acceptedFiles) => addFiles(acceptedFiles), [addFiles]);
+
+  const handleFolderSelect = (e) => {
+    addFiles(Array.from(e.target.files));
+    e.target.value = '';
+  };
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    multiple: false,
-    maxSize: 500 * 1024 * 1024 // 500MB
+    multiple: true,
+    maxSize: 500 * 1024 * 1024 // 500MB per file
   });
 
   const formatFileSize = (bytes) => {
@@ -55,74 +153,126 @@ function Home() {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const handleUpload = async () => {
-    if (!file) return;
-
-    setUploading(true);
-    setUploadProgress(0);
-    setUploadStage('Preparing...');
-    setError(null);
-
-    // Connect to socket for real-time progress
-    const socket = io(API_URL);
-    
-    socket.on('upload-progress', (data) => {
-      setUploadProgress(data.progress);
-      setUploadStage(data.stage === 'compressing' ? 'Compressing file...' :
-                     data.stage === 'encrypting' ? 'Encrypting with AES-256...' :
-                     data.stage === 'complete' ? 'Complete!' : 'Processing...');
-    });
-
-    try {
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('compressionLevel', compressionLevel);
-      if (password) formData.append('password', password);
-      if (expiresIn) formData.append('expiresIn', expiresIn);
-      if (maxDownloads) formData.append('maxDownloads', maxDownloads);
-
-      const response = await axios.post(`${API_URL}/api/upload`, formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-          if (percentCompleted < 30) {
-            setUploadProgress(percentCompleted);
-            setUploadStage('Uploading file...');
-          }
-        }
-      });
-
-      setUploadResult(response.data);
-      setUploadProgress(100);
-      setUploadStage('Complete!');
-      
-    } catch (err) {
-      console.error('Upload error:', err);
-      setError(err.response?.data?.message || 'Upload failed. Please try again.');
-    } finally {
-      setUploading(false);
-      socket.disconnect();
-    }
+  const readyCount = items.filter((item) => item.status === UploadStatus.READY).length;
+  const started = items.filter(
+    (item) => item.status !== UploadStatus.READY && item.status !== UploadStatus.CANCELLED
+  );
+  const isRunning = started.some((item) => RUNNING_STATUSES.includes(item.status));
+  const hasFinished = items.some(
+    (item) => item.status === UploadStatus.COMPLETED || item.status === UploadStatus.CANCELLED
+  );
+
+  // Overall progress is weighted by ciphertext size
+  const totalBytes = started.reduce((sum, item) => sum + item.totalBytes, 0);
+  const uploadedBytes = started.reduce((sum, item) => sum + item.bytesUploaded, 0);
+  const overallProgress = totalBytes ? Math.round((uploadedBytes / totalBytes) * 100) : 0;
+
+  const recipients = directory.filter((key) => recipientIds.includes(key.id));
+
+  const toggleRecipient = (id) => {
+    setRecipientIds((previous) => (
+      previous.includes(id) ? previous.filter((other) => other !== id) : [...previous, id]
+    ));
   };
 
-  const copyToClipboard = async () => {
-    if (uploadResult) {
-      const downloadUrl = `${window.location.origin}/download/${uploadResult.transfer.id}#key=${uploadResult.decryptionKey}&tag=${uploadResult.authTag}`;
-      await navigator.clipboard.writeText(downloadUrl);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
-    }
+  const handleUpload = () => {
+    queue.startAll({
+      password,
+      protectKey: protectKey && !!password && recipients.length === 0,
+      recipients,
+      signingKey: sign ? signingKey : null,
+      expiresIn,
+      maxDownloads,
+      compression
+    }, { bundle });
+  };
+
+  // The key travels only in the URL fragment, which browsers never send to the server.
+  // A key wrapped under the password or to recipients is not in the link at all.
+  const getShareUrl = (result) => {
+    const url = `${window.location.origin}/download/${result.transfer.id}`;
+    return result.decryptionKey ? `${url}#key=${result.decryptionKey}` : url;
   };
 
-  const resetUpload = () => {
-    setFile(null);
-    setUploadResult(null);
-    setUploadProgress(0);
-    setUploadStage('');
-    setError(null);
+  const copyToClipboard = async (item) => {
+    await navigator.clipboard.writeText(getShareUrl(item.result));
+    setCopiedId(item.id);
+    setTimeout(() => setCopiedId(null), 2000);
+  };
+
+  const resetOptions = () => {
+    queue.clearFinished();
     setPassword('');
     setExpiresIn('24');
     setMaxDownloads('');
+    setBundle(false);
+    setProtectKey(false);
+    setRecipientIds([]);
+    setSign(true);
+  };
+
+  const renderActions = (item) => {
+    switch (item.status) {
+      case UploadStatus.QUEUED:
+      case UploadStatus.ENCRYPTING:
+      case UploadStatus.UPLOADING:
+        return (
+          <>
+            <button className="btn btn-icon" title="Pause" onClick={() => queue.pause(item.id)}>
+              <Pause size={18} />
+            </button>
+            <button className="btn btn-icon" title="Cancel" onClick={() => queue.cancel(item.id)}>
+              <X size={18} />
+            </button>
+          </>
+        );
+      case UploadStatus.PAUSED:
+        return (
+          <>
+            <button className="btn btn-icon" title="Resume" onClick={() => queue.resume(item.id)}>
+              <Play size={18} />
+            </button>
+            <button className="btn btn-icon" title="Cancel" onClick={() => queue.cancel(item.id)}>
+              <X size={18} />
+            </button>
+          </>
+        );
+      case UploadStatus.FAILED:
+        return (
+          <>
+            <button className="btn btn-icon" title="Retry" onClick={() => queue.resume(item.id)}>
+              <RotateCcw size={18} />
+            </button>
+            <button className="btn btn-icon" title="Remove" onClick={() => queue.remove(item.id)}>
+              <X size={18} />
+            </button>
+          </>
+        );
+      case UploadStatus.INTERRUPTED:
+        return (
+          <>
+            <label className="btn btn-icon" title="Select file to resume">
+              <FolderOpen size={18} />
+              <input
+                type="file"
+                hidden
+                onChange={(e) => e.target.files[0] && queue.reattach(item.id, e.target.files[0])}
+              />
+            </label>
+            <button className="btn btn-icon" title="Discard" onClick={() => queue.cancel(item.id)}>
+              <X size={18} />
+            </button>
+          </>
+        );
+      case UploadStatus.FINALIZING:
+        return <Loader2 className="animate-spin" size={18} />;
+      default:
+        return (
+          <button className="btn btn-icon" title="Remove" onClick={() => queue.remove(item.id)}>
+            <X size={18} />
+          </button>
+        );
+    }
   };
 
   return (
@@ -164,194 +314,271 @@ function Home() {
         </section>
 
         {/* Upload Section */}
-        {!uploadResult ? (
-          <section className="upload-section animate-fade-in">
-            <div 
-              {...getRootProps()} 
-              className={`dropzone ${isDragActive ? 'dropzone-active' : ''} ${file ? 'dropzone-has-file' : ''}`}
-            >
-              <input {...getInputProps()} />
-              
-              {file ? (
-                <div className="file-preview">
-                  <div className="file-icon">
-                    <FileText size={32} />
-                  </div>
-                  <div className="file-info">
-                    <span className="file-name">{file.name}</span>
-                    <span className="file-size">{formatFileSize(file.size)}</span>
-                  </div>
-                  <button 
-                    className="btn btn-secondary"
-                    onClick={(e) => { e.stopPropagation(); setFile(null); }}
-                  >
-                    Change
-                  </button>
-                </div>
-              ) : (
-                <div className="dropzone-content">
-                  <div className="dropzone-icon">
-                    <Upload size={32} />
-                  </div>
-                  <p className="dropzone-text">
-                    {isDragActive ? 'Drop your file here' : 'Drag & drop your file here'}
-                  </p>
-                  <p className="dropzone-subtext">or click to browse (max 500MB)</p>
-                </div>
-              )}
+        <section className="upload-section animate-fade-in">
+          <div 
+            {...getRootProps()} 
+            className={`dropzone ${isDragActive ? 'dropzone-active' : ''}`}
+          >
+            <input {...getInputProps()} />
+            <div className="dropzone-content">
+              <div className="dropzone-icon">
+                <Upload size={32} />
+              </div>
+              <p className="dropzone-text">
+                {isDragActive ? 'Drop your files here' : 'Drag & drop your files here'}
+              </p>
+              <p className="dropzone-subtext">or click to browse (max 500MB per file)</p>
             </div>
+          </div>
 
-            {file && (
-              <div className="upload-options">
-                <h3>Transfer Options</h3>
-                
-                <div className="options-grid">
-                  <div className="option-group">
-                    <label>Password Protection (optional)</label>
-                    <input 
-                      type="password"
-                      value={password}
-                      onChange={(e) => setPassword(e.target.value)}
-                      placeholder="Enter password"
-                    />
-                  </div>
-                  
-                  <div className="option-group">
-                    <label>Expires In</label>
-                    <select 
-                      value={expiresIn}
-                      onChange={(e) => setExpiresIn(e.target.value)}
-                    >
-                      <option value="1">1 hour</option>
-                      <option value="6">6 hours</option>
-                      <option value="24">24 hours</option>
-                      <option value="72">3 days</option>
-                      <option value="168">7 days</option>
-                      <option value="">Never</option>
-                    </select>
+          <label className="folder-picker">
+            <FolderOpen size={16} />
+            <span>Choose a folder</span>
+            <input type="file" hidden webkitdirectory="" onChange={handleFolderSelect} />
+          </label>
+
+          {items.length > 0 && (
+            <div className="upload-queue">
+              {started.length > 0 && (
+                <div className="upload-progress">
+                  <div className="progress-header">
+                    {isRunning ? <Loader2 className="animate-spin" size={20} /> : <CheckCircle size={20} />}
+                    <span>
+                      {started.filter((item) => item.status === UploadStatus.COMPLETED).length} of {started.length} files uploaded
+                    </span>
+                    <span className="progress-percent">{overallProgress}%</span>
                   </div>
-                  
-                  <div className="option-group">
-                    <label>Max Downloads (optional)</label>
-                    <input 
-                      type="number"
-                      value={maxDownloads}
-                      onChange={(e) => setMaxDownloads(e.target.value)}
-                      placeholder="Unlimited"
-                      min="1"
+                  <div className="progress-bar">
+                    <div 
+                      className="progress-fill" 
+                      style={{ width: `${overallProgress}%` }}
                     />
                   </div>
-                  
-                  <div className="option-group">
-                    <label>Compression Level</label>
-                    <select 
-                      value={compressionLevel}
-                      onChange={(e) => setCompressionLevel(e.target.value)}
-                    >
-                      <option value="1">Fast (Level 1)</option>
-                      <option value="3">Quick (Level 3)</option>
-                      <option value="6">Balanced (Level 6)</option>
-                      <option value="9">Maximum (Level 9)</option>
-                    </select>
-                  </div>
                 </div>
+              )}
+
+              {items.map((item) => (
+                <div key={item.id} className={`queue-item queue-item-${item.status}`}>
+                  <div className="queue-item-header">
+                    <div className="file-icon">
+                      {item.entryCount ? <Files size={20} /> : <FileText size={20} />}
+                    </div>
+                    <div className="file-info">
+                      <span className="file-name">{item.name}</span>
+                      <span className="file-size">
+                        {item.entryCount && `${item.entryCount} files · `}
+                        {formatFileSize(item.size)} · {STATUS_LABELS[item.status]}
+                      </span>
+                    </div>
+                    {![UploadStatus.READY, UploadStatus.CANCELLED, UploadStatus.INTERRUPTED].includes(item.status) && (
+                      <span className="progress-percent">{item.progress}%</span>
+                    )}
+                    <div className="queue-item-actions">
+                      {renderActions(item)}
+                    </div>
+                  </div>
 
-                {uploading ? (
-                  <div className="upload-progress">
-                    <div className="progress-header">
-                      <Loader2 className="animate-spin" size={20} />
-                      <span>{uploadStage}</span>
-                      <span className="progress-percent">{uploadProgress}%</span>
+                  {item.status === UploadStatus.READY && isCompressionGoal(compression) && (
+                    <div className="queue-item-estimate">
+                      {item.estimating && <Loader2 className="animate-spin" size={14} />}
+                      <span>
+                        {item.estimating
+                          ? 'Estimating compression...'
+                          : item.estimate?.goal === compression && describeEstimate(item.estimate)}
+                      </span>
                     </div>
+                  )}
+
+                  {RUNNING_STATUSES.includes(item.status) || item.status === UploadStatus.PAUSED ? (
                     <div className="progress-bar">
                       <div 
                         className="progress-fill" 
-                        style={{ width: `${uploadProgress}%` }}
+                        style={{ width: `${item.progress}%` }}
                       />
                     </div>
-                  </div>
-                ) : (
-                  <button className="btn btn-primary upload-btn" onClick={handleUpload}>
-                    <Shield size={18} />
-                    <span>Encrypt & Upload</span>
-                  </button>
-                )}
-
-                {error && (
-                  <div className="error-message">
-                    <AlertCircle size={18} />
-                    <span>{error}</span>
-                  </div>
-                )}
-              </div>
-            )}
-          </section>
-        ) : (
-          <section className="success-section animate-fade-in">
-            <div className="success-card card">
-              <div className="success-icon">
-                <CheckCircle size={48} />
-              </div>
-              <h2>Transfer Complete!</h2>
-              <p>Your file has been encrypted and uploaded securely.</p>
-              
-              <div className="transfer-stats">
-                <div className="stat">
-                  <span className="stat-label">Original Size</span>
-                  <span className="stat-value">{uploadResult.transfer.originalSize}</span>
+                  ) : null}
+
+                  {item.error && (
+                    <div className="error-message">
+                      <AlertCircle size={18} />
+                      <span>{item.error}</span>
+                    </div>
+                  )}
+
+                  {item.result && (
+                    <div className="download-link-section">
+                      <label>
+                        Share this secure download link
+                        ({item.result.transfer.compressedSize}, {describeCompression(item.result.transfer)}):
+                      </label>
+                      <div className="download-link-box">
+                        <input 
+                          type="text"
+                          value={getShareUrl(item.result)}
+                          readOnly
+                        />
+                        <button className="btn btn-icon" onClick={() => copyToClipboard(item)}>
+                          {copiedId === item.id ? <CheckCircle size={20} /> : <Copy size={20} />}
+                        </button>
+                        <a 
+                          href={getShareUrl(item.result)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="btn btn-icon"
+                        >
+                          <ExternalLink size={20} />
+                        </a>
+                      </div>
+                      {copiedId === item.id && <span className="copied-text">Copied to clipboard!</span>}
+                    </div>
+                  )}
                 </div>
-                <div className="stat">
-                  <span className="stat-label">Compressed Size</span>
-                  <span className="stat-value">{uploadResult.transfer.compressedSize}</span>
+              ))}
+
+              {hasFinished && !isRunning && (
+                <button className="btn btn-secondary mt-md" onClick={resetOptions}>
+                  Clear Finished Uploads
+                </button>
+              )}
+            </div>
+          )}
+
+          {readyCount > 0 && (
+            <div className="upload-options">
+              <h3>Transfer Options</h3>
+              
+              <div className="options-grid">
+                <div className="option-group">
+                  <label>Password Protection (optional)</label>
+                  <input 
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Enter password"
+                  />
                 </div>
-                <div className="stat">
-                  <span className="stat-label">Space Saved</span>
-                  <span className="stat-value success">{uploadResult.transfer.savings}</span>
+                
+                <div className="option-group">
+                  <label>Expires In</label>
+                  <select 
+                    value={expiresIn}
+                    onChange={(e) => setExpiresIn(e.target.value)}
+                  >
+                    <option value="1">1 hour</option>
+                    <option value="6">6 hours</option>
+                    <option value="24">24 hours</option>
+                    <option value="72">3 days</option>
+                    <option value="168">7 days</option>
+                    <option value="">Never</option>
+                  </select>
                 </div>
-              </div>
-
-              <div className="download-link-section">
-                <label>Share this secure download link:</label>
-                <div className="download-link-box">
+                
+                <div className="option-group">
+                  <label>Max Downloads (optional)</label>
                   <input 
-                    type="text"
-                    value={`${window.location.origin}/download/${uploadResult.transfer.id}#key=${uploadResult.decryptionKey}&tag=${uploadResult.authTag}`}
-                    readOnly
+                    type="number"
+                    value={maxDownloads}
+                    onChange={(e) => setMaxDownloads(e.target.value)}
+                    placeholder="Unlimited"
+                    min="1"
                   />
-                  <button className="btn btn-icon" onClick={copyToClipboard}>
-                    {copied ? <CheckCircle size={20} /> : <Copy size={20} />}
-                  </button>
-                  <a 
-                    href={`/download/${uploadResult.transfer.id}#key=${uploadResult.decryptionKey}&tag=${uploadResult.authTag}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="btn btn-icon"
+                </div>
+
+                <div className="option-group">
+                  <label>Compression</label>
+                  <select
+                    value={compression}
+                    onChange={(e) => setCompression(e.target.value)}
                   >
-                    <ExternalLink size={20} />
-                  </a>
+                    <optgroup label="Automatic">
+                      <option value="balanced">Balanced</option>
+                      <option value="smallest">Smallest file</option>
+                      <option value="fastest">Fastest</option>
+                    </optgroup>
+                    <optgroup label="Fixed">
+                      <option value="gzip">Gzip (compatible)</option>
+                      {ZSTD_AVAILABLE && <option value="zstd">Zstandard (faster)</option>}
+                    </optgroup>
+                  </select>
+                  {isCompressionGoal(compression) && (
+                    <span className="option-hint">
+                      Sends a 256 KB unencrypted sample of each file to estimate
+                    </span>
+                  )}
                 </div>
-                {copied && <span className="copied-text">Copied to clipboard!</span>}
               </div>
 
-              <div className="transfer-details">
-                <div className="detail">
-                  <Lock size={16} />
-                  <span>Password: {uploadResult.transfer.hasPassword ? 'Protected' : 'None'}</span>
-                </div>
-                <div className="detail">
-                  <span>Expires: {uploadResult.transfer.expiresAt ? new Date(uploadResult.transfer.expiresAt).toLocaleString() : 'Never'}</span>
-                </div>
-                <div className="detail">
-                  <span>Max Downloads: {uploadResult.transfer.maxDownloads}</span>
+              {directory.length > 0 && (
+                <div className="option-group recipient-options">
+                  <label>Encrypt to Recipients (optional)</label>
+                  <div className="recipient-list">
+                    {directory.map((key) => (
+                      <label
+                        key={key.id}
+                        className={`recipient-chip ${recipientIds.includes(key.id) ? 'selected' : ''}`}
+                        title={key.id}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={recipientIds.includes(key.id)}
+                          onChange={() => toggleRecipient(key.id)}
+                        />
+                        <KeyRound size={14} />
+                        <span>{key.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                  {recipients.length > 0 && (
+                    <span className="option-hint">
+                      The key stays out of the link; only these recipients' browsers can unlock it
+                    </span>
+                  )}
                 </div>
-              </div>
+              )}
+
+              {password && recipients.length === 0 && (
+                <label className="option-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={protectKey}
+                    onChange={(e) => setProtectKey(e.target.checked)}
+                  />
+                  <span>Keep the key out of the link; recipients unlock it with the password</span>
+                </label>
+              )}
 
-              <button className="btn btn-secondary mt-lg" onClick={resetUpload}>
-                Upload Another File
+              {signingKey && (
+                <label className="option-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={sign}
+                    onChange={(e) => setSign(e.target.checked)}
+                  />
+                  <span>Sign as {signingKey.name} ({signingKey.id}), so recipients can verify who sent it</span>
+                </label>
+              )}
+
+              {readyCount > 1 && (
+                <label className="option-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={bundle}
+                    onChange={(e) => setBundle(e.target.checked)}
+                  />
+                  <span>Send all files as one link, keeping their folders</span>
+                </label>
+              )}
+
+              <button className="btn btn-primary upload-btn" onClick={handleUpload}>
+                <Shield size={18} />
+                <span>
+                  Encrypt & Upload {readyCount === 1 ? '1 File' : `${readyCount} Files`}
+                  {bundle && readyCount > 1 && ' as One Link'}
+                </span>
               </button>
             </div>
-          </section>
-        )}
+          )}
+        </section>
 
         {/* Features */}
         <section className="features-section">
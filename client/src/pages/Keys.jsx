@@ -0,0 +1,343 @@
+import { useState, useEffect } from 'react';
+import {
+  KeyRound,
+  Plus,
+  Trash2,
+  AlertCircle,
+  Loader2,
+  RefreshCw,
+  Monitor,
+  PenLine,
+  UserCheck
+} from 'lucide-react';
+import axios from 'axios';
+import {
+  isX25519Supported,
+  isEd25519Supported,
+  generateRecipientKeyPair,
+  generateSigningKeyPair,
+  getKeyFingerprint
+} from '../lib/crypto';
+import {
+  saveKeyPair,
+  getKeyPairs,
+  deleteKeyPair,
+  saveSigningKey,
+  getSigningKeys,
+  deleteSigningKey,
+  getTrustedKeys,
+  untrustKey
+} from '../lib/keyStore';
+import './Keys.css';
+
+const API_URL = 'http://localhost:3001';
+
+function Keys() {
+  const [supported, setSupported] = useState(true);
+  const [localKeys, setLocalKeys] = useState([]);
+  const [directory, setDirectory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [creating, setCreating] = useState(false);
+  // Signing keys: this browser's own (one at most), and the senders it trusts
+  const [signingSupported, setSigningSupported] = useState(true);
+  const [signingKey, setSigningKey] = useState(null);
+  const [signingName, setSigningName] = useState('');
+  const [trustedKeys, setTrustedKeys] = useState([]);
+
+  useEffect(() => {
+    isX25519Supported().then(setSupported);
+    isEd25519Supported().then(setSigningSupported);
+    fetchKeys();
+  }, []);
+
+  const fetchKeys = async () => {
+    setLoading(true);
+    try {
+      const [stored, [signing], trusted, response] = await Promise.all([
+        getKeyPairs(),
+        getSigningKeys(),
+        getTrustedKeys(),
+        axios.get(`${API_URL}/api/keys`)
+      ]);
+      setLocalKeys(stored);
+      setSigningKey(signing || null);
+      setTrustedKeys(trusted);
+      setDirectory(response.data.keys);
+    } catch (err) {
+      console.error('Error fetching keys:', err);
+      setError('Failed to load keys. Make sure the server is running.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The private key is generated here and never leaves this browser;
+  // only the public key goes to the directory
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const { publicKey, privateKey } = await generateRecipientKeyPair();
+      const response = await axios.post(`${API_URL}/api/keys`, { name, publicKey });
+      const { key } = response.data;
+
+      await saveKeyPair({ id: key.id, name: key.name, publicKey, privateKey, createdAt: key.createdAt });
+      setName('');
+      await fetchKeys();
+    } catch (err) {
+      console.error('Register key error:', err);
+      setError(err.response?.data?.error || 'Failed to create key');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    if (!confirm('This browser will no longer be able to open transfers sent to this key. Remove it?')) return;
+
+    await deleteKeyPair(id);
+    setLocalKeys((keys) => keys.filter((key) => key.id !== id));
+  };
+
+  // Signing keys stay in this browser; recipients pin the public key from a signed transfer
+  const handleCreateSigningKey = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const { publicKey, privateKey } = await generateSigningKeyPair();
+      const record = {
+        id: await getKeyFingerprint(publicKey),
+        name: signingName.trim(),
+        publicKey,
+        privateKey,
+        createdAt: new Date().toISOString()
+      };
+      await saveSigningKey(record);
+      setSigningKey(record);
+      setSigningName('');
+    } catch (err) {
+      console.error('Create signing key error:', err);
+      setError('Failed to create signing key');
+    }
+  };
+
+  const handleRemoveSigningKey = async () => {
+    if (!confirm('Recipients who trust this key will no longer recognize your transfers. Remove it?')) return;
+
+    await deleteSigningKey(signingKey.id);
+    setSigningKey(null);
+  };
+
+  const handleUntrust = async (publicKey) => {
+    await untrustKey(publicKey);
+    setTrustedKeys((keys) => keys.filter((key) => key.publicKey !== publicKey));
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const isLocal = (id) => localKeys.some((key) => key.id === id);
+
+  return (
+    <div className="keys-page">
+      <div className="container">
+        <div className="page-header animate-fade-in">
+          <div>
+            <h1>Keys</h1>
+            <p>Receive transfers that only your browser can open, and sign the ones you send</p>
+          </div>
+          <button className="btn btn-secondary" onClick={fetchKeys}>
+            <RefreshCw size={18} />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        {error && (
+          <div className="error-banner animate-fade-in">
+            <AlertCircle size={20} />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {!supported ? (
+          <div className="error-banner animate-fade-in">
+            <AlertCircle size={20} />
+            <span>This browser does not support X25519 keys, so it cannot create or use recipient keys.</span>
+          </div>
+        ) : (
+          <form className="key-form card animate-fade-in" onSubmit={handleCreate}>
+            <div className="key-form-text">
+              <h3>Create a Key</h3>
+              <p>
+                The private key is kept in this browser and cannot be exported.
+                Senders pick your name to encrypt a transfer to you.
+              </p>
+            </div>
+            <div className="key-form-row">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Your name"
+                maxLength={64}
+                required
+              />
+              <button type="submit" className="btn btn-primary" disabled={creating || !name.trim()}>
+                {creating ? <Loader2 className="animate-spin" size={18} /> : <Plus size={18} />}
+                <span>Create & Register</span>
+              </button>
+            </div>
+          </form>
+        )}
+
+        {signingSupported && !loading && (
+          <section className="keys-section animate-fade-in">
+            <h3>Signing Key</h3>
+            {signingKey ? (
+              <div className="key-item card">
+                <div className="key-icon local">
+                  <PenLine size={20} />
+                </div>
+                <div className="key-info">
+                  <div className="key-name">{signingKey.name}</div>
+                  <div className="key-id">{signingKey.id}</div>
+                  <div className="key-hint">Uploads from this browser are signed with this key. Share the fingerprint so recipients can check it.</div>
+                </div>
+                <span className="key-date">{formatDate(signingKey.createdAt)}</span>
+                <button
+                  className="btn btn-icon danger"
+                  onClick={handleRemoveSigningKey}
+                  title="Remove signing key"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            ) : (
+              <form className="key-form card" onSubmit={handleCreateSigningKey}>
+                <p className="key-form-text">
+                  Sign your uploads so recipients can tell they came from you. The key never leaves this browser.
+                </p>
+                <div className="key-form-row">
+                  <input
+                    type="text"
+                    value={signingName}
+                    onChange={(e) => setSigningName(e.target.value)}
+                    placeholder="Label, e.g. Work laptop"
+                    maxLength={64}
+                    required
+                  />
+                  <button type="submit" className="btn btn-primary" disabled={!signingName.trim()}>
+                    <Plus size={18} />
+                    <span>Create Signing Key</span>
+                  </button>
+                </div>
+              </form>
+            )}
+          </section>
+        )}
+
+        {loading ? (
+          <div className="loading-state">
+            <Loader2 className="animate-spin" size={48} />
+            <p>Loading keys...</p>
+          </div>
+        ) : (
+          <>
+            {localKeys.length > 0 && (
+              <section className="keys-section animate-fade-in">
+                <h3>In This Browser</h3>
+                <div className="keys-list">
+                  {localKeys.map((key) => (
+                    <div key={key.id} className="key-item card">
+                      <div className="key-icon local">
+                        <Monitor size={20} />
+                      </div>
+                      <div className="key-info">
+                        <div className="key-name">{key.name}</div>
+                        <div className="key-id">{key.id}</div>
+                      </div>
+                      <span className="key-date">{formatDate(key.createdAt)}</span>
+                      <button
+                        className="btn btn-icon danger"
+                        onClick={() => handleRemove(key.id)}
+                        title="Remove from this browser"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {trustedKeys.length > 0 && (
+              <section className="keys-section animate-fade-in">
+                <h3>Trusted Senders</h3>
+                <div className="keys-list">
+                  {trustedKeys.map((key) => (
+                    <div key={key.publicKey} className="key-item card">
+                      <div className="key-icon">
+                        <UserCheck size={20} />
+                      </div>
+                      <div className="key-info">
+                        <div className="key-name">{key.name}</div>
+                        <div className="key-id" title={key.publicKey}>{key.fingerprint}</div>
+                      </div>
+                      <span className="key-date">{formatDate(key.trustedAt)}</span>
+                      <button
+                        className="btn btn-icon danger"
+                        onClick={() => handleUntrust(key.publicKey)}
+                        title="Stop trusting this sender"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            <section className="keys-section animate-fade-in">
+              <h3>Key Directory</h3>
+              {directory.length === 0 ? (
+                <div className="empty-state card">
+                  <KeyRound size={48} />
+                  <h3>No Keys Registered</h3>
+                  <p>Create the first key to receive transfers</p>
+                </div>
+              ) : (
+                <div className="keys-list">
+                  {directory.map((key) => (
+                    <div key={key.id} className="key-item card">
+                      <div className="key-icon">
+                        <KeyRound size={20} />
+                      </div>
+                      <div className="key-info">
+                        <div className="key-name">
+                          {key.name}
+                          {isLocal(key.id) && <span className="key-badge">This browser</span>}
+                        </div>
+                        <div className="key-id" title={key.publicKey}>{key.id}</div>
+                      </div>
+                      <span className="key-date">{formatDate(key.createdAt)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Keys;
@@ -8,16 +8,21 @@ const __dirname = path.dirname(__filename);
 const DB_FILE = path.join(__dirname, 'data.json');
 
 // Initialize database file
+function emptyDatabase() {
+  return { transfers: [], logs: [], sessions: [], dictionaries: [], keys: [] };
+}
+
 function loadDatabase() {
   try {
     if (fs.existsSync(DB_FILE)) {
       const data = fs.readFileSync(DB_FILE, 'utf8');
-      return JSON.parse(data);
+      // Older database files predate some collections
+      return { ...emptyDatabase(), ...JSON.parse(data) };
     }
   } catch (error) {
     console.error('Error loading database:', error);
   }
-  return { transfers: [], logs: [] };
+  return emptyDatabase();
 }
 
 function saveDatabase(data) {
@@ -32,7 +37,7 @@ let db = loadDatabase();
 
 export function initDatabase() {
   if (!fs.existsSync(DB_FILE)) {
-    saveDatabase({ transfers: [], logs: [] });
+    saveDatabase(emptyDatabase());
   }
   console.log('✅ Database initialized successfully');
 }
@@ -88,6 +93,11 @@ export const transferDb = {
     }
   },
 
+  // Active transfers that need the dictionary to be decompressed
+  countByDictionary: (dictionaryId) => {
+    return db.transfers.filter(t => t.compression_dictionary === dictionaryId && t.status === 'active').length;
+  },
+
   cleanupExpired: () => {
     const now = new Date();
     db.transfers.forEach(t => {
@@ -119,4 +129,124 @@ export const logDb = {
   }
 };
 
+// Resumable upload session operations
+export const sessionDb = {
+  create: (session) => {
+    const newSession = {
+      ...session,
+      received: {},
+      status: 'open',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    db.sessions.push(newSession);
+    saveDatabase(db);
+    return newSession;
+  },
+
+  getById: (id) => {
+    return db.sessions.find(s => s.id === id);
+  },
+
+  getAll: () => {
+    return db.sessions.filter(s => s.status === 'open');
+  },
+
+  addChunk: (id, index, chunk) => {
+    const session = db.sessions.find(s => s.id === id);
+    if (session) {
+      session.received[index] = chunk;
+      session.updated_at = new Date().toISOString();
+      saveDatabase(db);
+    }
+    return session;
+  },
+
+  update: (id, fields) => {
+    const session = db.sessions.find(s => s.id === id);
+    if (session) {
+      Object.assign(session, fields, { updated_at: new Date().toISOString() });
+      saveDatabase(db);
+    }
+    return session;
+  },
+
+  delete: (id) => {
+    const index = db.sessions.findIndex(s => s.id === id);
+    if (index !== -1) {
+      db.sessions.splice(index, 1);
+      saveDatabase(db);
+    }
+  },
+
+  // Returns the sessions that were expired so their chunks can be removed
+  cleanupExpired: () => {
+    const now = new Date();
+    const expired = db.sessions.filter(s => s.expires_at && new Date(s.expires_at) < now);
+    if (expired.length > 0) {
+      db.sessions = db.sessions.filter(s => !expired.includes(s));
+      saveDatabase(db);
+    }
+    return expired;
+  }
+};
+
+// Compression dictionary operations (the content lives in server/dictionaries)
+export const dictionaryDb = {
+  create: (dictionary) => {
+    const newDictionary = {
+      ...dictionary,
+      created_at: new Date().toISOString()
+    };
+    db.dictionaries.push(newDictionary);
+    saveDatabase(db);
+    return newDictionary;
+  },
+
+  getById: (id) => {
+    return db.dictionaries.find(d => d.id === id);
+  },
+
+  getByName: (name) => {
+    return db.dictionaries.find(d => d.name === name);
+  },
+
+  getAll: () => {
+    return [...db.dictionaries].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  },
+
+  delete: (id) => {
+    const index = db.dictionaries.findIndex(d => d.id === id);
+    if (index !== -1) {
+      db.dictionaries.splice(index, 1);
+      saveDatabase(db);
+    }
+  }
+};
+
+// Key directory: recipients' X25519 public keys (private keys stay in their browsers)
+export const keyDb = {
+  create: (key) => {
+    const newKey = {
+      ...key,
+      created_at: new Date().toISOString()
+    };
+    db.keys.push(newKey);
+    saveDatabase(db);
+    return newKey;
+  },
+
+  getById: (id) => {
+    return db.keys.find(k => k.id === id);
+  },
+
+  getByName: (name) => {
+    return db.keys.find(k => k.name.toLowerCase() === name.toLowerCase());
+  },
+
+  getAll: () => {
+    return [...db.keys].sort((a, b) => a.name.localeCompare(b.name));
+  }
+};
+
 export default db;
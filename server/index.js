@@ -8,8 +8,12 @@ import dotenv from "dotenv";
 
 // Routes
 import uploadRoutes from "./routes/upload.js";
+import sessionRoutes from "./routes/sessions.js";
+import tusRoutes from "./routes/tus.js";
 import downloadRoutes from "./routes/download.js";
 import transferRoutes from "./routes/transfers.js";
+import dictionaryRoutes from "./routes/dictionaries.js";
+import keyRoutes from "./routes/keys.js";
 
 // Database
 import { initDatabase } from "./db/database.js";
@@ -29,12 +33,38 @@ const io = new Server(httpServer, {
 });
 
 // Middleware
-app.use(
-  cors({
-    origin: process.env.CLIENT_URL || "http://localhost:5173",
-    credentials: true,
-  })
-);
+const corsOptions = {
+  origin: process.env.CLIENT_URL || "http://localhost:5173",
+  credentials: true,
+  exposedHeaders: [
+    "X-Encryption-IV",
+    "X-Container-Version",
+    "X-Compression-Algorithm",
+    // Range requests on /stream
+    "Accept-Ranges",
+    "Content-Range",
+    "ETag",
+    // tus protocol
+    "Location",
+    "Tus-Resumable",
+    "Tus-Version",
+    "Tus-Extension",
+    "Tus-Max-Size",
+    "Upload-Offset",
+    "Upload-Length",
+    "Upload-Expires",
+    "X-Transfer-Id",
+    "X-Download-Url",
+    "X-Decryption-Key",
+  ],
+};
+
+// tus answers OPTIONS itself, so it is mounted ahead of the global CORS handler
+app.use("/api/upload/tus", cors({ ...corsOptions, preflightContinue: true }), tusRoutes);
+
+app.use(cors(corsOptions));
+// Upload sessions take raw chunk bodies and parse their other requests themselves
+app.use("/api/upload/sessions", sessionRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -55,6 +85,8 @@ app.set("io", io);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/download", downloadRoutes);
 app.use("/api/transfers", transferRoutes);
+app.use("/api/dictionaries", dictionaryRoutes);
+app.use("/api/keys", keyRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+
+/**
+ * Middleware limiting a route to `Authorization: Bearer <ADMIN_TOKEN>`.
+ * Without ADMIN_TOKEN set on the server, `feature` is disabled.
+ */
+export function requireAdmin(feature) {
+  return (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+      return res.status(503).json({
+        error: `${feature} is disabled`,
+        message: 'Set ADMIN_TOKEN on the server to enable it'
+      });
+    }
+
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+  };
+}
+
+export default {
+  requireAdmin
+};
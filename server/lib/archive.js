@@ -0,0 +1,436 @@
+import zlib from 'zlib';
+import { Duplex, Readable, pipeline } from 'stream';
+
+import compression from './compression.js';
+import compressionPool from './compressionPool.js';
+
+/**
+ * ZIP and tar.gz archives of a transfer, written on the fly from its
+ * decrypted bytes. Entries are `{ path, size, offset, type, lastModified }`
+ * manifest entries laid out back to back, so the archive is produced in a
+ * single pass without temp files or knowing its final size.
+ */
+
+export const ArchiveFormat = {
+  ZIP: 'zip',
+  TAR_GZ: 'tar.gz'
+};
+
+export const ZipMethod = {
+  STORE: 'store',
+  DEFLATE: 'deflate'
+};
+
+const ZIP_METHOD_IDS = {
+  [ZipMethod.STORE]: 0,
+  [ZipMethod.DEFLATE]: 8
+};
+
+const MIME_TYPES = {
+  [ArchiveFormat.ZIP]: 'application/zip',
+  [ArchiveFormat.TAR_GZ]: 'application/gzip'
+};
+
+// Sizes and offsets from here on need ZIP64 fields
+const ZIP32_LIMIT = 0xFFFFFFFF;
+
+// Deflate can grow incompressible data slightly, so entries this large
+// are written with ZIP64 sizes before their compressed size is known
+const ZIP64_ENTRY_SIZE = 0xF0000000;
+
+const ZIP_FLAGS = 0x0808; // bit 3: sizes in a data descriptor, bit 11: UTF-8 names
+const ZIP_VERSION = 20;
+const ZIP64_VERSION = 45;
+const UNIX_HOST = 3 << 8;
+const FILE_ATTRIBUTES = (0o100644 << 16) >>> 0;
+
+const TAR_BLOCK = 512;
+const TAR_MAX_SIZE = 0o77777777777;
+
+/**
+ * Whether `format` is an archive format downloads can be packed as
+ */
+export function isArchiveFormat(format) {
+  return Object.values(ArchiveFormat).includes(format);
+}
+
+/**
+ * Download filename for a transfer packed as `format`
+ */
+export function getArchiveFilename(name, format) {
+  return `${name || 'transfer'}.${format}`;
+}
+
+export function getArchiveMimeType(format) {
+  return MIME_TYPES[format];
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 as used by ZIP; zlib.crc32 where available (Node.js 20.15+)
+ */
+export function crc32(data, value = 0) {
+  if (zlib.crc32) return zlib.crc32(data, value);
+
+  let c = (value ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Reads exact byte counts off a stream of chunks
+ */
+class ChunkReader {
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.leftover = null;
+  }
+
+  async next(max) {
+    let chunk = this.leftover;
+    this.leftover = null;
+
+    if (!chunk) {
+      const { value, done } = await this.iterator.next();
+      if (done) return null;
+      chunk = value;
+    }
+    if (chunk.length > max) {
+      this.leftover = chunk.subarray(max);
+      return chunk.subarray(0, max);
+    }
+    return chunk;
+  }
+
+  /**
+   * The next `size` bytes, in chunks
+   */
+  async *take(size) {
+    let remaining = size;
+    while (remaining > 0) {
+      const chunk = await this.next(remaining);
+      if (!chunk) {
+        throw new Error('Transfer ended before all of its files were read');
+      }
+      remaining -= chunk.length;
+      yield chunk;
+    }
+  }
+
+  /**
+   * Read to the end, so the whole blob is verified
+   */
+  async drain() {
+    while (await this.next(Infinity));
+  }
+}
+
+function dosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function entryDate(entry, modified) {
+  const date = new Date(entry.lastModified || modified || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function zipLocalHeader(name, method, when, zip64) {
+  const extra = zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+  if (zip64) {
+    // Sizes follow in the data descriptor; zeros here
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(16, 2);
+  }
+
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(zip64 ? ZIP64_VERSION : ZIP_VERSION, 4);
+  header.writeUInt16LE(ZIP_FLAGS, 6);
+  header.writeUInt16LE(method, 8);
+  header.writeUInt16LE(when.time, 10);
+  header.writeUInt16LE(when.date, 12);
+  header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 18);
+  header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+  return Buffer.concat([header, name, extra]);
+}
+
+function zipDataDescriptor({ crc, compressedSize, size, zip64 }) {
+  const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  if (zip64) {
+    descriptor.writeBigUInt64LE(BigInt(compressedSize), 8);
+    descriptor.writeBigUInt64LE(BigInt(size), 16);
+  } else {
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+  }
+  return descriptor;
+}
+
+function zipCentralHeader({ name, method, when, crc, compressedSize, size, offset, zip64 }) {
+  const needs64 = zip64 || compressedSize >= ZIP32_LIMIT || offset >= ZIP32_LIMIT;
+  const extra = needs64 ? Buffer.alloc(28) : Buffer.alloc(0);
+  if (needs64) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(24, 2);
+    extra.writeBigUInt64LE(BigInt(size), 4);
+    extra.writeBigUInt64LE(BigInt(compressedSize), 12);
+    extra.writeBigUInt64LE(BigInt(offset), 20);
+  }
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(UNIX_HOST | (needs64 ? ZIP64_VERSION : ZIP_VERSION), 4);
+  header.writeUInt16LE(needs64 ? ZIP64_VERSION : ZIP_VERSION, 6);
+  header.writeUInt16LE(ZIP_FLAGS, 8);
+  header.writeUInt16LE(method, 10);
+  header.writeUInt16LE(when.time, 12);
+  header.writeUInt16LE(when.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(needs64 ? ZIP32_LIMIT : compressedSize, 20);
+  header.writeUInt32LE(needs64 ? ZIP32_LIMIT : size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt32LE(FILE_ATTRIBUTES, 38);
+  header.writeUInt32LE(needs64 ? ZIP32_LIMIT : offset, 42);
+  return Buffer.concat([header, name, extra]);
+}
+
+function zipEnd(count, directorySize, directoryOffset) {
+  const records = [];
+  const needs64 = count >= 0xFFFF || directorySize >= ZIP32_LIMIT || directoryOffset >= ZIP32_LIMIT;
+
+  if (needs64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE(UNIX_HOST | ZIP64_VERSION, 12);
+    record.writeUInt16LE(ZIP64_VERSION, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(directorySize), 40);
+    record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(directoryOffset + directorySize), 8);
+    locator.writeUInt32LE(1, 16);
+    records.push(record, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(count, 0xFFFF), 8);
+  end.writeUInt16LE(Math.min(count, 0xFFFF), 10);
+  end.writeUInt32LE(needs64 ? ZIP32_LIMIT : directorySize, 12);
+  end.writeUInt32LE(needs64 ? ZIP32_LIMIT : directoryOffset, 16);
+  records.push(end);
+  return Buffer.concat(records);
+}
+
+/**
+ * Deflate an entry's chunks, updating `state.crc` on the way in
+ */
+async function* deflateEntry(chunks, state, level) {
+  const deflater = zlib.createDeflateRaw({ level });
+  const input = Readable.from((async function* () {
+    for await (const chunk of chunks) {
+      state.crc = crc32(chunk, state.crc);
+      yield chunk;
+    }
+  })());
+
+  pipeline(input, deflater, () => {});
+  yield* deflater;
+}
+
+async function* writeZip(source, entries, { method, modified, level }) {
+  const reader = new ChunkReader(source);
+  const methodId = ZIP_METHOD_IDS[method] ?? ZIP_METHOD_IDS[ZipMethod.DEFLATE];
+  const directory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, 'utf8');
+    const when = dosDateTime(entryDate(entry, modified));
+    const zip64 = entry.size >= ZIP64_ENTRY_SIZE || offset >= ZIP32_LIMIT;
+    const state = { crc: 0 };
+    let compressedSize = 0;
+
+    const localHeader = zipLocalHeader(name, methodId, when, zip64);
+    yield localHeader;
+
+    const chunks = reader.take(entry.size);
+    const data = methodId === 0
+      ? (async function* () {
+        for await (const chunk of chunks) {
+          state.crc = crc32(chunk, state.crc);
+          yield chunk;
+        }
+      })()
+      : deflateEntry(chunks, state, level);
+
+    for await (const chunk of data) {
+      compressedSize += chunk.length;
+      yield chunk;
+    }
+
+    const record = { name, method: methodId, when, crc: state.crc, compressedSize, size: entry.size, offset, zip64 };
+    const descriptor = zipDataDescriptor(record);
+    yield descriptor;
+
+    directory.push(zipCentralHeader(record));
+    offset += localHeader.length + compressedSize + descriptor.length;
+  }
+
+  await reader.drain();
+
+  const central = Buffer.concat(directory);
+  yield central;
+  yield zipEnd(entries.length, central.length, offset);
+}
+
+/**
+ * PAX extended header record: `<length> <key>=<value>\n`, where the
+ * length counts its own digits
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return `${length}${body}`;
+}
+
+/**
+ * Split a path into ustar's 155-byte prefix and 100-byte name,
+ * or null when it does not fit
+ */
+function splitTarPath(entryPath) {
+  if (Buffer.byteLength(entryPath) <= 100) return { name: entryPath, prefix: '' };
+
+  for (let i = entryPath.indexOf('/'); i !== -1; i = entryPath.indexOf('/', i + 1)) {
+    const prefix = entryPath.slice(0, i);
+    const name = entryPath.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+      return { name, prefix };
+    }
+  }
+  return null;
+}
+
+function writeOctal(block, value, offset, length) {
+  block.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+function tarHeader({ name, prefix = '', size, mtime, type = '0' }) {
+  const block = Buffer.alloc(TAR_BLOCK);
+  block.write(name, 0, 100, 'utf8');
+  writeOctal(block, 0o644, 100, 8);
+  writeOctal(block, 0, 108, 8);
+  writeOctal(block, 0, 116, 8);
+  writeOctal(block, size > TAR_MAX_SIZE ? 0 : size, 124, 12);
+  writeOctal(block, Math.max(0, Math.floor(mtime.getTime() / 1000)), 136, 12);
+  block.write(type, 156, 1, 'ascii');
+  block.write('ustar\0', 257, 6, 'ascii');
+  block.write('00', 263, 2, 'ascii');
+  block.write(prefix, 345, 155, 'utf8');
+
+  // The checksum is summed with its own field as spaces
+  block.fill(' ', 148, 156);
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return block;
+}
+
+function tarPadding(size) {
+  return Buffer.alloc((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
+}
+
+async function* writeTar(source, entries, { modified }) {
+  const reader = new ChunkReader(source);
+
+  for (const entry of entries) {
+    const mtime = entryDate(entry, modified);
+    const split = splitTarPath(entry.path);
+
+    // Long paths and huge files go in a PAX extended header
+    if (!split || entry.size > TAR_MAX_SIZE) {
+      const records = Buffer.from(
+        (split ? '' : paxRecord('path', entry.path))
+        + (entry.size > TAR_MAX_SIZE ? paxRecord('size', entry.size) : ''),
+        'utf8'
+      );
+      yield tarHeader({ name: 'PaxHeader', size: records.length, mtime, type: 'x' });
+      yield records;
+      yield tarPadding(records.length);
+    }
+
+    // Without a fitting split, the PAX path wins; the ustar name is a fallback
+    yield tarHeader({ ...(split || { name: entry.path.slice(-100) }), size: entry.size, mtime });
+    yield* reader.take(entry.size);
+    yield tarPadding(entry.size);
+  }
+
+  await reader.drain();
+  yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+/**
+ * Streams that turn a transfer's decrypted bytes into an archive of its
+ * entries, for the end of a download pipeline. `method` ('deflate' or
+ * 'store') applies to ZIP; `modified` dates entries without their own.
+ */
+export function createArchiveStreams(entries, {
+  format,
+  method = ZipMethod.DEFLATE,
+  modified = null,
+  level = compression.CompressionLevel.DEFAULT
+} = {}) {
+  if (format === ArchiveFormat.TAR_GZ) {
+    return [
+      Duplex.from(async function* (source) {
+        yield* writeTar(source, entries, { modified });
+      }),
+      compressionPool.createCompressStream(compression.Algorithm.GZIP, level)
+    ];
+  }
+
+  return [
+    Duplex.from(async function* (source) {
+      yield* writeZip(source, entries, { method, modified, level });
+    })
+  ];
+}
+
+export default {
+  ArchiveFormat,
+  ZipMethod,
+  isArchiveFormat,
+  getArchiveFilename,
+  getArchiveMimeType,
+  crc32,
+  createArchiveStreams
+};
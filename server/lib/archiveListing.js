@@ -0,0 +1,569 @@
+import zlib from 'zlib';
+import { Transform } from 'stream';
+import { finished } from 'stream/promises';
+
+import { ByteSlice } from './pipeline.js';
+import bundle from './bundle.js';
+
+/**
+ * Listings of uploaded ZIP and tar(.gz) archives. The entries (names,
+ * sizes, dates, and where each one's data starts) are read while the
+ * upload streams through, then stored encrypted under the transfer key,
+ * so recipients can browse an archive and download single entries.
+ */
+
+export const LISTING_VERSION = 1;
+
+export const ListingFormat = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZ: 'tar.gz'
+};
+
+// Most entries listed; larger archives get a truncated listing
+export const MAX_LISTING_ENTRIES = 10000;
+
+// Longest encrypted listing (hex) accepted from the browser
+export const MAX_LISTING_LENGTH = 4 * 1024 * 1024;
+
+// Bytes from the front of an upload used to recognize an archive
+export const DETECT_SAMPLE_SIZE = 64 * 1024;
+
+// The ZIP central directory is read from the end of the upload; archives
+// whose directory does not fit in this much trailing data are not listed
+const ZIP_TAIL_SIZE = 8 * 1024 * 1024;
+
+// Largest PAX or GNU long-name record read from a tar stream
+const MAX_TAR_RECORD = 64 * 1024;
+
+// Only files named as archives are inspected; .docx, .jar and the like
+// are ZIP files too, but not ones a recipient would browse
+const ARCHIVE_EXTENSIONS = {
+  [ListingFormat.ZIP]: /\.zip$/i,
+  [ListingFormat.TAR]: /\.tar$/i,
+  [ListingFormat.TAR_GZ]: /\.(tar\.gz|tgz)$/i
+};
+
+const TAR_BLOCK = 512;
+const ZIP32_LIMIT = 0xFFFFFFFF;
+
+const ZipMethod = {
+  STORE: 0,
+  DEFLATE: 8
+};
+
+/**
+ * Error carrying an HTTP status for the route to respond with
+ */
+function requestError(status, error, message) {
+  const err = new Error(message || error);
+  err.status = status;
+  err.error = error;
+  return err;
+}
+
+function isTarHeader(block) {
+  return block.length >= TAR_BLOCK && block.toString('latin1', 257, 262) === 'ustar';
+}
+
+function detectFormat(head) {
+  if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) return ListingFormat.ZIP;
+  if (isTarHeader(head)) return ListingFormat.TAR;
+
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+    try {
+      const start = zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      if (isTarHeader(start)) return ListingFormat.TAR_GZ;
+    } catch {
+      // Not gzip after all
+    }
+  }
+  return null;
+}
+
+/**
+ * Recognize an archive from an upload's filename and first bytes; null
+ * otherwise. Gzip data counts as tar.gz when it decompresses to a ustar header.
+ */
+export function detectArchive(head, filename) {
+  const format = detectFormat(head);
+  return format && ARCHIVE_EXTENSIONS[format].test(filename || '') ? format : null;
+}
+
+function fromDosDateTime(date, time) {
+  const parsed = new Date(
+    1980 + (date >> 9),
+    ((date >> 5) & 0x0F) - 1,
+    date & 0x1F,
+    time >> 11,
+    (time >> 5) & 0x3F,
+    (time & 0x1F) * 2
+  );
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Parse a ZIP central directory out of the archive's last bytes.
+ * `tailOffset` is where `tail` starts in the archive. Returns null when
+ * the directory is missing or not within the tail.
+ */
+export function parseZipDirectory(tail, tailOffset) {
+  let end = -1;
+  for (let i = tail.length - 22; i >= Math.max(0, tail.length - 22 - 0xFFFF); i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  let count = tail.readUInt16LE(end + 10);
+  let directoryOffset = tail.readUInt32LE(end + 16);
+
+  // ZIP64: the real values are in a record the locator points to
+  const locator = end - 20;
+  if (locator >= 0 && tail.readUInt32LE(locator) === 0x07064b50) {
+    const record = Number(tail.readBigUInt64LE(locator + 8)) - tailOffset;
+    if (record < 0 || tail.readUInt32LE(record) !== 0x06064b50) return null;
+    count = Number(tail.readBigUInt64LE(record + 32));
+    directoryOffset = Number(tail.readBigUInt64LE(record + 48));
+  }
+
+  let position = directoryOffset - tailOffset;
+  if (position < 0) return null;
+
+  const entries = [];
+  let truncated = false;
+
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > tail.length || tail.readUInt32LE(position) !== 0x02014b50) return null;
+
+    const flags = tail.readUInt16LE(position + 8);
+    const nameLength = tail.readUInt16LE(position + 28);
+    const extraLength = tail.readUInt16LE(position + 30);
+    const commentLength = tail.readUInt16LE(position + 32);
+    const name = tail.toString(flags & 0x0800 ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+
+    let compressedSize = tail.readUInt32LE(position + 20);
+    let size = tail.readUInt32LE(position + 24);
+    let offset = tail.readUInt32LE(position + 42);
+
+    // ZIP64 extra field: 64-bit values for the fields set to 0xFFFFFFFF, in this order
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = tail.readUInt16LE(extra);
+      const length = tail.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (size === ZIP32_LIMIT) { size = Number(tail.readBigUInt64LE(field)); field += 8; }
+        if (compressedSize === ZIP32_LIMIT) { compressedSize = Number(tail.readBigUInt64LE(field)); field += 8; }
+        if (offset === ZIP32_LIMIT) offset = Number(tail.readBigUInt64LE(field));
+      }
+      extra += 4 + length;
+    }
+
+    if (entries.length < MAX_LISTING_ENTRIES) {
+      const directory = name.endsWith('/');
+      entries.push({
+        path: bundle.normalizeEntryPath(name),
+        size,
+        compressedSize,
+        modified: fromDosDateTime(tail.readUInt16LE(position + 14), tail.readUInt16LE(position + 12)),
+        offset,
+        method: tail.readUInt16LE(position + 10),
+        ...(directory && { directory }),
+        ...((flags & 0x0001) && { encrypted: true })
+      });
+    } else {
+      truncated = true;
+    }
+
+    position = extraEnd + commentLength;
+  }
+
+  return { entries: entries.filter((entry) => entry.path), truncated };
+}
+
+function readTarString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+// Octal, or base-256 (GNU) when the high bit of the first byte is set
+function readTarNumber(block, start, length) {
+  if (block[start] & 0x80) {
+    let value = block[start] & 0x7F;
+    for (let i = start + 1; i < start + length; i++) value = value * 256 + block[i];
+    return value;
+  }
+  return parseInt(readTarString(block, start, length).trim() || '0', 8);
+}
+
+function tarChecksumValid(block) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === readTarNumber(block, 148, 8);
+}
+
+function parsePaxRecords(data) {
+  const values = {};
+  let position = 0;
+  while (position < data.length) {
+    const space = data.indexOf(0x20, position);
+    if (space === -1) break;
+    const length = parseInt(data.toString('latin1', position, space));
+    if (!(length > 0)) break;
+
+    const record = data.toString('utf8', space + 1, position + length - 1);
+    const equals = record.indexOf('=');
+    if (equals !== -1) values[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+  return values;
+}
+
+/**
+ * Incremental tar header parser: fed the tar stream in chunks, it skips
+ * over file data and collects an entry per header
+ */
+class TarParser {
+  constructor() {
+    this.entries = [];
+    this.truncated = false;
+    this.position = 0;
+    this.header = Buffer.alloc(0);
+    // Data still to skip, or to collect for PAX / long-name records
+    this.skip = 0;
+    this.record = null;
+    this.pending = {};
+    this.done = false;
+  }
+
+  write(chunk) {
+    let data = chunk;
+
+    while (data.length > 0 && !this.done) {
+      if (this.skip > 0) {
+        const length = Math.min(this.skip, data.length);
+        if (this.record) this.record.chunks.push(data.subarray(0, length));
+        this.skip -= length;
+        this.position += length;
+        data = data.subarray(length);
+        if (this.skip === 0 && this.record) this.finishRecord();
+        continue;
+      }
+
+      const needed = TAR_BLOCK - this.header.length;
+      this.header = Buffer.concat([this.header, data.subarray(0, needed)]);
+      this.position += Math.min(needed, data.length);
+      data = data.subarray(needed);
+
+      if (this.header.length === TAR_BLOCK) {
+        const block = this.header;
+        this.header = Buffer.alloc(0);
+        this.readHeader(block);
+      }
+    }
+  }
+
+  readHeader(block) {
+    // A zero block marks the end of the archive
+    if (block.every((byte) => byte === 0)) {
+      this.done = true;
+      return;
+    }
+    if (!tarChecksumValid(block)) {
+      throw new Error('Invalid tar header');
+    }
+
+    const type = String.fromCharCode(block[156] || 0x30);
+    const size = this.pending.size ?? readTarNumber(block, 124, 12);
+    const padded = Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === 'x' || type === 'L') {
+      if (size > MAX_TAR_RECORD) throw new Error('Tar record too large');
+      this.record = { type, chunks: [], size };
+      this.skip = padded;
+      if (padded === 0) this.finishRecord();
+      return;
+    }
+
+    const prefix = readTarString(block, 345, 155);
+    const name = this.pending.path ?? (prefix ? `${prefix}/` : '') + readTarString(block, 0, 100);
+    const mtime = this.pending.mtime ?? readTarNumber(block, 136, 12);
+    this.pending = {};
+
+    // Regular files and directories are listed; links and the like are not
+    if (type === '0' || type === '7' || type === '5') {
+      const path = bundle.normalizeEntryPath(name);
+      if (path && this.entries.length < MAX_LISTING_ENTRIES) {
+        this.entries.push({
+          path,
+          size: type === '5' ? 0 : size,
+          modified: new Date(mtime * 1000).toISOString(),
+          offset: this.position,
+          ...(type === '5' && { directory: true })
+        });
+      } else if (path) {
+        this.truncated = true;
+      }
+    }
+    this.skip = padded;
+  }
+
+  finishRecord() {
+    const { type, chunks, size } = this.record;
+    const data = Buffer.concat(chunks).subarray(0, size);
+    this.record = null;
+
+    if (type === 'L') {
+      this.pending.path = readTarString(data, 0, data.length);
+      return;
+    }
+
+    const values = parsePaxRecords(data);
+    if (values.path) this.pending.path = values.path;
+    if (values.size) this.pending.size = parseInt(values.size);
+    if (values.mtime) this.pending.mtime = Math.floor(parseFloat(values.mtime));
+  }
+}
+
+/**
+ * Reads an archive's listing off an upload as it streams through.
+ * Inspection never fails the upload: anything unreadable just leaves
+ * the transfer without a listing.
+ */
+export class ArchiveInspector {
+  constructor(format) {
+    this.format = format;
+    this.failed = false;
+    this.listing = null;
+    this.bytes = 0;
+
+    if (format === ListingFormat.ZIP) {
+      this.tail = [];
+      this.tailBytes = 0;
+    } else {
+      this.parser = new TarParser();
+    }
+    if (format === ListingFormat.TAR_GZ) {
+      this.gunzip = zlib.createGunzip();
+      this.gunzip.on('data', (chunk) => this.parse(chunk));
+      this.gunzip.on('error', () => { this.failed = true; });
+    }
+  }
+
+  parse(chunk) {
+    if (this.failed || this.parser.done) return;
+    try {
+      this.parser.write(chunk);
+    } catch {
+      this.failed = true;
+    }
+  }
+
+  async write(chunk) {
+    this.bytes += chunk.length;
+
+    if (this.tail) {
+      // Keep only the last ZIP_TAIL_SIZE bytes or so
+      this.tail.push(chunk);
+      this.tailBytes += chunk.length;
+      while (this.tailBytes - this.tail[0].length >= ZIP_TAIL_SIZE) {
+        this.tailBytes -= this.tail.shift().length;
+      }
+    } else if (this.gunzip) {
+      if (this.failed || this.parser.done) return;
+      await new Promise((resolve) => this.gunzip.write(chunk, resolve));
+    } else {
+      this.parse(chunk);
+    }
+  }
+
+  async end() {
+    if (this.gunzip) {
+      // Once the end-of-archive marker is seen, the rest need not be decompressed
+      if (!this.failed && !this.parser.done) {
+        this.gunzip.end();
+        await finished(this.gunzip).catch(() => { this.failed = true; });
+      }
+      this.gunzip.destroy();
+    }
+    if (this.failed) return null;
+
+    let result;
+    if (this.tail) {
+      const tail = Buffer.concat(this.tail, this.tailBytes);
+      this.tail = null;
+      result = parseZipDirectory(tail, this.bytes - tail.length);
+    } else {
+      result = this.parser.done || this.parser.entries.length > 0 ? this.parser : null;
+    }
+    if (!result) return null;
+
+    return {
+      version: LISTING_VERSION,
+      format: this.format,
+      entries: result.entries,
+      truncated: result.truncated
+    };
+  }
+
+  /**
+   * Pass `source` through unchanged, inspecting it on the way; the
+   * listing is in `this.listing` once the source has ended
+   */
+  async *tap(source) {
+    for await (const chunk of source) {
+      if (!this.failed) await this.write(chunk);
+      yield chunk;
+    }
+    try {
+      this.listing = await this.end();
+    } catch {
+      this.listing = null;
+    }
+  }
+}
+
+/**
+ * An inspector for an upload named `filename` starting with `head`,
+ * or null when it is not an archive
+ */
+export function createInspector(head, filename) {
+  const format = detectArchive(head, filename);
+  return format ? new ArchiveInspector(format) : null;
+}
+
+/**
+ * Check an encrypted listing sent along with a browser-encrypted upload.
+ * The server cannot read it; only its shape and size are checked.
+ */
+export function validateEncryptedListing(listing, entryCount) {
+  if (listing === undefined || listing === null || listing === '') return;
+
+  if (typeof listing !== 'string' || !/^[0-9a-f]+$/i.test(listing) || listing.length % 2 !== 0) {
+    throw requestError(400, 'Invalid archive listing', 'The archive listing must be hex-encoded ciphertext');
+  }
+  if (listing.length > MAX_LISTING_LENGTH) {
+    throw requestError(413, 'Archive listing too large', `Listings hold at most ${MAX_LISTING_ENTRIES} entries`);
+  }
+
+  const count = parseInt(entryCount);
+  if (!(count >= 0 && count <= MAX_LISTING_ENTRIES)) {
+    throw requestError(400, 'Invalid archive entry count', `A listing holds between 0 and ${MAX_LISTING_ENTRIES} entries`);
+  }
+}
+
+/**
+ * Whether an entry's data can be cut out of the archive on download
+ */
+export function isExtractable(listing, entry) {
+  if (entry.directory || entry.encrypted) return false;
+  return listing.format !== ListingFormat.ZIP || entry.method === ZipMethod.STORE || entry.method === ZipMethod.DEFLATE;
+}
+
+/**
+ * Find a downloadable entry of an archive listing by path
+ */
+export function findArchiveEntry(listing, entryPath) {
+  const normalized = bundle.normalizeEntryPath(entryPath);
+  const entry = listing.entries.find((candidate) => candidate.path === normalized);
+
+  if (!entry) {
+    throw requestError(404, 'Entry not found in archive', `No entry "${entryPath}" in this archive`);
+  }
+  if (!isExtractable(listing, entry)) {
+    throw requestError(400, 'Entry cannot be extracted', entry.encrypted
+      ? 'The entry is password-protected inside the archive'
+      : 'Only files stored or deflated in the archive can be downloaded on their own');
+  }
+  return entry;
+}
+
+/**
+ * Pass-through stream that keeps only a ZIP entry's (compressed) data:
+ * it skips to the entry's local header, reads the name and extra field
+ * lengths from it, and ends after `compressedSize` bytes of data
+ */
+export class ZipEntrySlice extends Transform {
+  constructor(offset, compressedSize) {
+    super();
+    this.skip = offset;
+    this.header = null;
+    this.remaining = compressedSize;
+  }
+
+  _transform(chunk, encoding, callback) {
+    let data = chunk;
+
+    if (this.skip >= data.length) {
+      this.skip -= data.length;
+      return callback();
+    }
+    data = data.subarray(this.skip);
+    this.skip = 0;
+
+    // Local header: 30 fixed bytes, then name and extra field
+    if (this.header !== false) {
+      this.header = this.header ? Buffer.concat([this.header, data]) : data;
+      if (this.header.length < 30) return callback();
+
+      if (this.header.readUInt32LE(0) !== 0x04034b50) {
+        return callback(new Error('Archive entry header not found'));
+      }
+      const dataStart = 30 + this.header.readUInt16LE(26) + this.header.readUInt16LE(28);
+      data = this.header;
+      this.header = false;
+
+      if (dataStart >= data.length) {
+        this.skip = dataStart - data.length;
+        return callback();
+      }
+      data = data.subarray(dataStart);
+    }
+
+    const slice = data.subarray(0, this.remaining);
+    this.remaining -= slice.length;
+    if (slice.length > 0) this.push(slice);
+    callback();
+  }
+}
+
+/**
+ * Streams that turn the archive's decrypted bytes into one entry's content,
+ * for the end of a download pipeline. The whole archive is still read.
+ */
+export function createExtractStreams(listing, entry) {
+  if (listing.format === ListingFormat.ZIP) {
+    return [
+      new ZipEntrySlice(entry.offset, entry.compressedSize),
+      ...(entry.method === ZipMethod.DEFLATE ? [zlib.createInflateRaw()] : [])
+    ];
+  }
+
+  return [
+    ...(listing.format === ListingFormat.TAR_GZ ? [zlib.createGunzip()] : []),
+    new ByteSlice(entry.offset, entry.size)
+  ];
+}
+
+export default {
+  LISTING_VERSION,
+  ListingFormat,
+  MAX_LISTING_ENTRIES,
+  MAX_LISTING_LENGTH,
+  DETECT_SAMPLE_SIZE,
+  detectArchive,
+  parseZipDirectory,
+  ArchiveInspector,
+  createInspector,
+  validateEncryptedListing,
+  isExtractable,
+  findArchiveEntry,
+  ZipEntrySlice,
+  createExtractStreams
+};
@@ -0,0 +1,147 @@
+import path from 'path';
+
+/**
+ * Multi-file transfers ("bundles"): the files are stored back to back as
+ * one blob, compressed and encrypted like any single file. A manifest of
+ * `{ path, size, offset, type }` entries, encrypted under the same key,
+ * says where each file starts.
+ */
+
+export const MANIFEST_VERSION = 1;
+
+// Most files one transfer can bundle
+export const MAX_BUNDLE_FILES = 10000;
+
+// Longest encrypted manifest (hex) accepted from the browser
+export const MAX_MANIFEST_LENGTH = 4 * 1024 * 1024;
+
+const MAX_PATH_LENGTH = 1024;
+
+/**
+ * Error carrying an HTTP status for the route to respond with
+ */
+function requestError(status, error, message) {
+  const err = new Error(message || error);
+  err.status = status;
+  err.error = error;
+  return err;
+}
+
+/**
+ * Clean a relative path sent by a client: forward slashes, no empty,
+ * `.` or `..` segments, so it can never point outside the bundle
+ */
+export function normalizeEntryPath(name) {
+  return String(name || '')
+    .split(/[\\/]+/)
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+    .join('/')
+    .slice(0, MAX_PATH_LENGTH);
+}
+
+/**
+ * Last segment of a (client-sent or entry) path
+ */
+export function baseName(name) {
+  return normalizeEntryPath(name).split('/').pop() || String(name || '');
+}
+
+/**
+ * Collects manifest entries as files are appended to a bundle.
+ * Repeated paths get a ` (2)`, ` (3)`, ... suffix.
+ */
+export class ManifestBuilder {
+  constructor() {
+    this.entries = [];
+    this.paths = new Set();
+    this.offset = 0;
+  }
+
+  add(name, { size, type }) {
+    const entryPath = this.uniquePath(normalizeEntryPath(name) || `file-${this.entries.length + 1}`);
+    const entry = { path: entryPath, size, offset: this.offset, type: type || 'application/octet-stream' };
+
+    this.paths.add(entryPath);
+    this.entries.push(entry);
+    this.offset += size;
+    return entry;
+  }
+
+  uniquePath(entryPath) {
+    if (!this.paths.has(entryPath)) return entryPath;
+
+    const { dir, name, ext } = path.posix.parse(entryPath);
+    for (let n = 2; ; n++) {
+      const candidate = path.posix.join(dir, `${name} (${n})${ext}`);
+      if (!this.paths.has(candidate)) return candidate;
+    }
+  }
+
+  get size() {
+    return this.offset;
+  }
+
+  toJSON() {
+    return { version: MANIFEST_VERSION, entries: this.entries };
+  }
+}
+
+/**
+ * Default name for a bundle: the folder all entries share, or a file count
+ */
+export function getBundleName(entries) {
+  const [first] = entries;
+  const folder = first?.path.includes('/') ? first.path.split('/')[0] : null;
+
+  if (folder && entries.every((entry) => entry.path.startsWith(`${folder}/`))) {
+    return folder;
+  }
+  return `${entries.length} files`;
+}
+
+/**
+ * Check an encrypted manifest sent along with a browser-encrypted upload.
+ * The server cannot read it; only its shape and size are checked.
+ */
+export function validateEncryptedManifest(manifest, entryCount) {
+  if (manifest === undefined || manifest === null || manifest === '') return;
+
+  if (typeof manifest !== 'string' || !/^[0-9a-f]+$/i.test(manifest) || manifest.length % 2 !== 0) {
+    throw requestError(400, 'Invalid manifest', 'The manifest must be hex-encoded ciphertext');
+  }
+  if (manifest.length > MAX_MANIFEST_LENGTH) {
+    throw requestError(413, 'Manifest too large', `Bundles may hold at most ${MAX_BUNDLE_FILES} files`);
+  }
+
+  const count = parseInt(entryCount);
+  if (!(count >= 1 && count <= MAX_BUNDLE_FILES)) {
+    throw requestError(400, 'Invalid entry count', `A bundle holds between 1 and ${MAX_BUNDLE_FILES} files`);
+  }
+}
+
+/**
+ * Find a manifest entry by path, or by index when `selector` is a number
+ */
+export function findEntry(manifest, selector) {
+  const { entries } = manifest;
+  const entry = typeof selector === 'number'
+    ? entries[selector]
+    : entries.find((candidate) => candidate.path === normalizeEntryPath(selector));
+
+  if (!entry) {
+    throw requestError(404, 'File not found in transfer', `No entry "${selector}" in this transfer`);
+  }
+  return entry;
+}
+
+export default {
+  MANIFEST_VERSION,
+  MAX_BUNDLE_FILES,
+  MAX_MANIFEST_LENGTH,
+  normalizeEntryPath,
+  baseName,
+  ManifestBuilder,
+  getBundleName,
+  validateEncryptedManifest,
+  findEntry
+};
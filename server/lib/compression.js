@@ -1,5 +1,6 @@
 import zlib from 'zlib';
 import { promisify } from 'util';
+import { PassThrough } from 'stream';
 import { pipeline } from 'stream/promises';
 import fs from 'fs';
 
@@ -8,6 +9,16 @@ const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 const brotliCompress = promisify(zlib.brotliCompress);
 const brotliDecompress = promisify(zlib.brotliDecompress);
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+
+/**
+ * Zstandard is built into zlib from Node.js 22.15
+ */
+export const ZSTD_SUPPORTED = typeof zlib.createZstdCompress === 'function';
+
+const zstdCompress = ZSTD_SUPPORTED ? promisify(zlib.zstdCompress) : null;
+const zstdDecompress = ZSTD_SUPPORTED ? promisify(zlib.zstdDecompress) : null;
 
 /**
  * Compression levels
@@ -22,10 +33,92 @@ export const CompressionLevel = {
  * Compression algorithms
  */
 export const Algorithm = {
+  NONE: 'none',
   GZIP: 'gzip',
-  BROTLI: 'brotli'
+  BROTLI: 'brotli',
+  ZSTD: 'zstd',
+  // zlib-wrapped deflate; unlike gzip it can use a preset dictionary
+  DEFLATE: 'deflate'
 };
 
+/**
+ * Whether a transfer is compressed or stored as-is
+ */
+export const CompressionMode = {
+  COMPRESS: 'compress',
+  STORE: 'store'
+};
+
+// Bytes of a stream's head to read before deciding how to compress it
+export const ANALYSIS_SAMPLE_SIZE = 256 * 1024;
+
+// Entropy is estimated on a few blocks spread over the sample
+const SAMPLE_BLOCK_SIZE = 16 * 1024;
+const SAMPLE_BLOCKS = 4;
+
+// Below this many bytes an entropy estimate says nothing useful
+const MIN_ENTROPY_SAMPLE = 1024;
+
+// Bits per byte above which deflate-style compressors gain next to nothing
+const ENTROPY_THRESHOLD = 7.5;
+
+// Formats that are already compressed (or encrypted), by their magic bytes
+const INCOMPRESSIBLE_SIGNATURES = [
+  { format: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { format: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { format: 'webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+  { format: 'mp4', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+  { format: 'matroska', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { format: 'ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { format: 'flac', bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { format: 'mp3', bytes: [0x49, 0x44, 0x33] },
+  { format: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { format: 'gzip', bytes: [0x1f, 0x8b] },
+  { format: 'bzip2', bytes: [0x42, 0x5a, 0x68] },
+  { format: 'xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { format: 'zstd', bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { format: '7z', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { format: 'rar', bytes: [0x52, 0x61, 0x72, 0x21] },
+  { format: 'transfer blob', bytes: [0x53, 0x54, 0x50, 0x58] }
+];
+
+// Zstandard levels for CompressionLevel 1-9: FAST -> 1, DEFAULT -> 3 (zstd's
+// own default), BEST -> 19 (the highest level without the --ultra window sizes)
+const ZSTD_LEVELS = [1, 1, 1, 2, 2, 3, 3, 8, 14, 19];
+
+function getZstdLevel(level) {
+  return ZSTD_LEVELS[Math.min(Math.max(parseInt(level) || 0, 0), ZSTD_LEVELS.length - 1)];
+}
+
+function assertZstdSupported() {
+  if (!ZSTD_SUPPORTED) {
+    throw new Error(`Zstandard needs Node.js 22.15 or later (running ${process.version})`);
+  }
+}
+
+function zstdOptions(level, dictionary) {
+  return {
+    params: {
+      [zlib.constants.ZSTD_c_compressionLevel]: getZstdLevel(level)
+    },
+    ...(dictionary ? { dictionary } : {})
+  };
+}
+
+/**
+ * Whether the algorithm can prime its window with a trained dictionary
+ */
+export function supportsDictionary(algorithm) {
+  return algorithm === Algorithm.DEFLATE || (algorithm === Algorithm.ZSTD && ZSTD_SUPPORTED);
+}
+
+function assertDictionarySupported(algorithm, dictionary) {
+  if (dictionary && !supportsDictionary(algorithm)) {
+    throw new Error(`${algorithm} cannot use a compression dictionary`);
+  }
+}
+
 /**
  * Compress data using gzip
  */
@@ -58,6 +151,36 @@ export async function decompressBrotli(data) {
   return brotliDecompress(data);
 }
 
+/**
+ * Compress data using Zstandard (fast at gzip-like ratios, for logs and datasets)
+ */
+export async function compressZstd(data, level = CompressionLevel.DEFAULT, dictionary = null) {
+  assertZstdSupported();
+  return zstdCompress(data, zstdOptions(level, dictionary));
+}
+
+/**
+ * Decompress Zstandard data
+ */
+export async function decompressZstd(data, dictionary = null) {
+  assertZstdSupported();
+  return zstdDecompress(data, dictionary ? { dictionary } : {});
+}
+
+/**
+ * Compress data using zlib-wrapped deflate, optionally with a dictionary
+ */
+export async function compressDeflate(data, level = CompressionLevel.DEFAULT, dictionary = null) {
+  return deflate(data, { level, ...(dictionary ? { dictionary } : {}) });
+}
+
+/**
+ * Decompress zlib-wrapped deflate data; fails if it needs another dictionary
+ */
+export async function decompressDeflate(data, dictionary = null) {
+  return inflate(data, dictionary ? { dictionary } : {});
+}
+
 /**
  * Create gzip compression stream
  */
@@ -91,15 +214,143 @@ export function createBrotliDecompressStream() {
 }
 
 /**
- * Compress a file using streaming (for large files)
+ * Create Zstandard compression stream
+ */
+export function createZstdCompressStream(level = CompressionLevel.DEFAULT, dictionary = null) {
+  assertZstdSupported();
+  return zlib.createZstdCompress(zstdOptions(level, dictionary));
+}
+
+/**
+ * Create Zstandard decompression stream
+ */
+export function createZstdDecompressStream(dictionary = null) {
+  assertZstdSupported();
+  return zlib.createZstdDecompress(dictionary ? { dictionary } : {});
+}
+
+/**
+ * Create deflate compression stream
+ */
+export function createDeflateStream(level = CompressionLevel.DEFAULT, dictionary = null) {
+  return zlib.createDeflate({ level, ...(dictionary ? { dictionary } : {}) });
+}
+
+/**
+ * Create deflate decompression stream
+ */
+export function createInflateStream(dictionary = null) {
+  return zlib.createInflate(dictionary ? { dictionary } : {});
+}
+
+/**
+ * Whether this server can compress and decompress with the algorithm
+ */
+export function isSupported(algorithm) {
+  if (algorithm === Algorithm.ZSTD) {
+    return ZSTD_SUPPORTED;
+  }
+  return Object.values(Algorithm).includes(algorithm);
+}
+
+/**
+ * Compress a buffer with the given algorithm (and dictionary, for deflate and zstd)
+ */
+export async function compress(data, algorithm, level = CompressionLevel.DEFAULT, dictionary = null) {
+  assertDictionarySupported(algorithm, dictionary);
+  switch (algorithm) {
+    case Algorithm.NONE:
+      return data;
+    case Algorithm.GZIP:
+      return compressGzip(data, level);
+    case Algorithm.BROTLI:
+      return compressBrotli(data, level);
+    case Algorithm.ZSTD:
+      return compressZstd(data, level, dictionary);
+    case Algorithm.DEFLATE:
+      return compressDeflate(data, level, dictionary);
+    default:
+      throw new Error(`Unsupported compression algorithm: ${algorithm}`);
+  }
+}
+
+/**
+ * Decompress a buffer with the given algorithm
+ */
+export async function decompress(data, algorithm, dictionary = null) {
+  assertDictionarySupported(algorithm, dictionary);
+  switch (algorithm) {
+    case Algorithm.NONE:
+      return data;
+    case Algorithm.GZIP:
+      return decompressGzip(data);
+    case Algorithm.BROTLI:
+      return decompressBrotli(data);
+    case Algorithm.ZSTD:
+      return decompressZstd(data, dictionary);
+    case Algorithm.DEFLATE:
+      return decompressDeflate(data, dictionary);
+    default:
+      throw new Error(`Unsupported compression algorithm: ${algorithm}`);
+  }
+}
+
+/**
+ * Create a compression stream for the given algorithm
+ */
+export function createCompressStream(algorithm, level = CompressionLevel.DEFAULT, dictionary = null) {
+  assertDictionarySupported(algorithm, dictionary);
+  switch (algorithm) {
+    case Algorithm.NONE:
+      return new PassThrough();
+    case Algorithm.GZIP:
+      return createGzipStream(level);
+    case Algorithm.BROTLI:
+      return createBrotliCompressStream(level);
+    case Algorithm.ZSTD:
+      return createZstdCompressStream(level, dictionary);
+    case Algorithm.DEFLATE:
+      return createDeflateStream(level, dictionary);
+    default:
+      throw new Error(`Unsupported compression algorithm: ${algorithm}`);
+  }
+}
+
+/**
+ * Create a decompression stream for the given algorithm
+ */
+export function createDecompressStream(algorithm, dictionary = null) {
+  assertDictionarySupported(algorithm, dictionary);
+  switch (algorithm) {
+    case Algorithm.NONE:
+      return new PassThrough();
+    case Algorithm.GZIP:
+      return createGunzipStream();
+    case Algorithm.BROTLI:
+      return createBrotliDecompressStream();
+    case Algorithm.ZSTD:
+      return createZstdDecompressStream(dictionary);
+    case Algorithm.DEFLATE:
+      return createInflateStream(dictionary);
+    default:
+      throw new Error(`Unsupported compression algorithm: ${algorithm}`);
+  }
+}
+
+/**
+ * Compress a file using streaming (for large files).
+ * Content that would not shrink is stored as-is; the result says which happened.
  */
 export async function compressFile(inputPath, outputPath, algorithm = Algorithm.GZIP, level = CompressionLevel.DEFAULT) {
+  const analysis = await analyzeFile(inputPath);
+  if (analysis.mode === CompressionMode.STORE) {
+    algorithm = Algorithm.NONE;
+  }
+
   const input = fs.createReadStream(inputPath);
   const output = fs.createWriteStream(outputPath);
   
-  const compressor = algorithm === Algorithm.BROTLI 
-    ? createBrotliCompressStream(level)
-    : createGzipStream(level);
+  const compressor = createCompressStream(algorithm, level);
   
   await pipeline(input, compressor, output);
   
@@ -111,7 +362,10 @@ export async function compressFile(inputPath, outputPath, algorithm = Algorithm.
     originalSize,
     compressedSize,
     ratio: (compressedSize / originalSize * 100).toFixed(2),
-    savings: ((1 - compressedSize / originalSize) * 100).toFixed(2)
+    savings: ((1 - compressedSize / originalSize) * 100).toFixed(2),
+    algorithm,
+    mode: analysis.mode,
+    reason: analysis.reason
   };
 }
 
@@ -122,9 +376,7 @@ export async function decompressFile(inputPath, outputPath, algorithm = Algorith
   const input = fs.createReadStream(inputPath);
   const output = fs.createWriteStream(outputPath);
   
-  const decompressor = algorithm === Algorithm.BROTLI 
-    ? createBrotliDecompressStream()
-    : createGunzipStream();
+  const decompressor = createDecompressStream(algorithm);
   
   await pipeline(input, decompressor, output);
   
@@ -156,9 +408,134 @@ export function formatBytes(bytes, decimals = 2) {
 }
 
 /**
- * Auto-select best compression algorithm based on file type
+ * Audio and video are already compressed and are stored uncompressed
+ * so they stay seekable (plaintext offsets map straight to segments)
  */
-export function selectAlgorithm(mimeType) {
+export function isMediaType(mimeType) {
+  return !!mimeType && (mimeType.startsWith('video/') || mimeType.startsWith('audio/'));
+}
+
+/**
+ * Name the incompressible format the bytes start with, if any
+ */
+export function detectFormat(head) {
+  const match = INCOMPRESSIBLE_SIGNATURES.find(({ bytes, offset = 0 }) =>
+    head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte)
+  );
+  return match ? match.format : null;
+}
+
+/**
+ * Shannon entropy of a block in bits per byte (0 = constant, 8 = random)
+ */
+export function estimateEntropy(block) {
+  if (block.length === 0) return 0;
+
+  const counts = new Uint32Array(256);
+  for (const byte of block) {
+    counts[byte]++;
+  }
+
+  let entropy = 0;
+  for (const count of counts) {
+    if (count === 0) continue;
+    const p = count / block.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Evenly spaced blocks across a buffer for entropy sampling
+ */
+export function sampleBlocks(buffer) {
+  if (buffer.length <= SAMPLE_BLOCK_SIZE * SAMPLE_BLOCKS) {
+    return [buffer];
+  }
+
+  const stride = Math.floor((buffer.length - SAMPLE_BLOCK_SIZE) / (SAMPLE_BLOCKS - 1));
+  return Array.from({ length: SAMPLE_BLOCKS }, (_, i) =>
+    buffer.subarray(i * stride, i * stride + SAMPLE_BLOCK_SIZE)
+  );
+}
+
+/**
+ * Decide whether content is worth compressing, from its first bytes
+ * (magic number) and sampled blocks (entropy).
+ * Returns `{ mode, reason, format, entropy }`.
+ */
+export function analyzeContent(head, blocks = sampleBlocks(head)) {
+  const format = detectFormat(head);
+  if (format) {
+    return { mode: CompressionMode.STORE, reason: `Already compressed (${format})`, format, entropy: null };
+  }
+
+  const sampled = blocks.filter((block) => block.length >= MIN_ENTROPY_SAMPLE);
+  if (sampled.length === 0) {
+    return { mode: CompressionMode.COMPRESS, reason: 'Too small to sample', format: null, entropy: null };
+  }
+
+  // Every block has to look random; one compressible block is enough to compress
+  const entropy = Math.min(...sampled.map(estimateEntropy));
+  const rounded = parseFloat(entropy.toFixed(2));
+
+  if (entropy > ENTROPY_THRESHOLD) {
+    return { mode: CompressionMode.STORE, reason: `High entropy (${rounded} bits/byte)`, format: null, entropy: rounded };
+  }
+  return { mode: CompressionMode.COMPRESS, reason: `Compressible (${rounded} bits/byte)`, format: null, entropy: rounded };
+}
+
+/**
+ * analyzeContent for a file on disk, sampling blocks across the whole file
+ */
+export async function analyzeFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const read = async (position, length) => {
+      const buffer = Buffer.alloc(Math.min(length, size - position));
+      await handle.read(buffer, 0, buffer.length, position);
+      return buffer;
+    };
+
+    const head = await read(0, SAMPLE_BLOCK_SIZE);
+    if (size <= SAMPLE_BLOCK_SIZE * SAMPLE_BLOCKS) {
+      return analyzeContent(head, [await read(0, size)]);
+    }
+
+    const stride = Math.floor((size - SAMPLE_BLOCK_SIZE) / (SAMPLE_BLOCKS - 1));
+    const blocks = await Promise.all(
+      Array.from({ length: SAMPLE_BLOCKS }, (_, i) => read(i * stride, SAMPLE_BLOCK_SIZE))
+    );
+    return analyzeContent(head, blocks);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Auto-select best compression algorithm based on file type.
+ * An explicitly `preferred` algorithm (anything but 'auto') wins.
+ */
+export function selectAlgorithm(mimeType, preferred = null) {
+  if (preferred && preferred !== 'auto') {
+    return preferred;
+  }
+
+  if (isMediaType(mimeType)) {
+    return Algorithm.NONE;
+  }
+
+  // Zstandard is much faster on large logs and datasets at a similar ratio
+  const datasetTypes = [
+    'text/csv', 'text/tab-separated-values', 'text/x-log',
+    'application/x-ndjson', 'application/jsonl', 'application/x-sql'
+  ];
+
+  if (ZSTD_SUPPORTED && mimeType && datasetTypes.some((type) => mimeType.includes(type))) {
+    return Algorithm.ZSTD;
+  }
+
   // Brotli is better for text-based content
   const textTypes = [
     'text/', 'application/json', 'application/javascript',
@@ -183,11 +560,34 @@ export default {
   createGunzipStream,
   createBrotliCompressStream,
   createBrotliDecompressStream,
+  compressZstd,
+  decompressZstd,
+  createZstdCompressStream,
+  createZstdDecompressStream,
+  compressDeflate,
+  decompressDeflate,
+  createDeflateStream,
+  createInflateStream,
+  isSupported,
+  supportsDictionary,
+  compress,
+  decompress,
+  createCompressStream,
+  createDecompressStream,
   compressFile,
   decompressFile,
   getCompressionRatio,
   formatBytes,
+  isMediaType,
+  detectFormat,
+  estimateEntropy,
+  sampleBlocks,
+  analyzeContent,
+  analyzeFile,
   selectAlgorithm,
   CompressionLevel,
-  Algorithm
+  CompressionMode,
+  ANALYSIS_SAMPLE_SIZE,
+  Algorithm,
+  ZSTD_SUPPORTED
 };
@@ -0,0 +1,194 @@
+import os from 'os';
+import { Transform } from 'stream';
+import { Worker } from 'worker_threads';
+
+import compression from './compression.js';
+
+/**
+ * Worker threads compressing blocks in parallel. Defaults to one per core,
+ * minus one for the event loop; 0 disables the pool.
+ */
+export const COMPRESSION_WORKERS = process.env.COMPRESSION_WORKERS !== undefined
+  ? Math.max(0, parseInt(process.env.COMPRESSION_WORKERS) || 0)
+  : Math.max(1, os.availableParallelism() - 1);
+
+// Input is cut into blocks of this size, each compressed independently
+export const BLOCK_SIZE = 1024 * 1024;
+
+// Blocks queued or compressing per worker, bounding memory per upload
+const BLOCKS_PER_WORKER = 2;
+
+const WORKER_URL = new URL('./compressionWorker.js', import.meta.url);
+
+/**
+ * Fixed-size pool of worker threads, each running one task at a time.
+ * Workers start on demand and do not keep the process alive while idle.
+ */
+export class WorkerPool {
+  constructor(url, size) {
+    this.url = url;
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  /**
+   * Post `message` to the next free worker; resolves with its `result`
+   */
+  run(message) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+      if (!worker) return;
+
+      worker.task = this.queue.shift();
+      worker.ref();
+      worker.postMessage(worker.task.message);
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.url);
+    worker.task = null;
+
+    worker.on('message', ({ result, error, code }) => {
+      const { task } = worker;
+      worker.task = null;
+      worker.unref();
+      this.idle.push(worker);
+
+      if (error) {
+        task.reject(Object.assign(new Error(error), { code }));
+      } else {
+        task.resolve(result);
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task and is replaced on the next dispatch
+    worker.on('error', (error) => {
+      worker.task?.reject(error);
+      worker.task = null;
+    });
+    worker.on('exit', () => {
+      worker.task?.reject(new Error('Compression worker stopped'));
+      this.workers = this.workers.filter((w) => w !== worker);
+      this.idle = this.idle.filter((w) => w !== worker);
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  async close() {
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+}
+
+let pool = null;
+
+/**
+ * The shared compression pool, or null when it is disabled
+ */
+export function getCompressionPool() {
+  if (COMPRESSION_WORKERS === 0) return null;
+  pool ??= new WorkerPool(WORKER_URL, COMPRESSION_WORKERS);
+  return pool;
+}
+
+/**
+ * Whether independently compressed blocks can simply be concatenated.
+ * Gzip members can (pigz-style); Brotli streams cannot, and Node's zstd
+ * decoder stops after the first frame.
+ */
+export function supportsBlocks(algorithm) {
+  return algorithm === compression.Algorithm.GZIP;
+}
+
+/**
+ * Compression stream that cuts its input into blocks, compresses them on
+ * the pool in parallel and emits the results in input order
+ */
+export class BlockCompressor extends Transform {
+  constructor(pool, level, blockSize = BLOCK_SIZE) {
+    super();
+    this.pool = pool;
+    this.level = level;
+    this.blockSize = blockSize;
+    this.chunks = [];
+    this.buffered = 0;
+    this.blocks = 0;
+    this.pending = [];
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    this.buffered += chunk.length;
+    this.drain(false).then(() => callback(), callback);
+  }
+
+  _flush(callback) {
+    this.drain(true).then(() => callback(), callback);
+  }
+
+  async drain(final) {
+    // An empty input still becomes one (empty) gzip member
+    while (this.buffered >= this.blockSize || (final && (this.buffered > 0 || this.blocks === 0))) {
+      const data = Buffer.concat(this.chunks, this.buffered);
+      const block = data.subarray(0, this.blockSize);
+      const rest = data.subarray(block.length);
+      this.chunks = rest.length > 0 ? [rest] : [];
+      this.buffered = rest.length;
+      this.blocks++;
+
+      const result = this.pool.run({ level: this.level, data: block });
+      // Rejections surface when the block's turn comes; don't report them early
+      result.catch(() => {});
+      this.pending.push(result);
+
+      if (this.pending.length >= this.pool.size * BLOCKS_PER_WORKER) {
+        this.pushResult(await this.pending.shift());
+      }
+    }
+
+    if (final) {
+      while (this.pending.length > 0) {
+        this.pushResult(await this.pending.shift());
+      }
+    }
+  }
+
+  pushResult(result) {
+    this.push(Buffer.from(result.buffer, result.byteOffset, result.byteLength));
+  }
+}
+
+/**
+ * Compression stream for an upload: gzip runs block-parallel on the pool;
+ * other algorithms use zlib's streams, which run on libuv's threadpool
+ */
+export function createCompressStream(algorithm, level = compression.CompressionLevel.DEFAULT, dictionary = null) {
+  const workers = getCompressionPool();
+  if (workers && supportsBlocks(algorithm) && !dictionary) {
+    return new BlockCompressor(workers, level);
+  }
+  return compression.createCompressStream(algorithm, level, dictionary);
+}
+
+export default {
+  COMPRESSION_WORKERS,
+  BLOCK_SIZE,
+  WorkerPool,
+  BlockCompressor,
+  getCompressionPool,
+  supportsBlocks,
+  createCompressStream
+};
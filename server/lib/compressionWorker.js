@@ -0,0 +1,14 @@
+// Worker thread of the compression pool (see compressionPool.js).
+// Blocks are compressed synchronously so the work runs on this thread
+// rather than on libuv's shared threadpool.
+
+import zlib from 'zlib';
+import { parentPort } from 'worker_threads';
+
+parentPort.on('message', ({ level, data }) => {
+  try {
+    parentPort.postMessage({ result: zlib.gzipSync(data, { level }) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message, code: error.code });
+  }
+});
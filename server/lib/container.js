@@ -0,0 +1,171 @@
+import fs from 'fs';
+
+import { Algorithm } from './compression.js';
+
+/**
+ * Transfer blob header
+ *
+ * Every `.enc` blob starts with a plaintext header that describes how the
+ * payload was produced, so readers never have to guess:
+ *
+ *   offset  size  field
+ *   0       4     magic "STPX"
+ *   4       1     container version
+ *   5       2     header length in bytes (uint16 BE)
+ *   7       1     compression algorithm id
+ *   8       1     compression level
+ *   9       1     cipher id
+ *   10      4     plaintext segment size (uint32 BE)
+ *   14      2     flags (reserved, 0)
+ *   16      1     IV length
+ *   17      n     IV
+ *
+ * The whole header is authenticated as associated data of every segment.
+ * Readers skip fields past the ones they know by using the header length.
+ */
+
+export const CONTAINER_MAGIC = Buffer.from('STPX', 'ascii');
+export const CONTAINER_VERSION = 1;
+
+// Enough to hold the fixed fields plus the longest IV we produce
+export const MAX_HEADER_LENGTH = 64;
+
+const FIXED_LENGTH = 17;
+
+/**
+ * Compression algorithm ids stored in the header
+ */
+export const CompressionId = {
+  NONE: 0,
+  GZIP: 1,
+  BROTLI: 2,
+  ZSTD: 3,
+  DEFLATE: 4
+};
+
+/**
+ * Cipher ids stored in the header
+ */
+export const CipherId = {
+  AES_256_GCM_SEGMENTED: 1
+};
+
+const algorithmToId = {
+  [Algorithm.NONE]: CompressionId.NONE,
+  [Algorithm.GZIP]: CompressionId.GZIP,
+  [Algorithm.BROTLI]: CompressionId.BROTLI,
+  [Algorithm.ZSTD]: CompressionId.ZSTD,
+  [Algorithm.DEFLATE]: CompressionId.DEFLATE
+};
+
+const idToAlgorithm = Object.fromEntries(
+  Object.entries(algorithmToId).map(([name, id]) => [id, name])
+);
+
+/**
+ * Encode a blob header
+ */
+export function encodeHeader({ algorithm, level, cipher = CipherId.AES_256_GCM_SEGMENTED, segmentSize, iv }) {
+  const algorithmId = algorithmToId[algorithm];
+  if (algorithmId === undefined) {
+    throw new Error(`Unsupported compression algorithm: ${algorithm}`);
+  }
+
+  const ivBuffer = Buffer.isBuffer(iv) ? iv : Buffer.from(iv, 'hex');
+  const header = Buffer.alloc(FIXED_LENGTH + ivBuffer.length);
+
+  CONTAINER_MAGIC.copy(header, 0);
+  header.writeUInt8(CONTAINER_VERSION, 4);
+  header.writeUInt16BE(header.length, 5);
+  header.writeUInt8(algorithmId, 7);
+  header.writeUInt8(level, 8);
+  header.writeUInt8(cipher, 9);
+  header.writeUInt32BE(segmentSize, 10);
+  header.writeUInt16BE(0, 14);
+  header.writeUInt8(ivBuffer.length, 16);
+  ivBuffer.copy(header, FIXED_LENGTH);
+
+  return header;
+}
+
+/**
+ * Check whether a buffer starts with a blob header
+ */
+export function hasHeader(buffer) {
+  return buffer.length >= CONTAINER_MAGIC.length &&
+    buffer.subarray(0, CONTAINER_MAGIC.length).equals(CONTAINER_MAGIC);
+}
+
+/**
+ * Decode a blob header. Returns null for headerless (legacy) blobs.
+ */
+export function decodeHeader(buffer) {
+  if (!hasHeader(buffer)) {
+    return null;
+  }
+
+  if (buffer.length < FIXED_LENGTH) {
+    throw new Error('Blob header is truncated');
+  }
+
+  const version = buffer.readUInt8(4);
+  if (version > CONTAINER_VERSION) {
+    throw new Error(`Unsupported container version: ${version}`);
+  }
+
+  const headerLength = buffer.readUInt16BE(5);
+  const ivLength = buffer.readUInt8(16);
+  if (headerLength < FIXED_LENGTH + ivLength || buffer.length < headerLength) {
+    throw new Error('Blob header is truncated');
+  }
+
+  const algorithm = idToAlgorithm[buffer.readUInt8(7)];
+  if (!algorithm) {
+    throw new Error(`Unknown compression algorithm id: ${buffer.readUInt8(7)}`);
+  }
+
+  const cipher = buffer.readUInt8(9);
+  if (cipher !== CipherId.AES_256_GCM_SEGMENTED) {
+    throw new Error(`Unknown cipher id: ${cipher}`);
+  }
+
+  return {
+    version,
+    headerLength,
+    algorithm,
+    level: buffer.readUInt8(8),
+    cipher,
+    segmentSize: buffer.readUInt32BE(10),
+    flags: buffer.readUInt16BE(14),
+    iv: buffer.subarray(FIXED_LENGTH, FIXED_LENGTH + ivLength).toString('hex'),
+    // Authenticated with every segment
+    raw: Buffer.from(buffer.subarray(0, headerLength))
+  };
+}
+
+/**
+ * Read and decode the header of a blob on disk.
+ * Returns null for headerless (legacy) blobs.
+ */
+export async function readHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(MAX_HEADER_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, MAX_HEADER_LENGTH, 0);
+    return decodeHeader(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+export default {
+  CONTAINER_MAGIC,
+  CONTAINER_VERSION,
+  MAX_HEADER_LENGTH,
+  CompressionId,
+  CipherId,
+  encodeHeader,
+  hasHeader,
+  decodeHeader,
+  readHeader
+};
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import { transferDb, dictionaryDb } from '../db/database.js';
+import compression from './compression.js';
+import { WorkerPool } from './compressionPool.js';
+import trainer from './dictionaryTrainer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DICTIONARIES_DIR = path.join(__dirname, '..', 'dictionaries');
+
+// Deflate only looks back 32 KB, so anything larger only helps zstd
+export const DEFAULT_DICTIONARY_SIZE = 32 * 1024;
+export const MAX_DICTIONARY_SIZE = 128 * 1024;
+
+// Most training input the trainer accepts at once
+export const MAX_TRAINING_SIZE = 16 * 1024 * 1024;
+
+export const MIN_SAMPLES = trainer.MIN_SAMPLES;
+
+// Training runs one request at a time on its own worker thread
+const TRAINING_WORKER_URL = new URL('./dictionaryWorker.js', import.meta.url);
+let trainingPool = null;
+
+// Samples compressed to report how much a new dictionary helps
+const EVALUATION_SAMPLES = 200;
+
+// Dictionary content by id, loaded on first use
+const cache = new Map();
+
+/**
+ * Error carrying an HTTP status for the route to respond with
+ */
+function requestError(status, error, message) {
+  const err = new Error(message || error);
+  err.status = status;
+  err.error = error;
+  return err;
+}
+
+function contentId(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+function getDictionaryPath(id) {
+  return path.join(DICTIONARIES_DIR, `${id}.dict`);
+}
+
+/**
+ * Build a raw-content dictionary of up to `size` bytes from sample files,
+ * on a worker thread (see dictionaryTrainer.js)
+ */
+export async function trainDictionary(samples, size = DEFAULT_DICTIONARY_SIZE) {
+  trainingPool ??= new WorkerPool(TRAINING_WORKER_URL, 1);
+  const result = await trainingPool.run({ samples, size });
+  return Buffer.from(result.buffer, result.byteOffset, result.byteLength);
+}
+
+/**
+ * The algorithm new dictionary transfers are compressed with
+ */
+export function dictionaryAlgorithm() {
+  return compression.supportsDictionary(compression.Algorithm.ZSTD)
+    ? compression.Algorithm.ZSTD
+    : compression.Algorithm.DEFLATE;
+}
+
+/**
+ * Compressed size of (up to EVALUATION_SAMPLES) samples with and without the dictionary
+ */
+async function evaluateDictionary(content, samples, algorithm) {
+  const evaluated = samples.slice(0, EVALUATION_SAMPLES);
+  let withoutDictionary = 0;
+  let withDictionary = 0;
+
+  for (const sample of evaluated) {
+    withoutDictionary += (await compression.compress(sample, algorithm)).length;
+    withDictionary += (await compression.compress(sample, algorithm, undefined, content)).length;
+  }
+
+  return {
+    algorithm,
+    samples: evaluated.length,
+    originalSize: evaluated.reduce((sum, sample) => sum + sample.length, 0),
+    withoutDictionary,
+    withDictionary,
+    savings: (withoutDictionary ? (1 - withDictionary / withoutDictionary) * 100 : 0).toFixed(2) + '%'
+  };
+}
+
+/**
+ * Train a dictionary from sample files and store it under its content id.
+ * `mimeTypes` and `extensions` are what `compressionDictionary=auto` matches uploads on.
+ */
+export async function createDictionary({ name, samples, size, mimeTypes = [], extensions = [] }) {
+  if (!name) {
+    throw requestError(400, 'Dictionary name is required');
+  }
+  if (dictionaryDb.getByName(name)) {
+    throw requestError(409, 'Dictionary name already in use');
+  }
+  if (samples.length < MIN_SAMPLES) {
+    throw requestError(400, 'Not enough samples', `Training needs at least ${MIN_SAMPLES} sample files`);
+  }
+
+  const trainingSize = samples.reduce((sum, sample) => sum + sample.length, 0);
+  if (trainingSize > MAX_TRAINING_SIZE) {
+    throw requestError(413, 'Too much training data', `Samples may total at most ${compression.formatBytes(MAX_TRAINING_SIZE)}`);
+  }
+
+  const dictionarySize = Math.min(parseInt(size) || DEFAULT_DICTIONARY_SIZE, MAX_DICTIONARY_SIZE);
+  const content = await trainDictionary(samples, dictionarySize);
+  if (content.length === 0) {
+    throw requestError(400, 'Samples have nothing in common', 'No content repeats across the samples');
+  }
+  // Another request may have taken the name while this one was training
+  if (dictionaryDb.getByName(name)) {
+    throw requestError(409, 'Dictionary name already in use');
+  }
+
+  const id = contentId(content);
+  if (dictionaryDb.getById(id)) {
+    throw requestError(409, 'Dictionary already exists', `These samples train dictionary ${id}`);
+  }
+
+  fs.mkdirSync(DICTIONARIES_DIR, { recursive: true });
+  fs.writeFileSync(getDictionaryPath(id), content);
+  cache.set(id, content);
+
+  const dictionary = dictionaryDb.create({
+    id,
+    name,
+    size: content.length,
+    mime_types: mimeTypes.map((type) => type.toLowerCase()),
+    extensions: extensions.map((ext) => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase()),
+    sample_count: samples.length,
+    training_size: trainingSize
+  });
+
+  return {
+    dictionary,
+    evaluation: await evaluateDictionary(content, samples, dictionaryAlgorithm())
+  };
+}
+
+/**
+ * Dictionary content by id, checked against the id it was stored under
+ */
+export function loadDictionary(id) {
+  if (cache.has(id)) return cache.get(id);
+
+  let content;
+  try {
+    content = fs.readFileSync(getDictionaryPath(id));
+  } catch {
+    throw requestError(500, 'Compression dictionary missing', `Dictionary ${id} is not on this server`);
+  }
+  if (contentId(content) !== id) {
+    throw requestError(500, 'Compression dictionary corrupted', `Dictionary ${id} does not match its id`);
+  }
+
+  cache.set(id, content);
+  return content;
+}
+
+/**
+ * The newest dictionary registered for the file's MIME type or extension
+ */
+export function findDictionary({ mimeType, filename }) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  const extension = path.extname(filename || '').toLowerCase();
+
+  return dictionaryDb.getAll().find((dictionary) =>
+    (type && dictionary.mime_types.includes(type)) ||
+    (extension && dictionary.extensions.includes(extension))
+  ) || null;
+}
+
+/**
+ * Resolve an upload's `compressionDictionary`: a dictionary id or name,
+ * 'auto' to match by MIME type or extension, or empty/'none' for no dictionary
+ */
+export function resolveDictionary(requested, file = {}) {
+  if (!requested || requested === 'none') return null;
+  if (requested === 'auto') return findDictionary(file);
+
+  const dictionary = dictionaryDb.getById(requested) || dictionaryDb.getByName(requested);
+  if (!dictionary) {
+    throw requestError(400, 'Unknown compression dictionary', `No dictionary with id or name "${requested}"`);
+  }
+  return dictionary;
+}
+
+/**
+ * Remove a dictionary that no active transfer needs any more
+ */
+export function deleteDictionary(id) {
+  if (!dictionaryDb.getById(id)) {
+    throw requestError(404, 'Dictionary not found');
+  }
+
+  const inUse = transferDb.countByDictionary(id);
+  if (inUse > 0) {
+    throw requestError(409, 'Dictionary in use', `${inUse} active transfer(s) need it to download`);
+  }
+
+  dictionaryDb.delete(id);
+  cache.delete(id);
+  fs.rmSync(getDictionaryPath(id), { force: true });
+}
+
+export default {
+  DICTIONARIES_DIR,
+  DEFAULT_DICTIONARY_SIZE,
+  MAX_DICTIONARY_SIZE,
+  MAX_TRAINING_SIZE,
+  MIN_SAMPLES,
+  trainDictionary,
+  dictionaryAlgorithm,
+  createDictionary,
+  loadDictionary,
+  findDictionary,
+  resolveDictionary,
+  deleteDictionary
+};
@@ -0,0 +1,155 @@
+// Training is a simplified version of zstd's COVER algorithm: samples are cut
+// into segments, each scored by how many samples share its d-mers (short
+// substrings), and the best segments are picked greedily.
+// Kept free of database access so it can run on a worker thread
+// (see dictionaryWorker.js).
+
+// Fewest samples a d-mer (and training) needs
+export const MIN_SAMPLES = 2;
+
+const DMER_LENGTH = 8;
+const SEGMENT_LENGTH = 64;
+
+// D-mers are counted in a fixed hash table; collisions only blur the scores
+const TABLE_BITS = 22;
+
+// FNV-1a of the d-mer at `offset`, reduced to a table slot
+function dmerSlot(buffer, offset) {
+  let hash = 0x811c9dc5;
+  for (let i = offset; i < offset + DMER_LENGTH; i++) {
+    hash = Math.imul(hash ^ buffer[i], 0x01000193);
+  }
+  return hash >>> (32 - TABLE_BITS);
+}
+
+function segmentSlots(sample, start) {
+  const end = Math.min(start + SEGMENT_LENGTH, sample.length) - DMER_LENGTH;
+  const slots = new Set();
+  for (let i = start; i <= end; i++) {
+    slots.add(dmerSlot(sample, i));
+  }
+  return slots;
+}
+
+// Only d-mers found in more than one sample are worth a dictionary entry
+function scoreSegment(counts, slots) {
+  let score = 0;
+  for (const slot of slots) {
+    if (counts[slot] >= MIN_SAMPLES) score += counts[slot];
+  }
+  return score;
+}
+
+/**
+ * Binary max-heap of candidate segments by score
+ */
+class CandidateHeap {
+  constructor(items) {
+    this.items = items;
+    for (let i = (items.length >> 1) - 1; i >= 0; i--) this.siftDown(i);
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].score >= items[i].score) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  siftDown(i) {
+    const { items } = this;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let largest = i;
+      if (left < items.length && items[left].score > items[largest].score) largest = left;
+      if (right < items.length && items[right].score > items[largest].score) largest = right;
+      if (largest === i) return;
+      [items[largest], items[i]] = [items[i], items[largest]];
+      i = largest;
+    }
+  }
+}
+
+/**
+ * Build a raw-content dictionary of up to `size` bytes from sample files.
+ * The most valuable segments go last, where matches are cheapest to encode.
+ */
+export function trainDictionary(samples, size) {
+  // In how many samples each d-mer occurs
+  const counts = new Uint32Array(1 << TABLE_BITS);
+  const lastSample = new Int32Array(1 << TABLE_BITS).fill(-1);
+
+  samples.forEach((sample, index) => {
+    for (let i = 0; i + DMER_LENGTH <= sample.length; i++) {
+      const slot = dmerSlot(sample, i);
+      if (lastSample[slot] !== index) {
+        lastSample[slot] = index;
+        counts[slot]++;
+      }
+    }
+  });
+
+  const scored = [];
+  samples.forEach((sample, index) => {
+    for (let start = 0; start + DMER_LENGTH <= sample.length; start += SEGMENT_LENGTH) {
+      const score = scoreSegment(counts, segmentSlots(sample, start));
+      if (score > 0) scored.push({ sample: index, start, score });
+    }
+  });
+  const candidates = new CandidateHeap(scored);
+
+  // Lazy greedy: picking a segment zeroes its d-mers, so a candidate's stored
+  // score is only an upper bound until it is re-scored
+  const picked = [];
+  let length = 0;
+  while (candidates.size > 0 && length < size) {
+    const candidate = candidates.pop();
+    const sample = samples[candidate.sample];
+    const slots = segmentSlots(sample, candidate.start);
+    const score = scoreSegment(counts, slots);
+    if (score === 0) continue;
+
+    if (candidates.size > 0 && score < candidates.peek().score) {
+      candidate.score = score;
+      candidates.push(candidate);
+      continue;
+    }
+
+    const segment = sample.subarray(candidate.start, candidate.start + Math.min(SEGMENT_LENGTH, size - length));
+    picked.push(segment);
+    length += segment.length;
+    for (const slot of slots) counts[slot] = 0;
+  }
+
+  return Buffer.concat(picked.reverse());
+}
+
+export default {
+  MIN_SAMPLES,
+  trainDictionary
+};
@@ -0,0 +1,14 @@
+// Worker thread dictionaries are trained on (see dictionaries.js), so a
+// large training run does not hold up the event loop.
+
+import { parentPort } from 'worker_threads';
+
+import { trainDictionary } from './dictionaryTrainer.js';
+
+parentPort.on('message', ({ samples, size }) => {
+  try {
+    parentPort.postMessage({ result: trainDictionary(samples, size) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message, code: error.code });
+  }
+});
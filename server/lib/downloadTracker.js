@@ -0,0 +1,78 @@
+// Byte ranges served from a file are pieced together per client address and
+// per version of the file (its ETag), so that resumed and segmented fetches add
+// up to one download, while fetching part of it again (a player reading the
+// tail, a retried segment) adds up to none. A download counts once the
+// client has been sent every byte; its record then starts over.
+
+// Records of clients that have stopped fetching are dropped after this long
+const IDLE_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Most records kept at once; the least recently touched go first
+const MAX_TRACKED_FETCHES = 10000;
+
+// Client key -> { ranges: sorted, disjoint [start, end] pairs, touchedAt },
+// in the order they were last touched
+const fetches = new Map();
+
+function pruneIdle(now) {
+  for (const [key, entry] of fetches) {
+    // Oldest first, so the rest were touched more recently
+    if (now - entry.touchedAt <= IDLE_TIMEOUT_MS) return;
+    fetches.delete(key);
+  }
+}
+
+/**
+ * Add `[start, end]` to sorted, disjoint ranges, joining the ones it
+ * overlaps or touches
+ */
+function mergeRange(ranges, start, end) {
+  const merged = [];
+  for (const [from, to] of ranges) {
+    if (to + 1 < start || from > end + 1) {
+      merged.push([from, to]);
+    } else {
+      start = Math.min(start, from);
+      end = Math.max(end, to);
+    }
+  }
+  merged.push([start, end]);
+  return merged.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * The key a client's fetches of one version of a file are tracked under.
+ * Only the address is used: a client could send every range with a
+ * different User-Agent to keep its download from adding up.
+ */
+export function getClientKey(req, ...file) {
+  return JSON.stringify([...file, req.ip]);
+}
+
+/**
+ * Record that bytes `start`..`end` (inclusive) of a `size`-byte file
+ * reached the client. Returns true when that completes a download.
+ */
+export function recordRange(key, { start, end, size }) {
+  const now = Date.now();
+  pruneIdle(now);
+
+  const ranges = mergeRange(fetches.get(key)?.ranges || [], start, end);
+  fetches.delete(key);
+
+  if (ranges[0][0] <= 0 && ranges[0][1] >= size - 1) {
+    fetches.delete(key);
+    return true;
+  }
+
+  fetches.set(key, { ranges, touchedAt: now });
+  if (fetches.size > MAX_TRACKED_FETCHES) {
+    fetches.delete(fetches.keys().next().value);
+  }
+  return false;
+}
+
+export default {
+  getClientKey,
+  recordRange
+};
@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { Transform } from 'stream';
 import { promisify } from 'util';
 
 const randomBytes = promisify(crypto.randomBytes);
@@ -11,6 +12,41 @@ const SALT_LENGTH = 32;
 const KEY_LENGTH = 32;
 const TAG_LENGTH = 16;
 
+// Segmented (streaming) container configuration
+const SEGMENT_VERSION = 1;
+const SEGMENT_SIZE = 64 * 1024;
+const NONCE_LENGTH = 12;
+const MAX_SEGMENTS = 2 ** 32;
+
+// Bundle manifests are sealed under the transfer key with their own
+// random nonce; the associated data keeps them apart from file segments
+const MANIFEST_AAD = Buffer.from('STPX manifest');
+const LISTING_AAD = Buffer.from('STPX listing');
+const DIGEST_AAD = Buffer.from('STPX digest');
+
+// Password-wrapped keys: the file key is wrapped with AES key wrap (RFC 3394)
+// under scrypt(password, salt). The browser derives with the same parameters.
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const KEY_WRAP_ALGORITHM = 'id-aes256-wrap';
+const KEY_WRAP_IV = Buffer.from('a6a6a6a6a6a6a6a6', 'hex');
+
+// Recipient keys: the file key is wrapped the same way under HKDF-SHA256 of an
+// X25519 exchange between a one-off ephemeral key and the recipient's public key
+const X25519_KEY_LENGTH = 32;
+const RECIPIENT_KEY_INFO = Buffer.from('STPX recipient key');
+
+// Sender signatures: Ed25519 over a statement of the plaintext's SHA-256,
+// filename, size and signing time, sealed with the transfer key like a manifest
+const STATEMENT_VERSION = 1;
+const ED25519_KEY_LENGTH = 32;
+const ED25519_SIGNATURE_LENGTH = 64;
+const SIGNATURE_AAD = Buffer.from('STPX signature');
+
+// Playback tokens: a transfer's ID, key and an expiry, sealed under a key
+// that only lives as long as the process
+const TOKEN_AAD = Buffer.from('STPX playback token');
+const TOKEN_KEY = crypto.randomBytes(KEY_LENGTH);
+
 /**
  * Generate a random encryption key
  */
@@ -40,10 +76,134 @@ export async function generateSalt() {
  */
 export async function deriveKeyFromPassword(password, salt) {
   const saltBuffer = Buffer.from(salt, 'hex');
-  const key = await scrypt(password, saltBuffer, KEY_LENGTH);
+  const key = await scrypt(password, saltBuffer, KEY_LENGTH, SCRYPT_OPTIONS);
   return key;
 }
 
+/**
+ * Wrap a file key under a password-derived key. Returns the hex wrapped key.
+ */
+export function wrapKey(key, wrappingKey) {
+  const keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+  const cipher = crypto.createCipheriv(KEY_WRAP_ALGORITHM, wrappingKey, KEY_WRAP_IV);
+  return Buffer.concat([cipher.update(keyBuffer), cipher.final()]).toString('hex');
+}
+
+/**
+ * Unwrap a key wrapped by wrapKey (or the browser); returns the hex file key.
+ * Key wrap carries its own integrity check, so a wrong password throws.
+ */
+export function unwrapKey(wrappedKey, wrappingKey) {
+  try {
+    const decipher = crypto.createDecipheriv(KEY_WRAP_ALGORITHM, wrappingKey, KEY_WRAP_IV);
+    return Buffer.concat([decipher.update(Buffer.from(wrappedKey, 'hex')), decipher.final()]).toString('hex');
+  } catch {
+    throw new Error('Key unwrap failed: wrong password or corrupted key');
+  }
+}
+
+function importX25519PublicKey(raw) {
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'X25519', x: raw.toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+/**
+ * Whether a hex string is a usable raw X25519 public key; low-order
+ * points, whose shared secret is all zeros, are rejected
+ */
+export function isValidPublicKey(publicKey) {
+  if (typeof publicKey !== 'string' || !/^[0-9a-f]+$/i.test(publicKey) || publicKey.length !== X25519_KEY_LENGTH * 2) {
+    return false;
+  }
+  try {
+    const probe = crypto.generateKeyPairSync('x25519');
+    crypto.diffieHellman({ privateKey: probe.privateKey, publicKey: importX25519PublicKey(Buffer.from(publicKey, 'hex')) });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wrap a file key to a recipient's raw X25519 public key (hex). Returns the
+ * hex `ephemeralKey` and `wrappedKey` that, with the recipient's private key,
+ * unwrap it again (in the browser; the server never holds private keys).
+ */
+export function wrapKeyForRecipient(key, publicKey) {
+  const recipientKey = Buffer.from(publicKey, 'hex');
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralKey = Buffer.from(ephemeral.publicKey.export({ format: 'jwk' }).x, 'base64url');
+
+  const shared = crypto.diffieHellman({
+    privateKey: ephemeral.privateKey,
+    publicKey: importX25519PublicKey(recipientKey)
+  });
+  const wrappingKey = Buffer.from(crypto.hkdfSync(
+    'sha256',
+    shared,
+    Buffer.concat([ephemeralKey, recipientKey]),
+    RECIPIENT_KEY_INFO,
+    KEY_LENGTH
+  ));
+
+  return { ephemeralKey: ephemeralKey.toString('hex'), wrappedKey: wrapKey(key, wrappingKey) };
+}
+
+function importEd25519PublicKey(raw) {
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: raw.toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+/**
+ * Whether a hex string is a usable raw Ed25519 public key
+ */
+export function isValidSigningKey(publicKey) {
+  if (typeof publicKey !== 'string' || !/^[0-9a-f]+$/i.test(publicKey) || publicKey.length !== ED25519_KEY_LENGTH * 2) {
+    return false;
+  }
+  try {
+    importEd25519PublicKey(Buffer.from(publicKey, 'hex'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The bytes a sender signs: `{ version, sha256, filename, size, signedAt }`
+ * as JSON with that key order, as the browser builds it
+ */
+export function encodeStatement({ version = STATEMENT_VERSION, sha256, filename, size, signedAt }) {
+  return Buffer.from(JSON.stringify({ version, sha256, filename, size, signedAt }));
+}
+
+/**
+ * Sign a statement with an Ed25519 private KeyObject; returns the hex signature
+ */
+export function signStatement(statement, privateKey) {
+  return crypto.sign(null, encodeStatement(statement), privateKey).toString('hex');
+}
+
+/**
+ * Check a hex Ed25519 signature of a statement against a raw public key (hex)
+ */
+export function verifyStatement(statement, signature, publicKey) {
+  if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature) ||
+    signature.length !== ED25519_SIGNATURE_LENGTH * 2 || !isValidSigningKey(publicKey)) {
+    return false;
+  }
+  return crypto.verify(
+    null,
+    encodeStatement(statement),
+    importEd25519PublicKey(Buffer.from(publicKey, 'hex')),
+    Buffer.from(signature, 'hex')
+  );
+}
+
 /**
  * Encrypt data using AES-256-GCM
  */
@@ -105,6 +265,360 @@ export function createDecryptStream(key, iv, authTag) {
   return decipher;
 }
 
+/**
+ * Derive the nonce for one segment: the first 12 bytes of the IV
+ * with the segment counter XORed into the last 4 bytes
+ */
+export function deriveSegmentNonce(iv, index) {
+  if (index < 0 || index >= MAX_SEGMENTS) {
+    throw new Error(`Segment index ${index} out of range`);
+  }
+
+  const ivBuffer = Buffer.isBuffer(iv) ? iv : Buffer.from(iv, 'hex');
+  const nonce = Buffer.from(ivBuffer.subarray(0, NONCE_LENGTH));
+  const counter = nonce.readUInt32BE(NONCE_LENGTH - 4) ^ index;
+  nonce.writeUInt32BE(counter >>> 0, NONCE_LENGTH - 4);
+  return nonce;
+}
+
+/**
+ * Additional authenticated data for a segment. The trailing final flag
+ * stops an attacker from truncating the stream at a segment boundary.
+ */
+function segmentAad(associatedData, final) {
+  return Buffer.concat([associatedData, Buffer.from([final ? 1 : 0])]);
+}
+
+/**
+ * Encrypt one segment; returns ciphertext followed by its auth tag
+ */
+export function encryptSegment(plaintext, key, iv, index, final, associatedData = Buffer.alloc(0)) {
+  const keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+  const cipher = crypto.createCipheriv(ALGORITHM, keyBuffer, deriveSegmentNonce(iv, index));
+  cipher.setAAD(segmentAad(associatedData, final));
+
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypt and authenticate one segment (ciphertext followed by auth tag)
+ */
+export function decryptSegment(segment, key, iv, index, final, associatedData = Buffer.alloc(0)) {
+  if (segment.length < TAG_LENGTH) {
+    throw segmentError(`Segment ${index} is truncated`, index);
+  }
+
+  const keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+  const decipher = crypto.createDecipheriv(ALGORITHM, keyBuffer, deriveSegmentNonce(iv, index));
+  decipher.setAAD(segmentAad(associatedData, final));
+  decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH));
+
+  try {
+    return Buffer.concat([
+      decipher.update(segment.subarray(0, segment.length - TAG_LENGTH)),
+      decipher.final()
+    ]);
+  } catch {
+    throw segmentError(
+      final
+        ? `Segment ${index} failed authentication (corrupted, wrong key or truncated stream)`
+        : `Segment ${index} failed authentication (corrupted or wrong key)`,
+      index
+    );
+  }
+}
+
+function segmentError(message, index) {
+  const error = new Error(message);
+  error.code = 'ESEGMENTAUTH';
+  error.segment = index;
+  return error;
+}
+
+/**
+ * Number of segments a plaintext of the given size is split into
+ */
+export function getSegmentCount(plainSize, segmentSize = SEGMENT_SIZE) {
+  return Math.max(1, Math.ceil(plainSize / segmentSize));
+}
+
+/**
+ * Size of the segmented ciphertext for a plaintext of the given size
+ */
+export function getEncryptedSize(plainSize, segmentSize = SEGMENT_SIZE) {
+  return plainSize + getSegmentCount(plainSize, segmentSize) * TAG_LENGTH;
+}
+
+/**
+ * Transform stream that encrypts into fixed-size authenticated segments.
+ * A segment is only written once more data arrives, so the last one
+ * (possibly empty) can be flagged as final in flush().
+ */
+export class SegmentEncryptor extends Transform {
+  constructor(key, iv, { segmentSize = SEGMENT_SIZE, associatedData = Buffer.alloc(0) } = {}) {
+    super();
+    this.key = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+    this.iv = Buffer.isBuffer(iv) ? iv : Buffer.from(iv, 'hex');
+    this.segmentSize = segmentSize;
+    this.associatedData = associatedData;
+    this.index = 0;
+    this.pending = [];
+    this.pendingLength = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+
+    if (this.pendingLength <= this.segmentSize) {
+      return callback();
+    }
+
+    try {
+      const data = Buffer.concat(this.pending, this.pendingLength);
+      let offset = 0;
+
+      // Keep at least one byte back so the final segment is never emitted early
+      while (data.length - offset > this.segmentSize) {
+        const plaintext = data.subarray(offset, offset + this.segmentSize);
+        this.push(encryptSegment(plaintext, this.key, this.iv, this.index++, false, this.associatedData));
+        offset += this.segmentSize;
+      }
+
+      this.pending = [data.subarray(offset)];
+      this.pendingLength = data.length - offset;
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      const plaintext = Buffer.concat(this.pending, this.pendingLength);
+      this.push(encryptSegment(plaintext, this.key, this.iv, this.index++, true, this.associatedData));
+      this.pending = [];
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Transform stream that verifies and decrypts segmented ciphertext.
+ * Only authenticated plaintext is ever pushed downstream; a missing or
+ * tampered final segment errors the stream instead of ending it cleanly.
+ * For a run of segments out of the middle of a blob, pass `firstSegment`
+ * and set `endsWithFinal` to false unless the run reaches the last segment.
+ */
+export class SegmentDecryptor extends Transform {
+  constructor(key, iv, {
+    segmentSize = SEGMENT_SIZE,
+    associatedData = Buffer.alloc(0),
+    firstSegment = 0,
+    endsWithFinal = true
+  } = {}) {
+    super();
+    this.key = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+    this.iv = Buffer.isBuffer(iv) ? iv : Buffer.from(iv, 'hex');
+    this.encryptedSegmentSize = segmentSize + TAG_LENGTH;
+    this.associatedData = associatedData;
+    this.index = firstSegment;
+    this.endsWithFinal = endsWithFinal;
+    this.pending = [];
+    this.pendingLength = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+
+    if (this.pendingLength <= this.encryptedSegmentSize) {
+      return callback();
+    }
+
+    try {
+      const data = Buffer.concat(this.pending, this.pendingLength);
+      let offset = 0;
+
+      while (data.length - offset > this.encryptedSegmentSize) {
+        const segment = data.subarray(offset, offset + this.encryptedSegmentSize);
+        this.push(decryptSegment(segment, this.key, this.iv, this.index++, false, this.associatedData));
+        offset += this.encryptedSegmentSize;
+      }
+
+      this.pending = [data.subarray(offset)];
+      this.pendingLength = data.length - offset;
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      const segment = Buffer.concat(this.pending, this.pendingLength);
+      this.push(decryptSegment(segment, this.key, this.iv, this.index++, this.endsWithFinal, this.associatedData));
+      this.pending = [];
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Create a segmented encryption stream
+ */
+export function createSegmentEncryptStream(key, iv, options) {
+  return new SegmentEncryptor(key, iv, options);
+}
+
+/**
+ * Create a segmented decryption stream
+ */
+export function createSegmentDecryptStream(key, iv, options) {
+  return new SegmentDecryptor(key, iv, options);
+}
+
+/**
+ * Encrypt a buffer into the segmented format (small payloads)
+ */
+export function encryptSegmented(data, key, iv, { segmentSize = SEGMENT_SIZE, associatedData } = {}) {
+  const count = getSegmentCount(data.length, segmentSize);
+  const segments = [];
+
+  for (let i = 0; i < count; i++) {
+    const plaintext = data.subarray(i * segmentSize, (i + 1) * segmentSize);
+    segments.push(encryptSegment(plaintext, key, iv, i, i === count - 1, associatedData));
+  }
+
+  return Buffer.concat(segments);
+}
+
+/**
+ * Decrypt a buffer in the segmented format (small payloads)
+ */
+export function decryptSegmented(data, key, iv, { segmentSize = SEGMENT_SIZE, associatedData } = {}) {
+  const encryptedSegmentSize = segmentSize + TAG_LENGTH;
+  const count = Math.max(1, Math.ceil(data.length / encryptedSegmentSize));
+  const segments = [];
+
+  for (let i = 0; i < count; i++) {
+    const segment = data.subarray(i * encryptedSegmentSize, (i + 1) * encryptedSegmentSize);
+    segments.push(decryptSegment(segment, key, iv, i, i === count - 1, associatedData));
+  }
+
+  return Buffer.concat(segments);
+}
+
+/**
+ * Seal a JSON value under the transfer key: hex of nonce | ciphertext | tag
+ */
+function sealJSON(value, key, associatedData) {
+  const keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, keyBuffer, nonce, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(associatedData);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value)), cipher.final()]);
+
+  return Buffer.concat([nonce, encrypted, cipher.getAuthTag()]).toString('hex');
+}
+
+function openJSON(sealed, key, associatedData) {
+  const keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex');
+  const data = Buffer.from(sealed, 'hex');
+  if (data.length < NONCE_LENGTH + TAG_LENGTH) {
+    throw new Error('Sealed data is truncated');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, keyBuffer, data.subarray(0, NONCE_LENGTH), { authTagLength: TAG_LENGTH });
+  decipher.setAAD(associatedData);
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+  const decrypted = Buffer.concat([
+    decipher.update(data.subarray(NONCE_LENGTH, data.length - TAG_LENGTH)),
+    decipher.final()
+  ]);
+
+  return JSON.parse(decrypted.toString('utf8'));
+}
+
+/**
+ * Encrypt a bundle manifest with the transfer key.
+ * Returns hex of nonce | ciphertext | tag, as the browser produces it.
+ */
+export function encryptManifest(manifest, key) {
+  return sealJSON(manifest, key, MANIFEST_AAD);
+}
+
+/**
+ * Decrypt a bundle manifest sealed by encryptManifest (or the browser)
+ */
+export function decryptManifest(encryptedManifest, key) {
+  return openJSON(encryptedManifest, key, MANIFEST_AAD);
+}
+
+/**
+ * Encrypt an archive listing with the transfer key, like a manifest
+ */
+export function encryptListing(listing, key) {
+  return sealJSON(listing, key, LISTING_AAD);
+}
+
+/**
+ * Decrypt an archive listing sealed by encryptListing (or the browser)
+ */
+export function decryptListing(encryptedListing, key) {
+  return openJSON(encryptedListing, key, LISTING_AAD);
+}
+
+/**
+ * Seal a signed statement (`{ statement, signature }`) with the transfer key,
+ * so only those holding the key see the plaintext hash it carries
+ */
+export function encryptSignature(signed, key) {
+  return sealJSON(signed, key, SIGNATURE_AAD);
+}
+
+/**
+ * Open a signed statement sealed by encryptSignature (or the browser)
+ */
+export function decryptSignature(encryptedSignature, key) {
+  return openJSON(encryptedSignature, key, SIGNATURE_AAD);
+}
+
+/**
+ * Seal the plaintext digest (`{ sha256, size }`) recorded at upload with the
+ * transfer key; downloads are checked against it
+ */
+export function encryptDigest(digest, key) {
+  return sealJSON(digest, key, DIGEST_AAD);
+}
+
+/**
+ * Open a plaintext digest sealed by encryptDigest (or the browser)
+ */
+export function decryptDigest(encryptedDigest, key) {
+  return openJSON(encryptedDigest, key, DIGEST_AAD);
+}
+
+/**
+ * Seal a playback grant (`{ transferId, key, expiresAt }`) into an opaque
+ * token, which holds the key without revealing it
+ */
+export function sealPlaybackToken(grant) {
+  return Buffer.from(sealJSON(grant, TOKEN_KEY, TOKEN_AAD), 'hex').toString('base64url');
+}
+
+/**
+ * Open a token sealed by sealPlaybackToken; throws if it was not
+ */
+export function openPlaybackToken(token) {
+  return openJSON(Buffer.from(token, 'base64url').toString('hex'), TOKEN_KEY, TOKEN_AAD);
+}
+
 /**
  * Hash a key for storage/verification
  */
@@ -139,15 +653,48 @@ export default {
   generateIV,
   generateSalt,
   deriveKeyFromPassword,
+  wrapKey,
+  unwrapKey,
+  isValidPublicKey,
+  wrapKeyForRecipient,
+  isValidSigningKey,
+  encodeStatement,
+  signStatement,
+  verifyStatement,
   encrypt,
   decrypt,
   createEncryptStream,
   createDecryptStream,
+  deriveSegmentNonce,
+  encryptSegment,
+  decryptSegment,
+  getSegmentCount,
+  getEncryptedSize,
+  SegmentEncryptor,
+  SegmentDecryptor,
+  createSegmentEncryptStream,
+  createSegmentDecryptStream,
+  encryptSegmented,
+  decryptSegmented,
+  encryptManifest,
+  decryptManifest,
+  encryptListing,
+  decryptListing,
+  encryptSignature,
+  decryptSignature,
+  encryptDigest,
+  decryptDigest,
+  sealPlaybackToken,
+  openPlaybackToken,
   hashKey,
   generateChecksum,
   createHashStream,
   generateTransferId,
   ALGORITHM,
   IV_LENGTH,
-  KEY_LENGTH
+  KEY_LENGTH,
+  TAG_LENGTH,
+  SEGMENT_VERSION,
+  SEGMENT_SIZE,
+  STATEMENT_VERSION
 };
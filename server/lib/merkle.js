@@ -0,0 +1,234 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+// Stored blobs are hashed in fixed-size chunks into a Merkle tree, so a
+// damaged chunk can be pinpointed, and fetched again, instead of failing the
+// whole file. Leaves and nodes are kept apart as in RFC 6962:
+// leaf = SHA-256(0x00 | chunk), node = SHA-256(0x01 | left | right),
+// and an odd node at the end of a level is carried up unchanged.
+// The browser builds the same tree (client/src/lib/merkle.js).
+export const CHUNK_SIZE = 1024 * 1024;
+export const HASH_LENGTH = 32;
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function createLeafHash() {
+  return crypto.createHash('sha256').update(LEAF_PREFIX);
+}
+
+/**
+ * Error for a chunk that does not match its leaf hash
+ */
+function corruptChunkError(index) {
+  const error = new Error(`Chunk ${index} failed integrity verification`);
+  error.code = 'ECHECKSUM';
+  error.chunk = index;
+  return error;
+}
+
+export function hashLeaf(chunk) {
+  return createLeafHash().update(chunk).digest();
+}
+
+export function hashNode(left, right) {
+  return crypto.createHash('sha256').update(NODE_PREFIX).update(left).update(right).digest();
+}
+
+/**
+ * Hex root of a tree over `leaves` (Buffers)
+ */
+export function computeRoot(leaves) {
+  if (leaves.length === 0) return crypto.createHash('sha256').digest('hex');
+
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+  return level[0].toString('hex');
+}
+
+export function getChunkCount(size, chunkSize = CHUNK_SIZE) {
+  return Math.ceil(size / chunkSize);
+}
+
+/**
+ * The leaf hashes of a blob are kept next to it, in `<blob>.merkle`
+ */
+export function getTreePath(blobPath) {
+  return `${blobPath}.merkle`;
+}
+
+export async function writeTree(blobPath, leaves) {
+  await fs.promises.writeFile(getTreePath(blobPath), Buffer.concat(leaves));
+}
+
+/**
+ * Read a blob's leaf hashes, which must add up to the recorded `root`
+ */
+export async function readTree(blobPath, root) {
+  let data;
+  try {
+    data = await fs.promises.readFile(getTreePath(blobPath));
+  } catch {
+    data = null;
+  }
+
+  const leaves = [];
+  for (let offset = 0; data && offset + HASH_LENGTH <= data.length; offset += HASH_LENGTH) {
+    leaves.push(data.subarray(offset, offset + HASH_LENGTH));
+  }
+
+  if (!data || data.length % HASH_LENGTH !== 0 || computeRoot(leaves) !== root) {
+    const error = new Error('Chunk hashes are missing or do not match the recorded root');
+    error.code = 'ECHECKSUM';
+    throw error;
+  }
+  return leaves;
+}
+
+/**
+ * Check every chunk of a stored blob against its leaf hash.
+ * Returns the indexes of the chunks that do not match, including chunks
+ * missing from a truncated blob or extra ones past its recorded end.
+ */
+export async function findCorruptChunks(blobPath, leaves, chunkSize = CHUNK_SIZE) {
+  const { size } = await fs.promises.stat(blobPath);
+  const count = Math.max(getChunkCount(size, chunkSize), leaves.length);
+  const buffer = Buffer.alloc(chunkSize);
+  const corrupt = [];
+
+  const handle = await fs.promises.open(blobPath, 'r');
+  try {
+    for (let index = 0; index < count; index++) {
+      const { bytesRead } = await handle.read(buffer, 0, chunkSize, index * chunkSize);
+      const leaf = leaves[index];
+      if (!leaf || !hashLeaf(buffer.subarray(0, bytesRead)).equals(leaf)) {
+        corrupt.push(index);
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+  return corrupt;
+}
+
+/**
+ * Pass-through stream that hashes everything it sees into leaves of
+ * `chunkSize` bytes
+ */
+export class MerkleTap extends Transform {
+  constructor(chunkSize = CHUNK_SIZE) {
+    super();
+    this.chunkSize = chunkSize;
+    this.leaves = [];
+    this.hash = createLeafHash();
+    this.filled = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    for (let offset = 0; offset < chunk.length;) {
+      const take = Math.min(this.chunkSize - this.filled, chunk.length - offset);
+      this.hash.update(chunk.subarray(offset, offset + take));
+      this.filled += take;
+      offset += take;
+      if (this.filled === this.chunkSize) this.finishLeaf();
+    }
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    if (this.filled > 0) this.finishLeaf();
+    callback();
+  }
+
+  finishLeaf() {
+    this.leaves.push(this.hash.digest());
+    this.hash = createLeafHash();
+    this.filled = 0;
+  }
+
+  root() {
+    return computeRoot(this.leaves);
+  }
+}
+
+/**
+ * Pass-through stream that checks a blob chunk by chunk against its leaf
+ * hashes. Each chunk is held back until it has been verified, so nothing from
+ * a damaged chunk is released downstream; the error names the chunk.
+ * `prefix` covers bytes of the first chunk consumed before the stream (e.g.
+ * the header); they are hashed but not passed on.
+ */
+export class MerkleVerifier extends Transform {
+  constructor(leaves, { chunkSize = CHUNK_SIZE, prefix = Buffer.alloc(0) } = {}) {
+    super();
+    this.leaves = leaves;
+    this.chunkSize = chunkSize;
+    this.index = 0;
+    this.pending = [];
+    this.hash = createLeafHash().update(prefix);
+    this.filled = prefix.length;
+  }
+
+  _transform(chunk, encoding, callback) {
+    for (let offset = 0; offset < chunk.length;) {
+      const take = Math.min(this.chunkSize - this.filled, chunk.length - offset);
+      const bytes = chunk.subarray(offset, offset + take);
+      this.hash.update(bytes);
+      this.pending.push(bytes);
+      this.filled += take;
+      offset += take;
+      if (this.filled === this.chunkSize && !this.release()) {
+        return callback(corruptChunkError(this.index));
+      }
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.filled > 0 && !this.release()) {
+      return callback(corruptChunkError(this.index));
+    }
+    // A truncated blob is short of chunks
+    if (this.index !== this.leaves.length) {
+      return callback(corruptChunkError(this.index));
+    }
+    callback();
+  }
+
+  /**
+   * Verify the chunk collected so far and pass it on; false on a mismatch
+   */
+  release() {
+    const leaf = this.leaves[this.index];
+    if (!leaf || !this.hash.digest().equals(leaf)) return false;
+
+    for (const bytes of this.pending) this.push(bytes);
+    this.pending = [];
+    this.hash = createLeafHash();
+    this.filled = 0;
+    this.index++;
+    return true;
+  }
+}
+
+export default {
+  CHUNK_SIZE,
+  HASH_LENGTH,
+  hashLeaf,
+  hashNode,
+  computeRoot,
+  getChunkCount,
+  getTreePath,
+  writeTree,
+  readTree,
+  findCorruptChunks,
+  MerkleTap,
+  MerkleVerifier
+};
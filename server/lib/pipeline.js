@@ -0,0 +1,360 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+import encryption from './encryption.js';
+import container from './container.js';
+import compressionPool from './compressionPool.js';
+import merkle from './merkle.js';
+
+// Progress granularity when the total size is unknown
+const PROGRESS_STEP_BYTES = 1024 * 1024;
+
+/**
+ * Pass-through stream that counts bytes and reports progress.
+ * With `limit` set, the stream errors once more bytes than that pass through.
+ */
+export class ByteCounter extends Transform {
+  constructor(onProgress = () => {}, { limit = Infinity } = {}) {
+    super();
+    this.bytes = 0;
+    this.limit = limit;
+    this.onProgress = onProgress;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+
+    if (this.bytes > this.limit) {
+      const error = new Error(`Stream exceeds ${this.limit} bytes`);
+      error.code = 'ELIMIT';
+      return callback(error);
+    }
+
+    this.onProgress(this.bytes);
+    callback(null, chunk);
+  }
+}
+
+/**
+ * Pass-through stream that computes a SHA-256 checksum of everything it sees
+ */
+export class HashTap extends Transform {
+  constructor() {
+    super();
+    this.bytes = 0;
+    this.hash = crypto.createHash('sha256');
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+    this.hash.update(chunk);
+    callback(null, chunk);
+  }
+
+  digest() {
+    return this.hash.digest('hex');
+  }
+}
+
+/**
+ * Pass-through stream that verifies a SHA-256 checksum once the input ends.
+ * `prefix` covers bytes that were consumed before the stream (e.g. the header).
+ * Placed before a SegmentDecryptor, a mismatch stops the final segment
+ * from ever being released downstream.
+ */
+export class ChecksumVerifier extends Transform {
+  constructor(expected, prefix = Buffer.alloc(0)) {
+    super();
+    this.expected = expected;
+    this.hash = crypto.createHash('sha256').update(prefix);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    const actual = this.hash.digest('hex');
+    if (this.expected && actual !== this.expected) {
+      const error = new Error('File integrity check failed');
+      error.code = 'ECHECKSUM';
+      return callback(error);
+    }
+    callback();
+  }
+}
+
+/**
+ * Pass-through stream that holds back its latest chunk until its input
+ * ends, so when an earlier stream fails, the end of the output is never sent
+ */
+export class HoldBack extends Transform {
+  constructor() {
+    super();
+    this.held = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    const previous = this.held;
+    this.held = chunk;
+    callback(null, previous);
+  }
+
+  _flush(callback) {
+    callback(null, this.held);
+  }
+}
+
+/**
+ * Pass-through stream that verifies the SHA-256 of the decrypted plaintext
+ * against the digest recorded at upload. On a mismatch it errors without
+ * ever releasing the end of the file; whatever is cut from the plaintext
+ * after it needs a HoldBack of its own.
+ */
+export class PlaintextVerifier extends HoldBack {
+  constructor(expected) {
+    super();
+    this.expected = expected;
+    this.hash = crypto.createHash('sha256');
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    super._transform(chunk, encoding, callback);
+  }
+
+  _flush(callback) {
+    const actual = this.hash.digest('hex');
+    if (this.expected && actual !== this.expected) {
+      const error = new Error('Plaintext integrity check failed');
+      error.code = 'ECHECKSUM';
+      return callback(error);
+    }
+    super._flush(callback);
+  }
+}
+
+/**
+ * Pass-through stream that drops the first `skip` bytes and ends after `length` more
+ */
+export class ByteSlice extends Transform {
+  constructor(skip, length) {
+    super();
+    this.skip = skip;
+    this.remaining = length;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.skip >= chunk.length) {
+      this.skip -= chunk.length;
+      return callback();
+    }
+
+    const slice = chunk.subarray(this.skip, this.skip + this.remaining);
+    this.skip = 0;
+    this.remaining -= slice.length;
+
+    if (slice.length > 0) this.push(slice);
+    callback();
+  }
+}
+
+/**
+ * Streams that decrypt plaintext bytes `start`..`end` (inclusive) of an
+ * uncompressed blob of `size` plaintext bytes, reading only the segments
+ * the range falls in. Used for seeking in media.
+ */
+export function createRangeDecryptStreams(filePath, header, key, { start, end, size }) {
+  const { segmentSize, headerLength } = header;
+  const encryptedSegmentSize = segmentSize + encryption.TAG_LENGTH;
+  const firstSegment = Math.floor(start / segmentSize);
+  const lastSegment = Math.floor(end / segmentSize);
+
+  return [
+    fs.createReadStream(filePath, {
+      start: headerLength + firstSegment * encryptedSegmentSize,
+      end: headerLength + (lastSegment + 1) * encryptedSegmentSize - 1
+    }),
+    encryption.createSegmentDecryptStream(key, header.iv, {
+      segmentSize,
+      associatedData: header.raw,
+      firstSegment,
+      endsWithFinal: lastSegment === encryption.getSegmentCount(size, segmentSize) - 1
+    }),
+    new ByteSlice(start - firstSegment * segmentSize, end - start + 1)
+  ];
+}
+
+/**
+ * Check a key against the first segment of a container blob without
+ * reading the rest, so a wrong key can be rejected before streaming starts
+ */
+export async function verifyKey(filePath, header, key) {
+  const fileSize = (await fs.promises.stat(filePath)).size;
+  const encryptedSegmentSize = header.segmentSize + encryption.TAG_LENGTH;
+  const available = fileSize - header.headerLength;
+  const length = Math.min(encryptedSegmentSize, available);
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const segment = Buffer.alloc(length);
+    await handle.read(segment, 0, length, header.headerLength);
+    encryption.decryptSegment(segment, key, header.iv, 0, available <= encryptedSegmentSize, header.raw);
+    return true;
+  } catch {
+    return false;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read up to `length` bytes off the front of a stream (or async iterable)
+ * without consuming them: returns those bytes as `head`, and as `stream` an
+ * async iterable that replays them followed by the rest of the input
+ */
+export async function peekStream(input, length) {
+  const iterator = input[Symbol.asyncIterator]();
+  const chunks = [];
+  let size = 0;
+  let finished = false;
+
+  while (size < length) {
+    const { value, done } = await iterator.next();
+    if (done) {
+      finished = true;
+      break;
+    }
+    chunks.push(value);
+    size += value.length;
+  }
+
+  async function* replay() {
+    try {
+      yield* chunks;
+      while (!finished) {
+        const { value, done } = await iterator.next();
+        finished = done;
+        if (!done) yield value;
+      }
+    } finally {
+      // Stopped early (e.g. the pipeline failed): release the input too
+      if (!finished) await iterator.return?.();
+    }
+  }
+
+  return { head: Buffer.concat(chunks, size).subarray(0, length), stream: replay() };
+}
+
+/**
+ * Compress, encrypt and write a plaintext stream to a container blob:
+ * source → plaintext hash → compressor → segment cipher → header + segments → hash → chunk tree → disk.
+ * Memory use stays constant regardless of file size. Gzip is compressed
+ * block-parallel on the worker pool (see compressionPool.js).
+ * The chunk hashes are written next to the blob (see merkle.js).
+ */
+export async function encryptToFile(input, outputPath, {
+  algorithm,
+  level,
+  key,
+  iv,
+  segmentSize = encryption.SEGMENT_SIZE,
+  dictionary = null,
+  onProgress
+}) {
+  const header = container.encodeHeader({ algorithm, level, segmentSize, iv });
+  const source = new ByteCounter(onProgress);
+  const plaintext = new HashTap();
+  const compressed = new ByteCounter();
+  const hash = new HashTap();
+  const tree = new merkle.MerkleTap();
+
+  await pipeline(
+    input,
+    source,
+    plaintext,
+    compressionPool.createCompressStream(algorithm, level, dictionary),
+    compressed,
+    encryption.createSegmentEncryptStream(key, iv, { segmentSize, associatedData: header }),
+    async function* (segments) {
+      yield header;
+      yield* segments;
+    },
+    hash,
+    tree,
+    fs.createWriteStream(outputPath)
+  );
+  await merkle.writeTree(outputPath, tree.leaves);
+
+  return {
+    originalSize: source.bytes,
+    compressedSize: compressed.bytes,
+    encryptedSize: hash.bytes,
+    checksum: hash.digest(),
+    plaintextHash: plaintext.digest(),
+    merkleRoot: tree.root()
+  };
+}
+
+/**
+ * Write an already-encrypted stream to disk as-is, computing its checksum
+ * and chunk hashes
+ */
+export async function storeToFile(input, outputPath, { onProgress } = {}) {
+  const source = new ByteCounter(onProgress);
+  const hash = new HashTap();
+  const tree = new merkle.MerkleTap();
+
+  await pipeline(input, source, hash, tree, fs.createWriteStream(outputPath));
+  await merkle.writeTree(outputPath, tree.leaves);
+
+  return {
+    size: hash.bytes,
+    checksum: hash.digest(),
+    merkleRoot: tree.root()
+  };
+}
+
+/**
+ * Build a progress callback that emits byte-based progress,
+ * at most once per percent (or per MB when the total is unknown)
+ */
+export function createProgressReporter(io, transferId, totalBytes, stage = 'processing', event = 'upload-progress') {
+  let lastStep = -1;
+
+  return (bytesProcessed) => {
+    const percent = totalBytes
+      ? Math.min(99, Math.floor((bytesProcessed / totalBytes) * 100))
+      : null;
+    const step = percent ?? Math.floor(bytesProcessed / PROGRESS_STEP_BYTES);
+
+    if (step === lastStep) return;
+    lastStep = step;
+
+    io.emit(event, {
+      transferId,
+      stage,
+      progress: percent,
+      bytesProcessed,
+      totalBytes: totalBytes || null
+    });
+  };
+}
+
+export default {
+  ByteCounter,
+  HashTap,
+  ChecksumVerifier,
+  HoldBack,
+  PlaintextVerifier,
+  ByteSlice,
+  createRangeDecryptStreams,
+  verifyKey,
+  peekStream,
+  encryptToFile,
+  storeToFile,
+  createProgressReporter
+};
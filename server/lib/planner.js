@@ -0,0 +1,166 @@
+import { performance } from 'perf_hooks';
+
+import compression from './compression.js';
+
+/**
+ * What a compression plan optimizes for
+ */
+export const Goal = {
+  SMALLEST: 'smallest',
+  FASTEST: 'fastest',
+  BALANCED: 'balanced'
+};
+
+// Slices benchmarked from a sample, spread evenly over it
+const SLICE_SIZE = 64 * 1024;
+const SLICES = 4;
+
+// Largest sample accepted for benchmarking
+export const MAX_SAMPLE_SIZE = SLICE_SIZE * SLICES;
+
+// Levels tried for each algorithm
+const CANDIDATE_LEVELS = [
+  compression.CompressionLevel.FAST,
+  compression.CompressionLevel.DEFAULT,
+  compression.CompressionLevel.BEST
+];
+
+// Compression that saves less than this fraction is not worth the CPU
+const MIN_SAVINGS = 0.03;
+
+// Balanced: the smallest output among candidates at least this fraction
+// as fast as the fastest one
+const BALANCED_MIN_SPEED = 0.25;
+
+/**
+ * Evenly spaced slices of a sample, joined, so a few KB stand in for the whole file
+ */
+function takeSlices(sample) {
+  if (sample.length <= MAX_SAMPLE_SIZE) {
+    return sample;
+  }
+
+  const stride = Math.floor((sample.length - SLICE_SIZE) / (SLICES - 1));
+  return Buffer.concat(Array.from({ length: SLICES }, (_, i) =>
+    sample.subarray(i * stride, i * stride + SLICE_SIZE)
+  ));
+}
+
+/**
+ * Compress the sample once and measure the ratio and throughput
+ */
+async function benchmark(sample, algorithm, level) {
+  const start = performance.now();
+  const output = await compression.compress(sample, algorithm, level);
+  // Sub-millisecond timings are noise; never report infinite speed
+  const elapsed = Math.max(performance.now() - start, 0.01);
+
+  return {
+    algorithm,
+    level,
+    ratio: output.length / sample.length,
+    bytesPerMs: sample.length / elapsed
+  };
+}
+
+function pickCandidate(candidates, goal) {
+  const bySize = (a, b) => a.ratio - b.ratio || b.bytesPerMs - a.bytesPerMs;
+
+  if (goal === Goal.SMALLEST) {
+    return [...candidates].sort(bySize)[0];
+  }
+
+  // Fastest only considers candidates that actually compress
+  const useful = candidates.filter((c) => c.ratio <= 1 - MIN_SAVINGS);
+  if (goal === Goal.FASTEST) {
+    return [...(useful.length ? useful : candidates)].sort((a, b) => b.bytesPerMs - a.bytesPerMs)[0];
+  }
+
+  const fastest = Math.max(...candidates.map((c) => c.bytesPerMs));
+  return candidates.filter((c) => c.bytesPerMs >= fastest * BALANCED_MIN_SPEED).sort(bySize)[0];
+}
+
+function describe(candidate) {
+  return `${candidate.algorithm} level ${candidate.level}`;
+}
+
+function storePlan(size, reason) {
+  return {
+    algorithm: compression.Algorithm.NONE,
+    level: 0,
+    mode: compression.CompressionMode.STORE,
+    reason,
+    estimatedSize: size,
+    estimatedRatio: 1,
+    estimatedTimeMs: 0
+  };
+}
+
+/**
+ * Benchmark every algorithm/level on a sample of the file and pick the best
+ * trade-off for the goal. `size` (the whole file) scales the estimates;
+ * `algorithms` and `levels` narrow the candidates (e.g. to what a browser can do).
+ * Returns the plan plus every measured candidate.
+ */
+export async function planCompression(sample, {
+  size = sample.length,
+  mimeType = null,
+  goal = Goal.BALANCED,
+  algorithms = null,
+  levels = CANDIDATE_LEVELS
+} = {}) {
+  if (compression.isMediaType(mimeType)) {
+    return { plan: storePlan(size, 'Media is stored uncompressed for seeking'), candidates: [] };
+  }
+
+  const analysis = compression.analyzeContent(sample);
+  if (analysis.mode === compression.CompressionMode.STORE) {
+    return { plan: storePlan(size, analysis.reason), candidates: [] };
+  }
+
+  const slices = takeSlices(sample);
+  if (slices.length === 0) {
+    return { plan: storePlan(size, 'Empty file'), candidates: [] };
+  }
+
+  const names = [compression.Algorithm.GZIP, compression.Algorithm.BROTLI, compression.Algorithm.ZSTD]
+    .filter((name) => compression.isSupported(name) && (!algorithms || algorithms.includes(name)));
+
+  const candidates = [];
+  for (const algorithm of names) {
+    for (const level of levels) {
+      candidates.push(await benchmark(slices, algorithm, level));
+    }
+  }
+
+  if (candidates.length === 0) {
+    return { plan: storePlan(size, 'No usable compression algorithm'), candidates };
+  }
+
+  const best = pickCandidate(candidates, goal);
+  if (best.ratio > 1 - MIN_SAVINGS) {
+    return {
+      plan: storePlan(size, `Compression saves under ${MIN_SAVINGS * 100}% (best: ${describe(best)})`),
+      candidates
+    };
+  }
+
+  return {
+    plan: {
+      algorithm: best.algorithm,
+      level: best.level,
+      mode: compression.CompressionMode.COMPRESS,
+      reason: `${goal[0].toUpperCase()}${goal.slice(1)} plan: ${describe(best)}`,
+      estimatedSize: Math.round(size * best.ratio),
+      estimatedRatio: parseFloat(best.ratio.toFixed(4)),
+      estimatedTimeMs: Math.round(size / best.bytesPerMs)
+    },
+    candidates
+  };
+}
+
+export default {
+  Goal,
+  MAX_SAMPLE_SIZE,
+  planCompression
+};
@@ -0,0 +1,785 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+
+import { transferDb, logDb, keyDb } from '../db/database.js';
+import encryption from './encryption.js';
+import compression from './compression.js';
+import container from './container.js';
+import transferPipeline from './pipeline.js';
+import planner from './planner.js';
+import dictionaries from './dictionaries.js';
+import bundle from './bundle.js';
+import archiveListing from './archiveListing.js';
+import merkle from './merkle.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Maximum upload size in bytes (default 10GB)
+export const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 10 * 1024 * 1024 * 1024;
+
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+// Hex length of a 256-bit key after AES key wrap (8 bytes longer)
+const WRAPPED_KEY_LENGTH = 80;
+
+// Most key directory recipients one transfer can be encrypted to
+export const MAX_RECIPIENTS = 50;
+
+// Hex length limit of a browser's sealed signed statement
+const MAX_SEALED_SIGNATURE_LENGTH = 8192;
+
+// Hex length limit of a browser's sealed plaintext digest
+const MAX_SEALED_DIGEST_LENGTH = 512;
+
+// Codes of the errors zlib throws for options it rejects (e.g. a level out of range)
+const INVALID_OPTION_CODES = ['ERR_OUT_OF_RANGE', 'ERR_INVALID_ARG_VALUE', 'ERR_INVALID_ARG_TYPE'];
+
+/**
+ * Error carrying an HTTP status for the route to respond with
+ */
+function requestError(status, error, message) {
+  const err = new Error(message || error);
+  err.status = status;
+  err.error = error;
+  return err;
+}
+
+/**
+ * Remove a stored blob together with its chunk hashes
+ */
+export function removeBlob(blobPath) {
+  fs.rmSync(blobPath, { force: true });
+  fs.rmSync(merkle.getTreePath(blobPath), { force: true });
+}
+
+/**
+ * Hash the transfer password if one was provided
+ */
+export async function hashPassword(password) {
+  return password ? bcrypt.hash(password, 10) : null;
+}
+
+/**
+ * Derive the key a server-side upload's file key is wrapped under, for
+ * uploads that should not keep the password until they are recorded.
+ * Returns `{ salt, key }` in hex, for recordServerTransfer's `wrappingKey`.
+ */
+export async function deriveWrappingKey(password) {
+  const salt = await encryption.generateSalt();
+  const key = await encryption.deriveKeyFromPassword(password, salt);
+  return { salt, key: key.toString('hex') };
+}
+
+/**
+ * Calculate the expiration timestamp from an hours value
+ */
+export function getExpiresAt(expiresIn) {
+  if (!expiresIn) return null;
+  const expirationDate = new Date();
+  expirationDate.setHours(expirationDate.getHours() + parseInt(expiresIn));
+  return expirationDate.toISOString();
+}
+
+/**
+ * Check the IV and salt (and a bundle's manifest, an archive's listing,
+ * the sealed plaintext digest or the chunk tree root) sent with a
+ * browser-encrypted upload
+ */
+export function validateClientParams({
+  iv,
+  salt,
+  manifest,
+  entryCount,
+  archiveListing: listing,
+  archiveEntryCount,
+  plaintextDigest,
+  merkleRoot
+}) {
+  if (!iv || !salt || !HEX_PATTERN.test(iv) || !HEX_PATTERN.test(salt)) {
+    throw requestError(400, 'IV and salt are required for client-encrypted uploads');
+  }
+  if (plaintextDigest !== undefined && plaintextDigest !== null && (typeof plaintextDigest !== 'string' ||
+    !HEX_PATTERN.test(plaintextDigest) || plaintextDigest.length > MAX_SEALED_DIGEST_LENGTH)) {
+    throw requestError(400, 'Invalid plaintext digest', 'plaintextDigest must be the digest sealed with the file key, in hex');
+  }
+  if (merkleRoot !== undefined && merkleRoot !== null && !SHA256_PATTERN.test(merkleRoot)) {
+    throw requestError(400, 'Invalid chunk tree root', 'merkleRoot must be a hex SHA-256');
+  }
+  bundle.validateEncryptedManifest(manifest, entryCount);
+  archiveListing.validateEncryptedListing(listing, archiveEntryCount);
+}
+
+/**
+ * Check a request to keep the file key out of the download link, wrapped
+ * under the password instead: `wrapKey` asks the server to wrap it, and
+ * browser uploads send it already wrapped as `wrappedKey`. Either needs
+ * a password. Returns whether the key gets wrapped.
+ */
+export function validateKeyWrapping({ password, wrapKey, wrappedKey }) {
+  const wrapped = wrappedKey !== undefined && wrappedKey !== null && wrappedKey !== '';
+
+  if (wrapped && (typeof wrappedKey !== 'string' || wrappedKey.length !== WRAPPED_KEY_LENGTH || !HEX_PATTERN.test(wrappedKey))) {
+    throw requestError(400, 'Invalid wrapped key', 'The wrapped key must be a hex-encoded AES key wrap of a 256-bit key');
+  }
+  if (!wrapped && wrapKey !== true && wrapKey !== 'true') {
+    return false;
+  }
+  if (!password) {
+    throw requestError(400, 'Password required', 'A password-wrapped key needs a transfer password');
+  }
+  return true;
+}
+
+/**
+ * Parse a list option sent as an array, JSON (form fields) or comma-separated text
+ */
+function parseListOption(value, { json = false } = {}) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (json) {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check the key directory recipients a transfer's key is encrypted to,
+ * instead of being put in the link. `recipients` names directory keys (by
+ * ID or name) for the server to wrap the key to; browser uploads wrap it
+ * themselves and send `recipientKeys`, a JSON list of
+ * `{ keyId, ephemeralKey, wrappedKey }`. A password-wrapped key excludes both.
+ * Returns the recipients (with their public keys, or the wrapped keys), or null.
+ */
+export function validateRecipients({ recipients, recipientKeys, keyWrapped = false }) {
+  const requested = parseListOption(recipients);
+  const wrapped = parseListOption(recipientKeys, { json: true });
+
+  if (wrapped === null || !wrapped.every((r) => r && typeof r === 'object')) {
+    throw requestError(400, 'Invalid recipient keys', 'recipientKeys must be a JSON list of { keyId, ephemeralKey, wrappedKey }');
+  }
+  if (requested.length === 0 && wrapped.length === 0) {
+    return null;
+  }
+  if (keyWrapped || (requested.length > 0 && wrapped.length > 0)) {
+    throw requestError(400, 'Conflicting key options', 'A key goes either to recipients or under a password');
+  }
+  if (requested.length + wrapped.length > MAX_RECIPIENTS) {
+    throw requestError(400, 'Too many recipients', `A transfer can be encrypted to at most ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const lookup = (selector) => {
+    const key = keyDb.getById(String(selector)) || keyDb.getByName(String(selector));
+    if (!key) {
+      throw requestError(400, 'Unknown recipient', `No key registered as ${selector}`);
+    }
+    return key;
+  };
+
+  if (requested.length > 0) {
+    const keys = [...new Set(requested.map((selector) => lookup(selector)))];
+    return keys.map((key) => ({ keyId: key.id, name: key.name, publicKey: key.public_key }));
+  }
+
+  return wrapped.map(({ keyId, ephemeralKey, wrappedKey }) => {
+    if (typeof ephemeralKey !== 'string' || ephemeralKey.length !== 64 || !HEX_PATTERN.test(ephemeralKey)
+      || typeof wrappedKey !== 'string' || wrappedKey.length !== WRAPPED_KEY_LENGTH || !HEX_PATTERN.test(wrappedKey)) {
+      throw requestError(400, 'Invalid recipient keys', 'Each recipient needs a hex ephemeralKey (32 bytes) and wrappedKey (40 bytes)');
+    }
+    const key = keyDb.getById(String(keyId));
+    if (!key) {
+      throw requestError(400, 'Unknown recipient', `No key registered as ${keyId}`);
+    }
+    return { keyId: key.id, name: key.name, ephemeralKey, wrappedKey };
+  });
+}
+
+/**
+ * Check a sender signature. Server-side uploads send the signer's raw
+ * Ed25519 `signerKey`, the hex `signature` and the `signedAt` time of the
+ * statement they signed; it is checked once the plaintext has been hashed
+ * (see recordServerTransfer). Browser uploads seal the signed statement with
+ * the file key and send it as `sealedSignature`, which only recipients open.
+ * Returns the signature fields, or null for an unsigned upload.
+ */
+export function validateSignature({ signerKey, signature, signedAt, sealedSignature, clientEncrypted = false }) {
+  if (!signerKey && !signature && !sealedSignature) return null;
+
+  if (!encryption.isValidSigningKey(signerKey)) {
+    throw requestError(400, 'Invalid signer key', 'signerKey must be a raw Ed25519 public key as 64 hex digits');
+  }
+  if (clientEncrypted) {
+    if (typeof sealedSignature !== 'string' || !HEX_PATTERN.test(sealedSignature) ||
+      sealedSignature.length > MAX_SEALED_SIGNATURE_LENGTH) {
+      throw requestError(400, 'Invalid signature', 'sealedSignature must be the signed statement sealed with the file key, in hex');
+    }
+    return { signerKey: signerKey.toLowerCase(), sealedSignature };
+  }
+  if (typeof signature !== 'string' || !HEX_PATTERN.test(signature) ||
+    typeof signedAt !== 'string' || Number.isNaN(Date.parse(signedAt))) {
+    throw requestError(400, 'Invalid signature', 'Send the hex signature with the signedAt time of the signed statement');
+  }
+  return { signerKey: signerKey.toLowerCase(), signature, signedAt };
+}
+
+/**
+ * Check a server-side upload's signature against the plaintext it hashed on
+ * the way through; a mismatch removes the blob. Returns the signed statement.
+ */
+function verifyServerSignature(processed, { signerKey, signature, signedAt }, filename) {
+  const statement = {
+    version: encryption.STATEMENT_VERSION,
+    sha256: processed.plaintextHash,
+    filename,
+    size: processed.size,
+    signedAt
+  };
+
+  if (!encryption.verifyStatement(statement, signature, signerKey)) {
+    removeBlob(processed.path);
+    throw requestError(400, 'Invalid signature', 'The signature does not match the uploaded content, filename, size and signedAt');
+  }
+  return { statement, signature };
+}
+
+/**
+ * Recipients as stored on a transfer
+ */
+function toRecipientRecords(recipients) {
+  return recipients.map(({ keyId, name, ephemeralKey, wrappedKey }) => ({
+    key_id: keyId,
+    name,
+    ephemeral_key: ephemeralKey,
+    wrapped_key: wrappedKey
+  }));
+}
+
+/**
+ * Check a requested compression algorithm ('auto' or empty picks one by type)
+ */
+export function validateCompressionAlgorithm(algorithm) {
+  if (!algorithm || algorithm === 'auto') return;
+
+  if (!Object.values(compression.Algorithm).includes(algorithm)) {
+    throw requestError(400, 'Unknown compression algorithm', `Supported algorithms: auto, ${Object.values(compression.Algorithm).join(', ')}`);
+  }
+  if (!compression.isSupported(algorithm)) {
+    throw requestError(400, 'Compression algorithm unavailable', `${algorithm} is not supported by this server`);
+  }
+}
+
+/**
+ * Check a requested compression level (1-9; empty uses the default)
+ */
+export function validateCompressionLevel(level) {
+  if (level === undefined || level === null || level === '') return;
+
+  const { FAST, BEST } = compression.CompressionLevel;
+  if (!/^\d+$/.test(String(level)) || level < FAST || level > BEST) {
+    throw requestError(400, 'Invalid compression level', `compressionLevel must be a whole number from ${FAST} to ${BEST}`);
+  }
+}
+
+/**
+ * Check a requested compression goal (see planner.Goal)
+ */
+export function validateCompressionGoal(goal) {
+  if (goal && !Object.values(planner.Goal).includes(goal)) {
+    throw requestError(400, 'Unknown compression goal', `Supported goals: ${Object.values(planner.Goal).join(', ')}`);
+  }
+}
+
+/**
+ * Check a requested compression dictionary; returns it, or null for none.
+ * With a dictionary, an explicit algorithm has to be one that can use it.
+ */
+export function validateCompressionDictionary(requested, { algorithm, mimeType, filename } = {}) {
+  const dictionary = dictionaries.resolveDictionary(requested, { mimeType, filename });
+
+  if (dictionary && algorithm && algorithm !== 'auto' && !compression.supportsDictionary(algorithm)) {
+    throw requestError(400, 'Algorithm cannot use a dictionary', `${algorithm} has no dictionary support; use ${dictionaries.dictionaryAlgorithm()}`);
+  }
+  return dictionary;
+}
+
+/**
+ * Pick the algorithm and level for a server-side upload. With 'auto', media
+ * is stored for seeking; anything else is decided from the stream's head:
+ * by the planner (for `goal`, balanced by default), or - when only a level
+ * was given - by file type, storing already-compressed or random-looking data.
+ * Returns the (re-playable) input along with the decision.
+ */
+async function chooseCompression(input, { mimeType, requested, level, goal, size }) {
+  const algorithm = compression.selectAlgorithm(mimeType, requested);
+  const requestedLevel = parseInt(level) || compression.CompressionLevel.DEFAULT;
+
+  if (algorithm === compression.Algorithm.NONE) {
+    const reason = requested && requested !== 'auto' ? 'Requested none' : 'Media is stored uncompressed for seeking';
+    return { input, algorithm, level: 0, mode: compression.CompressionMode.STORE, reason };
+  }
+  if (requested && requested !== 'auto') {
+    return { input, algorithm, level: requestedLevel, mode: compression.CompressionMode.COMPRESS, reason: `Requested ${algorithm}` };
+  }
+
+  const peeked = await transferPipeline.peekStream(input, compression.ANALYSIS_SAMPLE_SIZE);
+
+  if (level && !goal) {
+    const analysis = compression.analyzeContent(peeked.head);
+    const store = analysis.mode === compression.CompressionMode.STORE;
+    return {
+      input: peeked.stream,
+      algorithm: store ? compression.Algorithm.NONE : algorithm,
+      level: store ? 0 : requestedLevel,
+      mode: analysis.mode,
+      reason: analysis.reason
+    };
+  }
+
+  const { plan } = await planner.planCompression(peeked.head, {
+    size: size || peeked.head.length,
+    mimeType,
+    goal: goal || planner.Goal.BALANCED
+  });
+  return { input: peeked.stream, ...plan };
+}
+
+/**
+ * Compress and encrypt a plaintext stream into `<transferId>.enc`.
+ * Returns everything needed to record the transfer, including the new key.
+ * ZIP and tar(.gz) uploads are listed on the way through, unless
+ * `inspectArchive` is false (e.g. for bundles).
+ */
+export async function encryptTransfer(io, input, {
+  transferId,
+  filename,
+  mimeType,
+  compressionAlgorithm,
+  compressionLevel,
+  compressionGoal,
+  compressionDictionary,
+  totalBytes,
+  inspectArchive = true
+}) {
+  validateCompressionAlgorithm(compressionAlgorithm);
+  validateCompressionLevel(compressionLevel);
+  validateCompressionGoal(compressionGoal);
+  const dictionary = validateCompressionDictionary(compressionDictionary, {
+    algorithm: compressionAlgorithm,
+    mimeType,
+    filename
+  });
+  const dictionaryContent = dictionary ? dictionaries.loadDictionary(dictionary.id) : null;
+
+  const finalPath = path.join(UPLOADS_DIR, `${transferId}.enc`);
+  const onProgress = transferPipeline.createProgressReporter(io, transferId, totalBytes || 0);
+
+  io.emit('upload-started', { transferId, filename });
+
+  // Dictionaries are for small structured files; no analysis or planning needed
+  const choice = dictionary
+    ? {
+      input,
+      algorithm: compressionAlgorithm && compressionAlgorithm !== 'auto'
+        ? compressionAlgorithm
+        : dictionaries.dictionaryAlgorithm(),
+      level: parseInt(compressionLevel) || compression.CompressionLevel.DEFAULT,
+      mode: compression.CompressionMode.COMPRESS,
+      reason: `Dictionary ${dictionary.name}`
+    }
+    : await chooseCompression(input, {
+      mimeType,
+      requested: compressionAlgorithm,
+      level: compressionLevel,
+      goal: compressionGoal,
+      size: totalBytes
+    });
+  const { algorithm, level } = choice;
+
+  let source = choice.input;
+  let inspector = null;
+  if (inspectArchive) {
+    const peeked = await transferPipeline.peekStream(source, archiveListing.DETECT_SAMPLE_SIZE);
+    inspector = archiveListing.createInspector(peeked.head, filename);
+    source = inspector ? inspector.tap(peeked.stream) : peeked.stream;
+  }
+
+  const iv = await encryption.generateIV();
+  const salt = await encryption.generateSalt();
+  const fileKey = await encryption.generateKey();
+
+  try {
+    const result = await transferPipeline.encryptToFile(source, finalPath, {
+      algorithm,
+      level,
+      key: fileKey,
+      iv,
+      dictionary: dictionaryContent,
+      onProgress
+    });
+
+    return {
+      transferId,
+      path: finalPath,
+      size: result.originalSize,
+      compressedSize: result.compressedSize,
+      encryptedSize: result.encryptedSize,
+      checksum: result.checksum,
+      plaintextHash: result.plaintextHash,
+      merkleRoot: result.merkleRoot,
+      algorithm,
+      level,
+      mode: choice.mode,
+      reason: choice.reason,
+      dictionaryId: dictionary ? dictionary.id : null,
+      listing: inspector ? inspector.listing : null,
+      iv,
+      salt,
+      fileKey
+    };
+  } catch (error) {
+    removeBlob(finalPath);
+    // Compression workers report these too; they are the request's, not the server's
+    if (INVALID_OPTION_CODES.includes(error.code)) {
+      throw requestError(400, 'Invalid compression options', error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store an already-encrypted (browser) stream as `<transferId>.enc` untouched
+ */
+export async function storeEncryptedTransfer(io, input, { transferId, totalBytes }) {
+  const finalPath = path.join(UPLOADS_DIR, `${transferId}.enc`);
+  const onProgress = transferPipeline.createProgressReporter(io, transferId, totalBytes || 0);
+
+  try {
+    const result = await transferPipeline.storeToFile(input, finalPath, { onProgress });
+    return {
+      transferId,
+      path: finalPath,
+      size: result.size,
+      checksum: result.checksum,
+      merkleRoot: result.merkleRoot
+    };
+  } catch (error) {
+    removeBlob(finalPath);
+    throw error;
+  }
+}
+
+/**
+ * Record a server-encrypted transfer and build the upload response.
+ * `client` is `{ ip, userAgent }` of the uploader for the log.
+ * A bundle passes its plaintext `manifest`, which is sealed with the file key,
+ * as is the archive listing the upload was inspected for.
+ * With a `keyPassword`, only the key wrapped under it is kept, and neither
+ * the response nor the link carries the key; the same goes for a
+ * `wrappingKey` derived from the password beforehand (see
+ * deriveWrappingKey), and for `recipients`
+ * (from validateRecipients), whose public keys it is wrapped to.
+ * A `signature` (from validateSignature) must match the processed plaintext.
+ * The plaintext's SHA-256 is sealed with the file key for downloads to check.
+ */
+export async function recordServerTransfer(io, processed, options, client) {
+  const {
+    transferId,
+    size: originalSize,
+    compressedSize,
+    encryptedSize,
+    checksum,
+    algorithm,
+    level,
+    mode,
+    reason,
+    dictionaryId,
+    listing,
+    iv,
+    salt,
+    fileKey,
+    plaintextHash,
+    merkleRoot
+  } = processed;
+  const {
+    filename,
+    mimeType,
+    passwordHash,
+    keyPassword,
+    wrappingKey,
+    recipients,
+    signature,
+    expiresIn,
+    maxDownloads,
+    manifest
+  } = options;
+
+  const signed = signature ? verifyServerSignature(processed, signature, filename) : null;
+  const compressionResult = compression.getCompressionRatio(originalSize, compressedSize);
+  const expiresAt = getExpiresAt(expiresIn);
+  let wrappedKey = null;
+  if (keyPassword) {
+    wrappedKey = encryption.wrapKey(fileKey, await encryption.deriveKeyFromPassword(keyPassword, salt));
+  } else if (wrappingKey) {
+    wrappedKey = encryption.wrapKey(fileKey, Buffer.from(wrappingKey.key, 'hex'));
+  }
+  const recipientKeys = recipients
+    ? recipients.map(({ keyId, name, publicKey }) => ({
+      keyId,
+      name,
+      ...encryption.wrapKeyForRecipient(fileKey, publicKey)
+    }))
+    : null;
+
+  transferDb.create({
+    id: transferId,
+    filename: `${transferId}.enc`,
+    original_filename: filename,
+    original_size: originalSize,
+    compressed_size: encryptedSize,
+    compression_ratio: parseFloat(compressionResult.ratio),
+    compression_algorithm: algorithm,
+    compression_level: level,
+    compression_mode: mode,
+    compression_reason: reason,
+    compression_dictionary: dictionaryId,
+    container_version: container.CONTAINER_VERSION,
+    manifest: manifest ? encryption.encryptManifest(manifest, fileKey) : null,
+    entry_count: manifest ? manifest.entries.length : null,
+    archive_listing: listing ? encryption.encryptListing(listing, fileKey) : null,
+    archive_entry_count: listing ? listing.entries.length : null,
+    encryption_mode: 'server',
+    encryption_iv: iv,
+    encryption_salt: wrappingKey ? wrappingKey.salt : salt,
+    wrapped_key: wrappedKey,
+    recipients: recipientKeys ? toRecipientRecords(recipientKeys) : null,
+    signer_key: signed ? signature.signerKey : null,
+    signature: signed ? encryption.encryptSignature(signed, fileKey) : null,
+    plaintext_digest: encryption.encryptDigest({ sha256: plaintextHash, size: originalSize }, fileKey),
+    merkle_root: merkleRoot,
+    merkle_chunk_size: merkle.CHUNK_SIZE,
+    password_hash: passwordHash,
+    mime_type: mimeType,
+    expires_at: expiresAt,
+    max_downloads: maxDownloads ? parseInt(maxDownloads) : null,
+    checksum
+  });
+
+  logDb.create({
+    transfer_id: transferId,
+    action: 'upload',
+    ip_address: client.ip,
+    user_agent: client.userAgent,
+    details: JSON.stringify({
+      originalSize,
+      compressedSize: encryptedSize,
+      compressionRatio: compressionResult.ratio,
+      compressionMode: mode
+    })
+  });
+
+  io.emit('upload-progress', {
+    transferId,
+    stage: 'complete',
+    progress: 100
+  });
+
+  // The key is needed for decryption
+  return {
+    success: true,
+    transfer: {
+      id: transferId,
+      filename,
+      originalSize: compression.formatBytes(originalSize),
+      compressedSize: compression.formatBytes(encryptedSize),
+      compressionRatio: compressionResult.ratio + '%',
+      savings: compressionResult.savings,
+      compressionAlgorithm: algorithm,
+      compressionMode: mode,
+      compressionReason: reason,
+      compressionDictionary: dictionaryId,
+      entryCount: manifest ? manifest.entries.length : null,
+      archiveEntryCount: listing ? listing.entries.length : null,
+      expiresAt,
+      maxDownloads: maxDownloads || 'Unlimited',
+      hasPassword: !!passwordHash,
+      keyWrapped: !!wrappedKey,
+      recipients: recipientKeys ? recipientKeys.map((r) => r.name) : null,
+      signerKey: signed ? signature.signerKey : null
+    },
+    // A wrapped key is unlocked with the password or a recipient's private key instead
+    ...(wrappedKey || recipientKeys ? { downloadUrl: `/download/${transferId}` } : {
+      // This is needed for decryption - store securely!
+      decryptionKey: fileKey,
+      // Generate download link
+      downloadUrl: `/download/${transferId}#key=${fileKey}`
+    })
+  };
+}
+
+/**
+ * Record a browser-encrypted transfer and build the upload response.
+ * The server only ever sees the ciphertext, IV and salt, for a
+ * bundle or an archive the encrypted manifest or listing, and a key
+ * wrapped under the password (which it never receives either) or to
+ * recipients' public keys, a sealed sender signature and a sealed
+ * plaintext digest. An `expectedMerkleRoot` from the browser must match the
+ * chunk tree of the blob as stored.
+ */
+export async function recordClientTransfer(io, stored, options, client) {
+  const { transferId, path: filePath, size: encryptedSize, checksum, merkleRoot } = stored;
+  const {
+    filename,
+    mimeType,
+    iv,
+    salt,
+    originalSize,
+    compressionReason,
+    manifest,
+    entryCount,
+    archiveListing: listing,
+    archiveEntryCount,
+    wrappedKey,
+    recipients,
+    signature,
+    plaintextDigest,
+    expectedMerkleRoot,
+    passwordHash,
+    expiresIn,
+    maxDownloads
+  } = options;
+
+  // The browser's own chunk tree root catches a blob damaged on the way in
+  if (expectedMerkleRoot && expectedMerkleRoot.toLowerCase() !== merkleRoot) {
+    removeBlob(filePath);
+    throw requestError(422, 'Upload corrupted', 'The stored blob does not match the chunk tree root sent with it');
+  }
+
+  // The browser writes the same self-describing header; it is readable without the key
+  let header;
+  try {
+    header = await container.readHeader(filePath);
+  } catch (headerError) {
+    removeBlob(filePath);
+    throw requestError(400, 'Invalid blob header', headerError.message);
+  }
+
+  const plainSize = parseInt(originalSize) || encryptedSize;
+  const ratio = compression.getCompressionRatio(plainSize, encryptedSize);
+  const algorithm = header ? header.algorithm : compression.Algorithm.GZIP;
+  const mode = algorithm === compression.Algorithm.NONE
+    ? compression.CompressionMode.STORE
+    : compression.CompressionMode.COMPRESS;
+  // The browser made the choice; its reason is informational only
+  const reason = typeof compressionReason === 'string' ? compressionReason.slice(0, 100) : null;
+  const expiresAt = getExpiresAt(expiresIn);
+
+  transferDb.create({
+    id: transferId,
+    filename: `${transferId}.enc`,
+    original_filename: filename,
+    original_size: plainSize,
+    compressed_size: encryptedSize,
+    compression_ratio: parseFloat(ratio.ratio),
+    compression_algorithm: algorithm,
+    compression_level: header ? header.level : null,
+    compression_mode: mode,
+    compression_reason: reason,
+    container_version: header ? header.version : null,
+    manifest: manifest || null,
+    entry_count: manifest ? parseInt(entryCount) : null,
+    archive_listing: listing || null,
+    archive_entry_count: listing ? parseInt(archiveEntryCount) : null,
+    encryption_mode: 'client',
+    encryption_iv: iv,
+    encryption_salt: salt,
+    wrapped_key: wrappedKey || null,
+    recipients: recipients ? toRecipientRecords(recipients) : null,
+    signer_key: signature ? signature.signerKey : null,
+    signature: signature ? signature.sealedSignature : null,
+    plaintext_digest: plaintextDigest || null,
+    merkle_root: merkleRoot,
+    merkle_chunk_size: merkle.CHUNK_SIZE,
+    password_hash: passwordHash,
+    mime_type: mimeType || 'application/octet-stream',
+    expires_at: expiresAt,
+    max_downloads: maxDownloads ? parseInt(maxDownloads) : null,
+    checksum
+  });
+
+  logDb.create({
+    transfer_id: transferId,
+    action: 'upload',
+    ip_address: client.ip,
+    user_agent: client.userAgent,
+    details: JSON.stringify({
+      originalSize: plainSize,
+      compressedSize: encryptedSize,
+      compressionRatio: ratio.ratio,
+      compressionMode: mode,
+      clientEncrypted: true
+    })
+  });
+
+  io.emit('upload-progress', {
+    transferId,
+    stage: 'complete',
+    progress: 100
+  });
+
+  // No key material in the response - it never left the browser
+  return {
+    success: true,
+    transfer: {
+      id: transferId,
+      filename,
+      originalSize: compression.formatBytes(plainSize),
+      compressedSize: compression.formatBytes(encryptedSize),
+      compressionRatio: ratio.ratio + '%',
+      savings: ratio.savings,
+      compressionAlgorithm: algorithm,
+      compressionMode: mode,
+      compressionReason: reason,
+      entryCount: manifest ? parseInt(entryCount) : null,
+      archiveEntryCount: listing ? parseInt(archiveEntryCount) : null,
+      expiresAt,
+      maxDownloads: maxDownloads || 'Unlimited',
+      hasPassword: !!passwordHash,
+      keyWrapped: !!wrappedKey,
+      recipients: recipients ? recipients.map((r) => r.name) : null,
+      signerKey: signature ? signature.signerKey : null
+    },
+    downloadUrl: `/download/${transferId}`
+  };
+}
+
+export default {
+  UPLOADS_DIR,
+  MAX_UPLOAD_SIZE,
+  MAX_RECIPIENTS,
+  removeBlob,
+  hashPassword,
+  deriveWrappingKey,
+  getExpiresAt,
+  validateClientParams,
+  validateKeyWrapping,
+  validateRecipients,
+  validateSignature,
+  validateCompressionAlgorithm,
+  validateCompressionLevel,
+  validateCompressionGoal,
+  validateCompressionDictionary,
+  encryptTransfer,
+  storeEncryptedTransfer,
+  recordServerTransfer,
+  recordClientTransfer
+};
@@ -0,0 +1,150 @@
+import express from 'express';
+import multer from 'multer';
+
+import { dictionaryDb, transferDb } from '../db/database.js';
+import compression from '../lib/compression.js';
+import dictionaries from '../lib/dictionaries.js';
+import admin from '../lib/admin.js';
+
+const router = express.Router();
+
+// Training samples are small files, held in memory while the dictionary is built
+const MAX_SAMPLE_SIZE = 1024 * 1024;
+const MAX_SAMPLES = 2000;
+
+const sampleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SAMPLE_SIZE,
+    files: MAX_SAMPLES
+  }
+});
+
+// Training and deleting dictionaries is for admins
+const requireAdmin = admin.requireAdmin('Dictionary administration');
+
+/**
+ * Run the sample upload, turning multer limit errors into 413 responses
+ */
+function withSampleLimits(req, res, next) {
+  sampleUpload.array('samples', MAX_SAMPLES)(req, res, (err) => {
+    if (err instanceof multer.MulterError && (err.code === 'LIMIT_FILE_SIZE' || err.code === 'LIMIT_FILE_COUNT')) {
+      return res.status(413).json({
+        error: 'Too much training data',
+        message: `Send at most ${MAX_SAMPLES} samples of up to ${compression.formatBytes(MAX_SAMPLE_SIZE)} each`
+      });
+    }
+    next(err);
+  });
+}
+
+/**
+ * Split a comma-separated form field into a list
+ */
+function parseList(value) {
+  return value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : [];
+}
+
+function formatDictionary(d) {
+  return {
+    id: d.id,
+    name: d.name,
+    size: compression.formatBytes(d.size),
+    mimeTypes: d.mime_types,
+    extensions: d.extensions,
+    sampleCount: d.sample_count,
+    trainingSize: compression.formatBytes(d.training_size),
+    activeTransfers: transferDb.countByDictionary(d.id),
+    createdAt: d.created_at
+  };
+}
+
+/**
+ * GET /api/dictionaries
+ * List the compression dictionaries uploads can opt into
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      dictionaries: dictionaryDb.getAll().map(formatDictionary),
+      algorithm: dictionaries.dictionaryAlgorithm()
+    });
+  } catch (error) {
+    console.error('List dictionaries error:', error);
+    res.status(500).json({ error: 'Failed to list dictionaries' });
+  }
+});
+
+/**
+ * GET /api/dictionaries/:id
+ * Get a single dictionary's details
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const dictionary = dictionaryDb.getById(req.params.id);
+
+    if (!dictionary) {
+      return res.status(404).json({ error: 'Dictionary not found' });
+    }
+
+    res.json({ dictionary: formatDictionary(dictionary) });
+  } catch (error) {
+    console.error('Get dictionary error:', error);
+    res.status(500).json({ error: 'Failed to get dictionary' });
+  }
+});
+
+/**
+ * POST /api/dictionaries (admin)
+ * Train a dictionary from `samples` files. Form fields: `name`, optional
+ * `size` in bytes, and the comma-separated `mimeTypes` and `extensions`
+ * that `compressionDictionary=auto` uploads are matched on.
+ */
+router.post('/', requireAdmin, withSampleLimits, async (req, res) => {
+  try {
+    const { dictionary, evaluation } = await dictionaries.createDictionary({
+      name: req.body.name,
+      samples: (req.files || []).map((file) => file.buffer),
+      size: req.body.size,
+      mimeTypes: parseList(req.body.mimeTypes),
+      extensions: parseList(req.body.extensions)
+    });
+
+    res.status(201).json({
+      success: true,
+      dictionary: formatDictionary(dictionary),
+      evaluation: {
+        ...evaluation,
+        originalSize: compression.formatBytes(evaluation.originalSize),
+        withoutDictionary: compression.formatBytes(evaluation.withoutDictionary),
+        withDictionary: compression.formatBytes(evaluation.withDictionary)
+      }
+    });
+
+  } catch (error) {
+    console.error('Train dictionary error:', error);
+    res.status(error.status || 500).json({
+      error: error.error || 'Training failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/dictionaries/:id (admin)
+ * Delete a dictionary no active transfer depends on
+ */
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    dictionaries.deleteDictionary(req.params.id);
+    res.json({ success: true, message: 'Dictionary deleted successfully' });
+  } catch (error) {
+    console.error('Delete dictionary error:', error);
+    res.status(error.status || 500).json({
+      error: error.error || 'Failed to delete dictionary',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,18 +1,268 @@
 import express from 'express';
 import path from 'path';
 import fs from 'fs';
+import { pipeline } from 'stream';
 import { fileURLToPath } from 'url';
 import bcrypt from 'bcryptjs';
 
 import { transferDb, logDb } from '../db/database.js';
 import encryption from '../lib/encryption.js';
 import compression from '../lib/compression.js';
+import container from '../lib/container.js';
+import transferPipeline from '../lib/pipeline.js';
+import dictionaries from '../lib/dictionaries.js';
+import bundle from '../lib/bundle.js';
+import archives from '../lib/archive.js';
+import archiveListing from '../lib/archiveListing.js';
+import merkle from '../lib/merkle.js';
+import downloadTracker from '../lib/downloadTracker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// How long a playback token is good for; the media element keeps requesting
+// ranges with it for as long as the file plays
+const PLAYBACK_TOKEN_TTL_MINUTES = parseInt(process.env.PLAYBACK_TOKEN_TTL_MINUTES) || 240;
+
+/**
+ * Migration path for headerless blobs written before the container format:
+ * one GCM pass with the auth tag from the link. The compression algorithm
+ * was not recorded back then, so fall back from gzip to Brotli.
+ */
+async function readLegacyBlob(encryptedData, decryptionKey, iv, authTag, algorithm) {
+  const decryptedData = encryption.decrypt(encryptedData, decryptionKey, iv, authTag);
+
+  if (algorithm) {
+    return compression.decompress(decryptedData, algorithm);
+  }
+
+  try {
+    return await compression.decompressGzip(decryptedData);
+  } catch {
+    return compression.decompressBrotli(decryptedData);
+  }
+}
+
+/**
+ * Buffered download for legacy blobs; these were capped at 500MB on upload
+ */
+async function sendLegacyBlob(req, res, transfer, filePath, decryptionKey, authTag) {
+  if (!authTag) {
+    return res.status(400).json({ 
+      error: 'Auth tag required',
+      message: 'Legacy transfers need the tag from the download URL fragment'
+    });
+  }
+
+  const encryptedData = fs.readFileSync(filePath);
+
+  // Verify checksum
+  const checksum = encryption.generateChecksum(encryptedData);
+  if (checksum !== transfer.checksum) {
+    return res.status(500).json({ error: 'File integrity check failed' });
+  }
+
+  let decompressedData;
+  try {
+    decompressedData = await readLegacyBlob(
+      encryptedData,
+      decryptionKey,
+      transfer.encryption_iv,
+      authTag,
+      transfer.compression_algorithm
+    );
+  } catch (decryptError) {
+    console.error('Decryption error:', decryptError);
+    return res.status(400).json({ 
+      error: 'Decryption failed', 
+      message: 'Invalid decryption key or auth tag' 
+    });
+  }
+
+  transferDb.updateDownloadCount(transfer.id);
+
+  logDb.create({
+    transfer_id: transfer.id,
+    action: 'download',
+    ip_address: req.ip,
+    user_agent: req.get('user-agent'),
+    details: JSON.stringify({ size: decompressedData.length, legacy: true })
+  });
+
+  res.setHeader('Content-Type', transfer.mime_type || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(transfer.original_filename)}"`);
+  res.setHeader('Content-Length', decompressedData.length);
+  res.send(decompressedData);
+}
+
+/**
+ * Strong ETag for a stored blob, derived from its SHA-256 checksum
+ */
+function getETag(transfer) {
+  return transfer.checksum ? `"${transfer.checksum}"` : null;
+}
+
+/**
+ * The single byte range to serve, `null` for the whole file,
+ * or -1 when the range cannot be satisfied
+ */
+function getRequestedRange(req, size, etag, lastModified) {
+  if (!req.get('range')) return null;
+
+  // If-Range: only honour the range while the blob is unchanged
+  const ifRange = req.get('if-range');
+  if (ifRange && ifRange !== etag && ifRange !== lastModified) return null;
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) return -1;
+
+  // Malformed, non-byte and multi-range requests get the whole file
+  if (ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) return null;
+
+  return ranges[0];
+}
+
+/**
+ * Look up a transfer for a download and check status, expiry, download
+ * limit and password (unless `passwordChecked`, e.g. for a playback token
+ * issued after checking it). Sends the error response and returns null on failure.
+ */
+async function authorizeTransfer(req, res, password, { passwordChecked = false } = {}) {
+  const { id } = req.params;
+  const transfer = transferDb.getById(id);
+
+  if (!transfer) {
+    res.status(404).json({ error: 'Transfer not found' });
+    return null;
+  }
+
+  if (transfer.status !== 'active') {
+    res.status(410).json({ error: `Transfer is ${transfer.status}` });
+    return null;
+  }
+
+  // Check if expired
+  if (transfer.expires_at && new Date(transfer.expires_at) < new Date()) {
+    transferDb.updateStatus(id, 'expired');
+    res.status(410).json({ error: 'Transfer has expired' });
+    return null;
+  }
+
+  // Check download limit
+  if (transfer.max_downloads && transfer.download_count >= transfer.max_downloads) {
+    res.status(410).json({ error: 'Download limit reached' });
+    return null;
+  }
+
+  // Verify password if required
+  if (transfer.password_hash && !passwordChecked) {
+    if (!password) {
+      res.status(401).json({ error: 'Password required', requiresPassword: true });
+      return null;
+    }
+
+    const isValid = await bcrypt.compare(password, transfer.password_hash);
+    if (!isValid) {
+      logDb.create({
+        transfer_id: id,
+        action: 'download_failed',
+        ip_address: req.ip,
+        user_agent: req.get('user-agent'),
+        details: 'Invalid password'
+      });
+      res.status(401).json({ error: 'Invalid password' });
+      return null;
+    }
+  }
+
+  return transfer;
+}
+
+/**
+ * The file key for a download: the one from the link or, for a transfer
+ * whose key is wrapped under its password, unwrapped with the (already
+ * verified) password
+ */
+async function resolveKey(transfer, key, password) {
+  if (key || !transfer.wrapped_key) return key;
+
+  const wrappingKey = await encryption.deriveKeyFromPassword(password, transfer.encryption_salt);
+  return encryption.unwrapKey(transfer.wrapped_key, wrappingKey);
+}
+
+/**
+ * The blob of a server-encrypted media transfer, stored uncompressed so
+ * /play can serve ranges of it, and its header, checked against `key`.
+ * Sends the error response and returns null on failure.
+ */
+async function openPlayableBlob(res, transfer, key) {
+  if (transfer.encryption_mode === 'client') {
+    res.status(400).json({
+      error: 'End-to-end encrypted transfer',
+      message: 'Play it through the browser, which decrypts ranges of /stream locally'
+    });
+    return null;
+  }
+
+  if (!key) {
+    res.status(400).json({ error: 'Decryption key required' });
+    return null;
+  }
+
+  const filePath = path.join(__dirname, '..', 'uploads', transfer.filename);
+
+  if (!fs.existsSync(filePath)) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+
+  const header = await container.readHeader(filePath);
+
+  if (!header || header.algorithm !== compression.Algorithm.NONE) {
+    res.status(400).json({ error: 'This transfer is not stored in a seekable format' });
+    return null;
+  }
+
+  if (!(await transferPipeline.verifyKey(filePath, header, key))) {
+    res.status(400).json({
+      error: 'Decryption failed',
+      message: 'Invalid decryption key or corrupted file'
+    });
+    return null;
+  }
+
+  return { filePath, header };
+}
+
+/**
+ * Pipe a chain of streams into the response with backpressure.
+ * Once bytes have gone out, a failure destroys the connection so the
+ * client sees a failed download instead of a silently truncated file.
+ */
+function streamToResponse(streams, res) {
+  return new Promise((resolve, reject) => {
+    const output = pipeline(...streams, (err) => {
+      if (err) {
+        if (res.headersSent) {
+          res.destroy(err);
+        }
+        reject(err);
+      }
+    });
+
+    res.on('finish', resolve);
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        streams[0].destroy(new Error('Client disconnected'));
+      }
+    });
+
+    output.pipe(res);
+  });
+}
+
 /**
  * GET /api/download/:id/info
  * Get transfer metadata (no password required)
@@ -42,6 +292,7 @@ router.get('/:id/info', async (req, res) => {
       id: transfer.id,
       filename: transfer.original_filename,
       originalSize: compression.formatBytes(transfer.original_size),
+      originalBytes: transfer.original_size,
       compressedSize: compression.formatBytes(transfer.compressed_size),
       compressionRatio: transfer.compression_ratio + '%',
       hasPassword: !!transfer.password_hash,
@@ -49,7 +300,42 @@ router.get('/:id/info', async (req, res) => {
       downloadCount: transfer.download_count,
       maxDownloads: transfer.max_downloads,
       createdAt: transfer.created_at,
-      mimeType: transfer.mime_type
+      mimeType: transfer.mime_type,
+      encryptionMode: transfer.encryption_mode || 'server',
+      compressionAlgorithm: transfer.compression_algorithm || null,
+      compressionMode: transfer.compression_mode || null,
+      compressionDictionary: transfer.compression_dictionary || null,
+      containerVersion: transfer.container_version || 0,
+      // Multi-file transfers: the file list, encrypted under the transfer key
+      manifest: transfer.manifest || null,
+      entryCount: transfer.entry_count || null,
+      // Uploaded ZIP / tar archives: their entries, encrypted the same way
+      archiveListing: transfer.archive_listing || null,
+      archiveEntryCount: transfer.archive_listing ? transfer.archive_entry_count : null,
+      // Password-wrapped keys: the link has no key; it is unwrapped with the password and salt
+      keyWrapped: !!transfer.wrapped_key,
+      keySalt: transfer.wrapped_key ? transfer.encryption_salt : undefined,
+      // Recipients' copies of the key; only their private keys (in their browsers) unwrap them
+      recipients: transfer.recipients
+        ? transfer.recipients.map((r) => ({
+          keyId: r.key_id,
+          name: r.name,
+          ephemeralKey: r.ephemeral_key,
+          wrappedKey: r.wrapped_key
+        }))
+        : null,
+      // Sender signature: the signer's public key, and the signed statement sealed with the transfer key
+      signerKey: transfer.signer_key || null,
+      signature: transfer.signature || null,
+      // The plaintext's SHA-256 recorded at upload, sealed the same way
+      plaintextDigest: transfer.plaintext_digest || null,
+      // Root of the stored blob's chunk tree; the leaves come from /chunks
+      merkleRoot: transfer.merkle_root || null,
+      merkleChunkSize: transfer.merkle_root ? transfer.merkle_chunk_size : null,
+      seekable: !!transfer.container_version
+        && transfer.compression_algorithm === compression.Algorithm.NONE
+        && compression.isMediaType(transfer.mime_type),
+      iv: transfer.encryption_mode === 'client' ? transfer.encryption_iv : undefined
     });
 
   } catch (error) {
@@ -58,119 +344,286 @@ router.get('/:id/info', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/download/:id/key
+ * The wrapped key of a transfer whose key is wrapped under its password,
+ * for the browser to unwrap. It is only handed out after the password
+ * check, so holding the link is not enough to guess passwords offline.
+ * End-to-end transfers are checked against an access key the browser
+ * derives from the password, never against the password itself.
+ */
+router.post('/:id/key', async (req, res) => {
+  try {
+    const transfer = await authorizeTransfer(req, res, req.body.password);
+    if (!transfer) return;
+
+    if (!transfer.wrapped_key) {
+      return res.status(404).json({
+        error: 'Key is not wrapped',
+        message: 'The key of this transfer is in its download link'
+      });
+    }
+
+    res.json({ wrappedKey: transfer.wrapped_key, salt: transfer.encryption_salt });
+
+  } catch (error) {
+    console.error('Get wrapped key error:', error);
+    res.status(500).json({ error: 'Failed to get wrapped key' });
+  }
+});
+
 /**
  * POST /api/download/:id
- * Download the file (requires decryption key and optional password)
+ * Download the file (requires decryption key and optional password).
+ * Transfers with a password-wrapped key need only the password.
+ * For a multi-file transfer, `path` picks one file; without it the files
+ * come back to back, as laid out in the manifest. `archive` ('zip' or
+ * 'tar.gz') packs the transfer's files into an archive instead, built while
+ * decrypting; `zipMethod` ('deflate' or 'store') picks how ZIP entries are stored.
+ * For an uploaded ZIP or tar archive, `archiveEntry` names one of its files
+ * to extract from it.
  */
 router.post('/:id', async (req, res) => {
   const io = req.app.get('io');
   
   try {
     const { id } = req.params;
-    const { password, decryptionKey, authTag } = req.body;
-    
-    const transfer = transferDb.getById(id);
-    
-    if (!transfer) {
-      return res.status(404).json({ error: 'Transfer not found' });
-    }
+    const { password, authTag, path: entryPath, archive, zipMethod, archiveEntry } = req.body;
 
-    // Check status
-    if (transfer.status !== 'active') {
-      return res.status(410).json({ error: `Transfer is ${transfer.status}` });
+    const transfer = await authorizeTransfer(req, res, password);
+    if (!transfer) return;
+
+    // End-to-end encrypted transfers are never decrypted on the server
+    if (transfer.encryption_mode === 'client') {
+      return res.status(400).json({
+        error: 'Transfer is end-to-end encrypted',
+        message: 'Download the ciphertext from /stream and decrypt it in the browser'
+      });
     }
 
-    // Check if expired
-    if (transfer.expires_at && new Date(transfer.expires_at) < new Date()) {
-      transferDb.updateStatus(id, 'expired');
-      return res.status(410).json({ error: 'Transfer has expired' });
+    if (archive !== undefined && !archives.isArchiveFormat(archive)) {
+      return res.status(400).json({
+        error: 'Invalid archive format',
+        message: `Supported formats: ${Object.values(archives.ArchiveFormat).join(', ')}`
+      });
     }
 
-    // Check download limit
-    if (transfer.max_downloads && transfer.download_count >= transfer.max_downloads) {
-      return res.status(410).json({ error: 'Download limit reached' });
+    if (zipMethod !== undefined && !Object.values(archives.ZipMethod).includes(zipMethod)) {
+      return res.status(400).json({
+        error: 'Invalid ZIP method',
+        message: `Supported methods: ${Object.values(archives.ZipMethod).join(', ')}`
+      });
     }
 
-    // Verify password if required
-    if (transfer.password_hash) {
-      if (!password) {
-        return res.status(401).json({ error: 'Password required', requiresPassword: true });
+    if (archiveEntry !== undefined) {
+      if (archive || entryPath !== undefined) {
+        return res.status(400).json({
+          error: 'Conflicting download options',
+          message: 'archiveEntry cannot be combined with path or archive'
+        });
       }
-      
-      const isValid = await bcrypt.compare(password, transfer.password_hash);
-      if (!isValid) {
-        // Log failed attempt
-        logDb.create({
-          transfer_id: id,
-          action: 'download_failed',
-          ip_address: req.ip,
-          user_agent: req.get('user-agent'),
-          details: 'Invalid password'
+      if (!transfer.archive_listing) {
+        return res.status(404).json({
+          error: 'Not an archive',
+          message: 'This transfer has no archive listing'
         });
-        return res.status(401).json({ error: 'Invalid password' });
       }
     }
 
-    // Verify decryption key and authTag are provided
-    if (!decryptionKey || !authTag) {
+    // Verify decryption key is provided
+    const decryptionKey = await resolveKey(transfer, req.body.decryptionKey, password);
+    if (!decryptionKey) {
       return res.status(400).json({ 
-        error: 'Decryption key and auth tag required',
-        message: 'These should be from the download URL fragment'
+        error: 'Decryption key required',
+        message: 'This should be from the download URL fragment'
       });
     }
 
-    io.emit('download-progress', { 
-      transferId: id, 
-      stage: 'reading',
-      progress: 10 
-    });
-
-    // Read encrypted file
+    // Locate encrypted file
     const filePath = path.join(__dirname, '..', 'uploads', transfer.filename);
     
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'File not found on server' });
     }
 
-    const encryptedData = fs.readFileSync(filePath);
+    // Dispatch on the blob header; headerless blobs are legacy
+    const header = await container.readHeader(filePath);
 
-    // Verify checksum
-    const checksum = encryption.generateChecksum(encryptedData);
-    if (checksum !== transfer.checksum) {
-      return res.status(500).json({ error: 'File integrity check failed' });
+    if (!header) {
+      if (archive || archiveEntry !== undefined) {
+        return res.status(400).json({
+          error: 'Archive downloads unavailable',
+          message: 'This transfer predates streamed downloads'
+        });
+      }
+      return await sendLegacyBlob(req, res, transfer, filePath, decryptionKey, authTag);
     }
 
-    io.emit('download-progress', { 
-      transferId: id, 
-      stage: 'decrypting',
-      progress: 40 
-    });
+    // e.g. a zstd blob on a Node.js without zstd support
+    if (!compression.isSupported(header.algorithm)) {
+      return res.status(501).json({
+        error: 'Compression algorithm unavailable',
+        message: `${header.algorithm} is not supported by this server`
+      });
+    }
 
-    // Decrypt the file
-    let decryptedData;
-    try {
-      decryptedData = encryption.decrypt(
-        encryptedData,
-        decryptionKey,
-        transfer.encryption_iv,
-        authTag
-      );
-    } catch (decryptError) {
-      console.error('Decryption error:', decryptError);
+    // Dictionary transfers need the dictionary they were compressed with
+    let dictionary = null;
+    if (transfer.compression_dictionary) {
+      try {
+        dictionary = dictionaries.loadDictionary(transfer.compression_dictionary);
+      } catch (dictionaryError) {
+        return res.status(dictionaryError.status || 500).json({
+          error: dictionaryError.error || 'Compression dictionary missing',
+          message: dictionaryError.message
+        });
+      }
+    }
+
+    // Reject a wrong key before any bytes are sent
+    if (!(await transferPipeline.verifyKey(filePath, header, decryptionKey))) {
       return res.status(400).json({ 
         error: 'Decryption failed', 
-        message: 'Invalid decryption key or auth tag' 
+        message: 'Invalid decryption key or corrupted file' 
+      });
+    }
+
+    // Chunk hashes of the stored blob, checked chunk by chunk as it is read;
+    // older blobs only have the whole-file checksum
+    let leaves = null;
+    if (transfer.merkle_root) {
+      try {
+        leaves = await merkle.readTree(filePath, transfer.merkle_root);
+      } catch (treeError) {
+        return res.status(500).json({ error: 'File integrity check failed', message: treeError.message });
+      }
+    }
+
+    // The plaintext's SHA-256 as recorded at upload, checked while decrypting
+    let digest = null;
+    if (transfer.plaintext_digest) {
+      try {
+        digest = encryption.decryptDigest(transfer.plaintext_digest, decryptionKey);
+      } catch {
+        return res.status(500).json({
+          error: 'File integrity check failed',
+          message: 'The recorded plaintext digest could not be opened'
+        });
+      }
+    }
+
+    // One file of a multi-file transfer, looked up in the manifest;
+    // an archive holds them all, or the single file of a plain transfer
+    let entry = null;
+    let archiveEntries = null;
+    // Or one file inside an uploaded archive, looked up in its listing
+    let listing = null;
+    let extracted = null;
+    try {
+      if (archiveEntry !== undefined) {
+        listing = encryption.decryptListing(transfer.archive_listing, decryptionKey);
+        extracted = archiveListing.findArchiveEntry(listing, archiveEntry);
+      }
+
+      const manifest = transfer.manifest && (entryPath !== undefined || archive)
+        ? encryption.decryptManifest(transfer.manifest, decryptionKey)
+        : null;
+
+      if (archive) {
+        archiveEntries = manifest ? manifest.entries : [{
+          path: bundle.baseName(transfer.original_filename),
+          size: transfer.original_size,
+          offset: 0,
+          type: transfer.mime_type
+        }];
+      } else if (manifest) {
+        entry = bundle.findEntry(manifest, entryPath);
+      }
+    } catch (entryError) {
+      return res.status(entryError.status || 500).json({
+        error: entryError.error || 'Could not read the file list',
+        message: entryError.message
       });
     }
 
     io.emit('download-progress', { 
       transferId: id, 
-      stage: 'decompressing',
-      progress: 70 
+      stage: 'decrypting',
+      progress: 0 
     });
 
-    // Decompress the file
-    const decompressedData = await compression.decompressGzip(decryptedData);
+    const encryptedSize = fs.statSync(filePath).size - header.headerLength;
+
+    // Send file; an archive's length is only known once it is written
+    if (extracted) {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(bundle.baseName(extracted.path))}"`);
+      res.setHeader('Content-Length', extracted.size);
+    } else if (archive) {
+      res.setHeader('Content-Type', archives.getArchiveMimeType(archive));
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(archives.getArchiveFilename(transfer.original_filename, archive))}"`);
+    } else {
+      res.setHeader('Content-Type', (entry ? entry.type : transfer.mime_type) || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(entry ? bundle.baseName(entry.path) : transfer.original_filename)}"`);
+      res.setHeader('Content-Length', entry ? entry.size : transfer.original_size);
+    }
+
+    // read → verify chunks (or checksum) → decrypt segments → decompress → verify plaintext → response
+    try {
+      await streamToResponse([
+        fs.createReadStream(filePath, { start: header.headerLength }),
+        leaves
+          ? new merkle.MerkleVerifier(leaves, { chunkSize: transfer.merkle_chunk_size, prefix: header.raw })
+          : new transferPipeline.ChecksumVerifier(transfer.checksum, header.raw),
+        new transferPipeline.ByteCounter(transferPipeline.createProgressReporter(
+          io, id, encryptedSize, 'decrypting', 'download-progress'
+        )),
+        encryption.createSegmentDecryptStream(decryptionKey, header.iv, {
+          segmentSize: header.segmentSize,
+          associatedData: header.raw
+        }),
+        compression.createDecompressStream(header.algorithm, dictionary),
+        // Before any slicing or archiving, so the whole plaintext is hashed
+        ...(digest ? [new transferPipeline.PlaintextVerifier(digest.sha256)] : []),
+        // The whole blob is still read, so its checksum is verified
+        ...(entry ? [new transferPipeline.ByteSlice(entry.offset, entry.size)] : []),
+        ...(archive ? archives.createArchiveStreams(archiveEntries, {
+          format: archive,
+          method: zipMethod,
+          modified: transfer.created_at
+        }) : []),
+        ...(extracted ? archiveListing.createExtractStreams(listing, extracted) : []),
+        // A single file's bytes are all cut before the blob ends; its last ones wait for the digest
+        ...(digest && (entry || extracted) ? [new transferPipeline.HoldBack()] : [])
+      ], res);
+    } catch (streamError) {
+      console.error('Download stream error:', streamError);
+
+      logDb.create({
+        transfer_id: id,
+        action: 'download_failed',
+        ip_address: req.ip,
+        user_agent: req.get('user-agent'),
+        details: streamError.message
+      });
+
+      io.emit('download-progress', { 
+        transferId: id, 
+        stage: 'failed',
+        error: streamError.message 
+      });
+
+      // Nothing sent yet - a proper error response is still possible
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Length');
+        return res.status(500).json({ 
+          error: streamError.code === 'ECHECKSUM' ? 'File integrity check failed' : 'Download failed', 
+          message: streamError.message 
+        });
+      }
+      return;
+    }
 
     // Update download count
     transferDb.updateDownloadCount(id);
@@ -181,7 +634,11 @@ router.post('/:id', async (req, res) => {
       action: 'download',
       ip_address: req.ip,
       user_agent: req.get('user-agent'),
-      details: JSON.stringify({ size: decompressedData.length })
+      details: JSON.stringify(extracted
+        ? { size: extracted.size, archiveEntry: extracted.path }
+        : entry
+          ? { size: entry.size, path: entry.path }
+          : { size: transfer.original_size, ...(archive && { archive }) })
     });
 
     io.emit('download-progress', { 
@@ -190,12 +647,6 @@ router.post('/:id', async (req, res) => {
       progress: 100 
     });
 
-    // Send file
-    res.setHeader('Content-Type', transfer.mime_type || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(transfer.original_filename)}"`);
-    res.setHeader('Content-Length', decompressedData.length);
-    res.send(decompressedData);
-
   } catch (error) {
     console.error('Download error:', error);
     res.status(500).json({ 
@@ -205,25 +656,61 @@ router.post('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/download/:id/chunks
+ * The chunk tree of the stored blob: its `size`, `chunkSize` and the hex `leaves`,
+ * which add up to `merkleRoot` from /info. Clients check /stream against them
+ * chunk by chunk and fetch only damaged chunks again.
+ * Password-protected transfers take the password in `X-Transfer-Password`.
+ */
+router.get('/:id/chunks', async (req, res) => {
+  try {
+    const transfer = await authorizeTransfer(req, res, req.get('x-transfer-password'));
+    if (!transfer) return;
+
+    if (!transfer.merkle_root) {
+      return res.status(404).json({
+        error: 'Chunk hashes unavailable',
+        message: 'This transfer predates chunk hashing'
+      });
+    }
+
+    const filePath = path.join(__dirname, '..', 'uploads', transfer.filename);
+
+    let leaves;
+    try {
+      leaves = await merkle.readTree(filePath, transfer.merkle_root);
+    } catch (treeError) {
+      return res.status(500).json({ error: 'Chunk hashes unreadable', message: treeError.message });
+    }
+
+    res.json({
+      merkleRoot: transfer.merkle_root,
+      size: transfer.compressed_size,
+      chunkSize: transfer.merkle_chunk_size,
+      leaves: leaves.map((leaf) => leaf.toString('hex'))
+    });
+
+  } catch (error) {
+    console.error('Get chunk hashes error:', error);
+    res.status(500).json({ error: 'Failed to get chunk hashes' });
+  }
+});
+
 /**
  * GET /api/download/:id/stream
- * Stream download for large files (client-side decryption)
+ * Stream download for large files (client-side decryption).
+ * Password-protected transfers take the password in `X-Transfer-Password`.
+ * Supports `Range`/`If-Range` so interrupted downloads can resume. A download
+ * counts towards `max_downloads` once one client has been sent every byte of
+ * the blob (see downloadTracker), however many ranges that took.
  */
 router.get('/:id/stream', async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const transfer = transferDb.getById(id);
-    
-    if (!transfer || transfer.status !== 'active') {
-      return res.status(404).json({ error: 'Transfer not found or inactive' });
-    }
 
-    // Check if expired
-    if (transfer.expires_at && new Date(transfer.expires_at) < new Date()) {
-      transferDb.updateStatus(id, 'expired');
-      return res.status(410).json({ error: 'Transfer has expired' });
-    }
+    const transfer = await authorizeTransfer(req, res, req.get('x-transfer-password'));
+    if (!transfer) return;
 
     const filePath = path.join(__dirname, '..', 'uploads', transfer.filename);
     
@@ -232,12 +719,69 @@ router.get('/:id/stream', async (req, res) => {
     }
 
     const stat = fs.statSync(filePath);
-    
+    const header = await container.readHeader(filePath);
+    const etag = getETag(transfer);
+    const lastModified = stat.mtime.toUTCString();
+
     res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Content-Length', stat.size);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Last-Modified', lastModified);
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
     res.setHeader('X-Encryption-IV', transfer.encryption_iv);
-    
-    fs.createReadStream(filePath).pipe(res);
+    res.setHeader('X-Container-Version', header ? header.version : 0);
+    res.setHeader('X-Compression-Algorithm', header ? header.algorithm : transfer.compression_algorithm || 'unknown');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const range = getRequestedRange(req, stat.size, etag, lastModified);
+
+    if (range === -1) {
+      res.setHeader('Content-Range', `bytes */${stat.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    const { start, end } = range || { start: 0, end: stat.size - 1 };
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+    res.setHeader('Content-Length', end - start + 1);
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const source = fs.createReadStream(filePath, { start, end });
+
+    pipeline(source, res, (err) => {
+      if (err) {
+        console.error('Stream interrupted:', err.message);
+      }
+
+      // What was read before an interruption counts as sent
+      const sent = err ? source.bytesRead : end - start + 1;
+      const completesDownload = sent > 0 && downloadTracker.recordRange(
+        downloadTracker.getClientKey(req, id, 'stream', etag || lastModified),
+        { start, end: start + sent - 1, size: stat.size }
+      );
+
+      if (completesDownload) {
+        transferDb.updateDownloadCount(id);
+
+        logDb.create({
+          transfer_id: id,
+          action: 'download',
+          ip_address: req.ip,
+          user_agent: req.get('user-agent'),
+          details: JSON.stringify({ size: stat.size, stream: true, range: range ? `${start}-${end}` : undefined })
+        });
+      }
+    });
 
   } catch (error) {
     console.error('Stream error:', error);
@@ -245,4 +789,139 @@ router.get('/:id/stream', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/download/:id/play
+ * A playback token for /play, after checking `password` and `decryptionKey`
+ * (with a password-wrapped key, the password alone will do). Media elements
+ * cannot send headers, so their URL carries this short-lived token instead
+ * of the key and password.
+ */
+router.post('/:id/play', async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const transfer = await authorizeTransfer(req, res, password);
+    if (!transfer) return;
+
+    const key = transfer.encryption_mode === 'client'
+      ? null
+      : await resolveKey(transfer, req.body.decryptionKey, password);
+    if (!(await openPlayableBlob(res, transfer, key))) return;
+
+    const expiresAt = new Date(Date.now() + PLAYBACK_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+    res.json({
+      token: encryption.sealPlaybackToken({ transferId: transfer.id, key, expiresAt }),
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Playback token error:', error);
+    res.status(500).json({ error: 'Failed to start playback' });
+  }
+});
+
+/**
+ * GET /api/download/:id/play?token=...
+ * Seekable playback of server-encrypted media: serves decrypted byte ranges
+ * of an uncompressed blob, decrypting only the segments each range touches.
+ * The token from POST /play carries the key; its password was checked then.
+ * Like /stream, a download counts once one client has been sent every byte.
+ */
+router.get('/:id/play', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let grant = null;
+    try {
+      grant = encryption.openPlaybackToken(String(req.query.token || ''));
+    } catch {
+      // Not a token of this server
+    }
+    if (!grant || grant.transferId !== id) {
+      return res.status(401).json({ error: 'Invalid playback token' });
+    }
+    if (new Date(grant.expiresAt) < new Date()) {
+      return res.status(401).json({ error: 'Playback token has expired' });
+    }
+
+    const transfer = await authorizeTransfer(req, res, null, { passwordChecked: true });
+    if (!transfer) return;
+
+    const { key } = grant;
+    const blob = await openPlayableBlob(res, transfer, key);
+    if (!blob) return;
+    const { filePath, header } = blob;
+
+    const size = transfer.original_size;
+    const lastModified = fs.statSync(filePath).mtime.toUTCString();
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Last-Modified', lastModified);
+    // Decrypted content must not end up in shared caches
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    const range = getRequestedRange(req, size, null, lastModified);
+
+    if (range === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.setHeader('Content-Type', transfer.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Length', end - start + 1);
+
+    if (req.method === 'HEAD' || size === 0) {
+      return res.end();
+    }
+
+    const counter = new transferPipeline.ByteCounter();
+    let streamError = null;
+    try {
+      await streamToResponse(
+        [...transferPipeline.createRangeDecryptStreams(filePath, header, key, { start, end, size }), counter],
+        res
+      );
+    } catch (error) {
+      streamError = error;
+      // Seeking aborts the previous request; that is not a failure
+      if (streamError.message !== 'Client disconnected') {
+        console.error('Playback stream error:', streamError);
+      }
+      if (!res.headersSent) {
+        res.removeHeader('Content-Length');
+        res.removeHeader('Content-Range');
+        return res.status(500).json({ error: 'Playback failed', message: streamError.message });
+      }
+    }
+
+    const sent = streamError ? counter.bytes : end - start + 1;
+    const completesDownload = sent > 0 && downloadTracker.recordRange(
+      downloadTracker.getClientKey(req, id, 'play', getETag(transfer) || lastModified),
+      { start, end: start + sent - 1, size }
+    );
+
+    if (completesDownload) {
+      transferDb.updateDownloadCount(id);
+
+      logDb.create({
+        transfer_id: id,
+        action: 'download',
+        ip_address: req.ip,
+        user_agent: req.get('user-agent'),
+        details: JSON.stringify({ size, playback: true })
+      });
+    }
+
+  } catch (error) {
+    console.error('Playback error:', error);
+    res.status(500).json({ error: 'Playback failed' });
+  }
+});
+
 export default router;
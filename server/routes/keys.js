@@ -0,0 +1,102 @@
+import express from 'express';
+import crypto from 'crypto';
+
+import { keyDb } from '../db/database.js';
+import encryption from '../lib/encryption.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Key IDs are the first 16 hex digits of the SHA-256 of the raw public key
+ */
+function getKeyId(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKey, 'hex')).digest('hex').slice(0, 16);
+}
+
+function formatKey(k) {
+  return {
+    id: k.id,
+    name: k.name,
+    publicKey: k.public_key,
+    createdAt: k.created_at
+  };
+}
+
+/**
+ * GET /api/keys
+ * List the key directory: everyone transfers can be encrypted to
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({ keys: keyDb.getAll().map(formatKey) });
+  } catch (error) {
+    console.error('List keys error:', error);
+    res.status(500).json({ error: 'Failed to list keys' });
+  }
+});
+
+/**
+ * GET /api/keys/:id
+ * Get a single registered key
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const key = keyDb.getById(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+
+    res.json({ key: formatKey(key) });
+  } catch (error) {
+    console.error('Get key error:', error);
+    res.status(500).json({ error: 'Failed to get key' });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Register a `name` with a raw X25519 `publicKey` (hex), generated in the
+ * recipient's browser. Names and keys are unique in the directory.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { publicKey } = req.body;
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: `Names are 1 to ${MAX_NAME_LENGTH} characters`
+      });
+    }
+
+    if (!encryption.isValidPublicKey(publicKey)) {
+      return res.status(400).json({
+        error: 'Invalid public key',
+        message: 'Send a raw X25519 public key as 64 hex digits'
+      });
+    }
+
+    const id = getKeyId(publicKey);
+
+    if (keyDb.getById(id)) {
+      return res.status(409).json({ error: 'Key already registered', id });
+    }
+
+    if (keyDb.getByName(name)) {
+      return res.status(409).json({ error: 'Name already registered' });
+    }
+
+    const key = keyDb.create({ id, name, public_key: publicKey.toLowerCase() });
+
+    res.status(201).json({ success: true, key: formatKey(key) });
+  } catch (error) {
+    console.error('Register key error:', error);
+    res.status(500).json({ error: 'Failed to register key' });
+  }
+});
+
+export default router;
@@ -0,0 +1,441 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import bcrypt from 'bcryptjs';
+
+import { sessionDb } from '../db/database.js';
+import encryption from '../lib/encryption.js';
+import transferPipeline from '../lib/pipeline.js';
+import transfers from '../lib/transfers.js';
+
+const router = express.Router();
+
+const sessionsDir = path.join(transfers.UPLOADS_DIR, 'sessions');
+
+// Chunk size bounds (bytes)
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Unfinished sessions are discarded after this many hours
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+// Sessions are mounted ahead of the global body parsers, so that chunks reach
+// their route as raw bodies whatever their content type. The requests that
+// do have a body parse it here; bundles carry their encrypted manifest (up to 4 MB).
+const parseBody = [express.json({ limit: '5mb' }), express.urlencoded({ extended: true })];
+
+function getSessionDir(sessionId) {
+  return path.join(sessionsDir, sessionId);
+}
+
+function getChunkPath(sessionId, index) {
+  return path.join(getSessionDir(sessionId), `chunk-${index}`);
+}
+
+/**
+ * Remove expired sessions and their chunks
+ */
+function cleanupExpiredSessions() {
+  for (const session of sessionDb.cleanupExpired()) {
+    fs.rmSync(getSessionDir(session.id), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Look up a session that can still accept chunks, or send the error response
+ */
+function getOpenSession(req, res) {
+  const session = sessionDb.getById(req.params.id);
+
+  if (!session) {
+    res.status(404).json({ error: 'Upload session not found' });
+    return null;
+  }
+
+  if (new Date(session.expires_at) < new Date()) {
+    res.status(410).json({ error: 'Upload session has expired' });
+    return null;
+  }
+
+  if (session.status !== 'open') {
+    res.status(409).json({ error: `Upload session is ${session.status}` });
+    return null;
+  }
+
+  return session;
+}
+
+function getReceivedChunks(session) {
+  return Object.keys(session.received).map(Number).sort((a, b) => a - b);
+}
+
+function getBytesReceived(session) {
+  return Object.values(session.received).reduce((sum, chunk) => sum + chunk.size, 0);
+}
+
+/**
+ * Concatenate the stored chunks in order
+ */
+async function* readChunks(sessionId, totalChunks) {
+  for (let i = 0; i < totalChunks; i++) {
+    yield* fs.createReadStream(getChunkPath(sessionId, i));
+  }
+}
+
+/**
+ * POST /api/upload/sessions
+ * Start a resumable upload session and return its server-issued ID.
+ * Transfer options (password, expiry, ...) are fixed here, once.
+ */
+router.post('/', parseBody, async (req, res) => {
+  try {
+    const {
+      filename,
+      mimeType,
+      chunkSize,
+      totalChunks,
+      clientEncrypted = false,
+      iv,
+      salt,
+      originalSize,
+      compressionReason,
+      manifest,
+      entryCount,
+      archiveListing,
+      archiveEntryCount,
+      wrapKey,
+      wrappedKey,
+      recipients,
+      recipientKeys,
+      signerKey,
+      signature,
+      signedAt,
+      sealedSignature,
+      plaintextDigest,
+      merkleRoot,
+      password,
+      expiresIn,
+      maxDownloads,
+      compressionAlgorithm,
+      compressionLevel,
+      compressionGoal,
+      compressionDictionary
+    } = req.body;
+
+    if (!filename) {
+      return res.status(400).json({ error: 'Filename is required' });
+    }
+
+    const keyWrapped = transfers.validateKeyWrapping(clientEncrypted
+      ? { password, wrappedKey }
+      : { password, wrapKey });
+    const keyRecipients = transfers.validateRecipients(clientEncrypted
+      ? { recipientKeys, keyWrapped }
+      : { recipients, keyWrapped });
+    const signed = transfers.validateSignature({ signerKey, signature, signedAt, sealedSignature, clientEncrypted });
+
+    if (clientEncrypted) {
+      transfers.validateClientParams({
+        iv,
+        salt,
+        manifest,
+        entryCount,
+        archiveListing,
+        archiveEntryCount,
+        plaintextDigest,
+        merkleRoot
+      });
+    } else {
+      transfers.validateCompressionAlgorithm(compressionAlgorithm);
+      transfers.validateCompressionLevel(compressionLevel);
+      transfers.validateCompressionGoal(compressionGoal);
+      transfers.validateCompressionDictionary(compressionDictionary, {
+        algorithm: compressionAlgorithm,
+        mimeType,
+        filename
+      });
+    }
+
+    cleanupExpiredSessions();
+
+    const size = Math.min(
+      MAX_CHUNK_SIZE,
+      Math.max(MIN_CHUNK_SIZE, parseInt(chunkSize) || DEFAULT_CHUNK_SIZE)
+    );
+
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + SESSION_TTL_HOURS);
+
+    // Session IDs use the same random generator as transfer IDs
+    const session = sessionDb.create({
+      id: await encryption.generateTransferId(),
+      filename,
+      mime_type: mimeType || 'application/octet-stream',
+      chunk_size: size,
+      total_chunks: parseInt(totalChunks) || null,
+      client_encrypted: !!clientEncrypted,
+      encryption_iv: clientEncrypted ? iv : null,
+      encryption_salt: clientEncrypted ? salt : null,
+      original_size: parseInt(originalSize) || null,
+      compression_reason: clientEncrypted ? compressionReason || null : null,
+      manifest: clientEncrypted ? manifest || null : null,
+      entry_count: clientEncrypted && manifest ? parseInt(entryCount) : null,
+      archive_listing: clientEncrypted ? archiveListing || null : null,
+      archive_entry_count: clientEncrypted && archiveListing ? parseInt(archiveEntryCount) : null,
+      plaintext_digest: clientEncrypted ? plaintextDigest || null : null,
+      merkle_root: clientEncrypted ? merkleRoot || null : null,
+      // The server cannot keep the password until completion, so it is sent again there
+      wrap_key: !clientEncrypted && keyWrapped,
+      wrapped_key: clientEncrypted && keyWrapped ? wrappedKey : null,
+      recipients: keyRecipients,
+      signature: signed,
+      password_hash: await transfers.hashPassword(password),
+      transfer_expires_in: expiresIn || null,
+      max_downloads: maxDownloads || null,
+      compression_algorithm: compressionAlgorithm || null,
+      compression_level: compressionLevel || null,
+      compression_goal: compressionGoal || null,
+      compression_dictionary: compressionDictionary || null,
+      expires_at: expiresAt.toISOString()
+    });
+
+    fs.mkdirSync(getSessionDir(session.id), { recursive: true });
+
+    res.status(201).json({
+      success: true,
+      sessionId: session.id,
+      chunkSize: session.chunk_size,
+      expiresAt: session.expires_at
+    });
+
+  } catch (error) {
+    console.error('Create session error:', error);
+    res.status(error.status || 500).json({
+      error: error.error || 'Failed to create upload session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/upload/sessions/:id
+ * Session status, including which chunks the server already has
+ */
+router.get('/:id', (req, res) => {
+  const session = sessionDb.getById(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  res.json({
+    sessionId: session.id,
+    status: session.status,
+    filename: session.filename,
+    chunkSize: session.chunk_size,
+    totalChunks: session.total_chunks,
+    receivedChunks: getReceivedChunks(session),
+    bytesReceived: getBytesReceived(session),
+    expiresAt: session.expires_at,
+    transferId: session.transfer_id || null
+  });
+});
+
+/**
+ * PUT /api/upload/sessions/:id/chunks/:index
+ * Upload one chunk as the raw request body. `X-Chunk-SHA256` must hold
+ * the hex SHA-256 of the chunk; mismatching chunks are discarded.
+ * Re-sending a chunk replaces it, so retries are safe.
+ */
+router.put('/:id/chunks/:index', async (req, res) => {
+  const session = getOpenSession(req, res);
+  if (!session) return;
+
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0 || (session.total_chunks && index >= session.total_chunks)) {
+    return res.status(400).json({ error: 'Invalid chunk index' });
+  }
+
+  const expected = (req.get('x-chunk-sha256') || '').toLowerCase();
+  if (!SHA256_PATTERN.test(expected)) {
+    return res.status(400).json({ error: 'X-Chunk-SHA256 header with a hex SHA-256 is required' });
+  }
+
+  const remaining = transfers.MAX_UPLOAD_SIZE - getBytesReceived(session);
+  const partPath = path.join(getSessionDir(session.id), `chunk-${index}.${uuidv4()}.part`);
+  const hash = new transferPipeline.HashTap();
+
+  try {
+    await pipeline(
+      req,
+      new transferPipeline.ByteCounter(undefined, { limit: Math.min(session.chunk_size, remaining) }),
+      hash,
+      fs.createWriteStream(partPath)
+    );
+  } catch (error) {
+    fs.rmSync(partPath, { force: true });
+
+    if (error.code === 'ELIMIT') {
+      return res.status(413).json({ error: 'Chunk too large', chunkSize: session.chunk_size });
+    }
+
+    console.error('Chunk upload error:', error);
+    return res.status(500).json({ error: 'Chunk upload failed', message: error.message });
+  }
+
+  const actual = hash.digest();
+  if (actual !== expected) {
+    fs.rmSync(partPath, { force: true });
+    return res.status(422).json({ error: 'Chunk checksum mismatch', index, expected, actual });
+  }
+
+  fs.renameSync(partPath, getChunkPath(session.id, index));
+  const updated = sessionDb.addChunk(session.id, index, { size: hash.bytes, sha256: actual });
+  const receivedChunks = getReceivedChunks(updated);
+
+  req.app.get('io').emit('upload-progress', {
+    sessionId: session.id,
+    stage: 'uploading',
+    progress: updated.total_chunks
+      ? Math.round((receivedChunks.length / updated.total_chunks) * 100)
+      : null,
+    bytesReceived: getBytesReceived(updated)
+  });
+
+  res.json({
+    success: true,
+    index,
+    received: receivedChunks.length,
+    totalChunks: updated.total_chunks
+  });
+});
+
+/**
+ * POST /api/upload/sessions/:id/complete
+ * Assemble the chunks, run the normal compress/encrypt pipeline and
+ * return the same payload as POST /api/upload.
+ * `totalChunks` is required here if it was not given at creation.
+ * Sessions created with `wrapKey` need the transfer `password` again.
+ */
+router.post('/:id/complete', parseBody, async (req, res) => {
+  const session = getOpenSession(req, res);
+  if (!session) return;
+
+  const io = req.app.get('io');
+  const totalChunks = session.total_chunks || parseInt(req.body.totalChunks);
+
+  if (!totalChunks) {
+    return res.status(400).json({ error: 'Total chunk count is required' });
+  }
+
+  const { password } = req.body;
+  if (session.wrap_key && !(password && await bcrypt.compare(password, session.password_hash))) {
+    return res.status(401).json({ error: 'Invalid password', message: 'The key is wrapped under the session password' });
+  }
+
+  const missing = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!session.received[i]) missing.push(i);
+  }
+
+  if (missing.length > 0) {
+    return res.status(409).json({ error: 'Missing chunks', missing });
+  }
+
+  sessionDb.update(session.id, { status: 'finalizing', total_chunks: totalChunks });
+
+  try {
+    const transferId = await encryption.generateTransferId();
+    const input = Readable.from(readChunks(session.id, totalChunks));
+    const totalBytes = getBytesReceived(session);
+    const client = { ip: req.ip, userAgent: req.get('user-agent') };
+    const options = {
+      filename: session.filename,
+      passwordHash: session.password_hash,
+      expiresIn: session.transfer_expires_in,
+      maxDownloads: session.max_downloads
+    };
+
+    let payload;
+    if (session.client_encrypted) {
+      const stored = await transfers.storeEncryptedTransfer(io, input, { transferId, totalBytes });
+      payload = await transfers.recordClientTransfer(io, stored, {
+        ...options,
+        mimeType: session.mime_type,
+        iv: session.encryption_iv,
+        salt: session.encryption_salt,
+        originalSize: session.original_size,
+        compressionReason: session.compression_reason,
+        manifest: session.manifest,
+        entryCount: session.entry_count,
+        archiveListing: session.archive_listing,
+        archiveEntryCount: session.archive_entry_count,
+        wrappedKey: session.wrapped_key,
+        recipients: session.recipients,
+        signature: session.signature,
+        plaintextDigest: session.plaintext_digest,
+        expectedMerkleRoot: session.merkle_root
+      }, client);
+    } else {
+      const processed = await transfers.encryptTransfer(io, input, {
+        transferId,
+        filename: session.filename,
+        mimeType: session.mime_type,
+        compressionAlgorithm: session.compression_algorithm,
+        compressionLevel: session.compression_level,
+        compressionGoal: session.compression_goal,
+        compressionDictionary: session.compression_dictionary,
+        totalBytes
+      });
+      payload = await transfers.recordServerTransfer(io, processed, {
+        ...options,
+        keyPassword: session.wrap_key ? password : null,
+        recipients: session.recipients,
+        signature: session.signature,
+        mimeType: session.mime_type
+      }, client);
+    }
+
+    fs.rmSync(getSessionDir(session.id), { recursive: true, force: true });
+    sessionDb.update(session.id, { status: 'completed', transfer_id: transferId });
+
+    res.json(payload);
+
+  } catch (error) {
+    console.error('Finalize session error:', error);
+    sessionDb.update(session.id, { status: 'open' });
+    res.status(error.status || 500).json({
+      error: error.error || 'Failed to finalize upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/upload/sessions/:id
+ * Cancel a session and discard its chunks
+ */
+router.delete('/:id', (req, res) => {
+  const session = sessionDb.getById(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  if (session.status === 'finalizing') {
+    return res.status(409).json({ error: 'Upload session is finalizing' });
+  }
+
+  fs.rmSync(getSessionDir(session.id), { recursive: true, force: true });
+  sessionDb.delete(session.id);
+
+  res.json({ success: true, message: 'Upload session cancelled' });
+});
+
+export default router;
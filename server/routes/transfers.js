@@ -5,12 +5,21 @@ import { fileURLToPath } from 'url';
 
 import { transferDb, logDb } from '../db/database.js';
 import compression from '../lib/compression.js';
+import merkle from '../lib/merkle.js';
+import admin from '../lib/admin.js';
+import { removeBlob } from '../lib/transfers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// Each integrity check reads the whole blob, so a transfer is checked at most this often
+const INTEGRITY_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Transfer ID -> when its last integrity check started
+const integrityChecks = new Map();
+
 /**
  * GET /api/transfers
  * List all transfers
@@ -74,7 +83,17 @@ router.get('/:id', async (req, res) => {
         originalSize: compression.formatBytes(transfer.original_size),
         compressedSize: compression.formatBytes(transfer.compressed_size),
         compressionRatio: transfer.compression_ratio + '%',
+        compressionAlgorithm: transfer.compression_algorithm || null,
+        compressionMode: transfer.compression_mode || null,
+        compressionReason: transfer.compression_reason || null,
+        compressionDictionary: transfer.compression_dictionary || null,
+        entryCount: transfer.entry_count || null,
+        archiveEntryCount: transfer.archive_listing ? transfer.archive_entry_count : null,
         hasPassword: !!transfer.password_hash,
+        keyWrapped: !!transfer.wrapped_key,
+        recipients: transfer.recipients ? transfer.recipients.map((r) => r.name) : null,
+        signerKey: transfer.signer_key || null,
+        merkleRoot: transfer.merkle_root || null,
         downloadCount: transfer.download_count,
         maxDownloads: transfer.max_downloads,
         expiresAt: transfer.expires_at,
@@ -96,6 +115,87 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transfers/:id/integrity
+ * Check every chunk of the stored blob against the chunk hashes recorded
+ * at upload, and report exactly which ones are corrupt (admin)
+ */
+router.get('/:id/integrity', admin.requireAdmin('Integrity checking'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = transferDb.getById(id);
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (!transfer.merkle_root) {
+      return res.status(404).json({
+        error: 'Chunk hashes unavailable',
+        message: 'This transfer predates chunk hashing'
+      });
+    }
+
+    const filePath = path.join(__dirname, '..', 'uploads', transfer.filename);
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found on server' });
+    }
+
+    let leaves;
+    try {
+      leaves = await merkle.readTree(filePath, transfer.merkle_root);
+    } catch (treeError) {
+      return res.status(500).json({ error: 'Chunk hashes unreadable', message: treeError.message });
+    }
+
+    const now = Date.now();
+    for (const [checkedId, startedAt] of integrityChecks) {
+      if (now - startedAt >= INTEGRITY_CHECK_INTERVAL_MS) integrityChecks.delete(checkedId);
+    }
+    if (integrityChecks.has(id)) {
+      const retryAfter = Math.ceil((integrityChecks.get(id) + INTEGRITY_CHECK_INTERVAL_MS - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Integrity check already run',
+        message: `This transfer can be checked again in ${retryAfter} seconds`
+      });
+    }
+    integrityChecks.set(id, now);
+
+    const chunkSize = transfer.merkle_chunk_size;
+    const corruptChunks = await merkle.findCorruptChunks(filePath, leaves, chunkSize);
+    // Chunks past the recorded end of a blob that grew are reported up to its actual end
+    const size = Math.max(transfer.compressed_size, fs.statSync(filePath).size);
+
+    logDb.create({
+      transfer_id: id,
+      action: 'integrity_check',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent'),
+      details: JSON.stringify({ corruptChunks: corruptChunks.length })
+    });
+
+    res.json({
+      id,
+      merkleRoot: transfer.merkle_root,
+      chunkSize,
+      chunkCount: leaves.length,
+      intact: corruptChunks.length === 0,
+      corruptChunks: corruptChunks.map((index) => ({
+        index,
+        start: index * chunkSize,
+        end: Math.min((index + 1) * chunkSize, size) - 1
+      }))
+    });
+
+  } catch (error) {
+    console.error('Integrity check error:', error);
+    res.status(500).json({ error: 'Failed to check transfer integrity' });
+  }
+});
+
 /**
  * DELETE /api/transfers/:id
  * Delete a transfer
@@ -110,11 +210,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Transfer not found' });
     }
 
-    // Delete file from disk
-    const filePath = path.join(__dirname, '..', 'uploads', transfer.filename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
+    // Delete file and its chunk hashes from disk
+    removeBlob(path.join(__dirname, '..', 'uploads', transfer.filename));
 
     // Delete from database
     transferDb.delete(id);
@@ -0,0 +1,434 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+
+import encryption from '../lib/encryption.js';
+import transferPipeline from '../lib/pipeline.js';
+import transfers from '../lib/transfers.js';
+
+const router = express.Router();
+
+/**
+ * tus 1.0 resumable upload endpoint (https://tus.io/protocols/resumable-upload)
+ *
+ * Supported extensions: creation, termination, expiration.
+ * Each upload is stored as `uploads/tus/<id>` plus an `<id>.info` JSON file.
+ * The info file never holds the password: only its hash and, when the server
+ * wraps the key, the key derived from it. Once the transfer is recorded, just
+ * the transfer ID is kept, for HEAD to report.
+ * Upload-Metadata keys mirror the POST /api/upload form fields
+ * (filename, filetype, password, expiresIn, maxDownloads, compressionAlgorithm,
+ * compressionLevel, compressionGoal, compressionDictionary, wrapKey, recipients,
+ * signerKey, signature, signedAt, clientEncrypted, iv, salt, originalSize,
+ * compressionReason, manifest, entryCount, archiveListing, archiveEntryCount,
+ * wrappedKey, recipientKeys, sealedSignature, plaintextDigest, merkleRoot).
+ * Completed uploads go through the same compress/encrypt/record flow as the
+ * multipart route.
+ */
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+
+const tusDir = path.join(transfers.UPLOADS_DIR, 'tus');
+
+// Incomplete uploads are discarded after this many hours
+const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Uploads currently receiving a PATCH
+const locks = new Set();
+
+function getDataPath(id) {
+  return path.join(tusDir, id);
+}
+
+function getInfoPath(id) {
+  return path.join(tusDir, `${id}.info`);
+}
+
+function readInfo(id) {
+  if (!ID_PATTERN.test(id) || !fs.existsSync(getInfoPath(id))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(getInfoPath(id), 'utf8'));
+}
+
+function writeInfo(info) {
+  fs.writeFileSync(getInfoPath(info.id), JSON.stringify(info, null, 2));
+}
+
+function removeUpload(id) {
+  fs.rmSync(getDataPath(id), { force: true });
+  fs.rmSync(getInfoPath(id), { force: true });
+}
+
+function isExpired(info) {
+  return new Date(info.expires_at) < new Date();
+}
+
+/**
+ * Parse an Upload-Metadata header: comma-separated `key base64value` pairs
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Remove expired uploads, finished or not
+ */
+function cleanupExpiredUploads() {
+  if (!fs.existsSync(tusDir)) return;
+
+  for (const file of fs.readdirSync(tusDir)) {
+    if (!file.endsWith('.info')) continue;
+    const info = readInfo(path.basename(file, '.info'));
+    if (info && isExpired(info)) {
+      removeUpload(info.id);
+    }
+  }
+}
+
+/**
+ * The key wrapping options of an upload's metadata: browser uploads
+ * send a wrapped key, anything else may ask the server to wrap it
+ */
+function getKeyWrapping(metadata, password) {
+  return metadata.clientEncrypted === 'true'
+    ? { password, wrappedKey: metadata.wrappedKey }
+    : { password, wrapKey: metadata.wrapKey };
+}
+
+/**
+ * The recipients of an upload's metadata, checked; likewise wrapped
+ * by the browser, or named for the server to wrap to
+ */
+function getRecipients(metadata, keyWrapped) {
+  return transfers.validateRecipients(metadata.clientEncrypted === 'true'
+    ? { recipientKeys: metadata.recipientKeys, keyWrapped }
+    : { recipients: metadata.recipients, keyWrapped });
+}
+
+/**
+ * The sender signature of an upload's metadata, checked
+ */
+function getSignature(metadata) {
+  return transfers.validateSignature({
+    signerKey: metadata.signerKey,
+    signature: metadata.signature,
+    signedAt: metadata.signedAt,
+    sealedSignature: metadata.sealedSignature,
+    clientEncrypted: metadata.clientEncrypted === 'true'
+  });
+}
+
+/**
+ * Run the completed upload through the normal transfer pipeline
+ */
+async function finalizeUpload(req, info) {
+  const io = req.app.get('io');
+  const { metadata } = info;
+  const transferId = await encryption.generateTransferId();
+  const input = fs.createReadStream(getDataPath(info.id));
+  const client = { ip: req.ip, userAgent: req.get('user-agent') };
+  const options = {
+    filename: metadata.filename || info.id,
+    passwordHash: info.password_hash,
+    expiresIn: metadata.expiresIn,
+    maxDownloads: metadata.maxDownloads
+  };
+  const recipients = getRecipients(metadata, info.key_wrapped);
+  const signature = getSignature(metadata);
+
+  if (metadata.clientEncrypted === 'true') {
+    const stored = await transfers.storeEncryptedTransfer(io, input, {
+      transferId,
+      totalBytes: info.length
+    });
+    return transfers.recordClientTransfer(io, stored, {
+      ...options,
+      mimeType: metadata.filetype,
+      iv: metadata.iv,
+      salt: metadata.salt,
+      originalSize: metadata.originalSize,
+      compressionReason: metadata.compressionReason,
+      manifest: metadata.manifest,
+      entryCount: metadata.entryCount,
+      archiveListing: metadata.archiveListing,
+      archiveEntryCount: metadata.archiveEntryCount,
+      wrappedKey: info.key_wrapped ? metadata.wrappedKey : null,
+      recipients,
+      signature,
+      plaintextDigest: metadata.plaintextDigest,
+      expectedMerkleRoot: metadata.merkleRoot
+    }, client);
+  }
+
+  const processed = await transfers.encryptTransfer(io, input, {
+    transferId,
+    filename: options.filename,
+    mimeType: metadata.filetype || 'application/octet-stream',
+    compressionAlgorithm: metadata.compressionAlgorithm,
+    compressionLevel: metadata.compressionLevel,
+    compressionGoal: metadata.compressionGoal,
+    compressionDictionary: metadata.compressionDictionary,
+    totalBytes: info.length
+  });
+  return transfers.recordServerTransfer(io, processed, {
+    ...options,
+    wrappingKey: info.wrapping_key,
+    recipients,
+    signature,
+    mimeType: metadata.filetype || 'application/octet-stream'
+  }, client);
+}
+
+// Every response carries the protocol version
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  // Clients behind proxies that only allow GET/POST tunnel the method
+  const override = req.get('x-http-method-override');
+  if (override) {
+    req.method = override.toUpperCase();
+  }
+
+  if (req.method !== 'OPTIONS' && req.get('tus-resumable') !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).end();
+  }
+
+  next();
+});
+
+/**
+ * OPTIONS /api/upload/tus
+ * Server capabilities (also answers CORS preflights for upload URLs)
+ */
+router.options(['/', '/:id'], (req, res) => {
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', TUS_EXTENSIONS);
+  res.setHeader('Tus-Max-Size', transfers.MAX_UPLOAD_SIZE);
+  res.status(204).end();
+});
+
+/**
+ * POST /api/upload/tus
+ * Creation extension: register a new upload of Upload-Length bytes
+ */
+router.post('/', async (req, res) => {
+  try {
+    const length = Number(req.get('upload-length'));
+
+    if (!Number.isInteger(length) || length < 0) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    if (length > transfers.MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: 'Upload exceeds Tus-Max-Size' });
+    }
+
+    const { password, ...metadata } = parseMetadata(req.get('upload-metadata'));
+    const clientEncrypted = metadata.clientEncrypted === 'true';
+    const keyWrapped = transfers.validateKeyWrapping(getKeyWrapping(metadata, password));
+    getRecipients(metadata, keyWrapped);
+    getSignature(metadata);
+    if (clientEncrypted) {
+      transfers.validateClientParams(metadata);
+    } else {
+      transfers.validateCompressionAlgorithm(metadata.compressionAlgorithm);
+      transfers.validateCompressionLevel(metadata.compressionLevel);
+      transfers.validateCompressionGoal(metadata.compressionGoal);
+      transfers.validateCompressionDictionary(metadata.compressionDictionary, {
+        algorithm: metadata.compressionAlgorithm,
+        mimeType: metadata.filetype,
+        filename: metadata.filename
+      });
+    }
+
+    cleanupExpiredUploads();
+    fs.mkdirSync(tusDir, { recursive: true });
+
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + UPLOAD_TTL_HOURS);
+
+    const info = {
+      id: await encryption.generateTransferId(),
+      length,
+      metadata,
+      password_hash: await transfers.hashPassword(password),
+      key_wrapped: keyWrapped,
+      // Browser uploads arrive with the key already wrapped
+      wrapping_key: keyWrapped && !clientEncrypted ? await transfers.deriveWrappingKey(password) : null,
+      expires_at: expiresAt.toISOString(),
+      created_at: new Date().toISOString()
+    };
+
+    fs.writeFileSync(getDataPath(info.id), '');
+    writeInfo(info);
+
+    res.setHeader('Location', `${req.protocol}://${req.get('host')}${req.baseUrl}/${info.id}`);
+    res.setHeader('Upload-Expires', new Date(info.expires_at).toUTCString());
+    res.status(201).end();
+
+  } catch (error) {
+    console.error('tus create error:', error);
+    res.status(error.status || 500).json({
+      error: error.error || 'Failed to create upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * HEAD /api/upload/tus/:id
+ * Current offset of an upload
+ */
+router.head('/:id', (req, res) => {
+  const info = readInfo(req.params.id);
+
+  if (!info) {
+    return res.status(404).end();
+  }
+
+  if (isExpired(info)) {
+    removeUpload(info.id);
+    return res.status(410).end();
+  }
+
+  const offset = info.transfer_id ? info.length : fs.statSync(getDataPath(info.id)).size;
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Upload-Offset', offset);
+  res.setHeader('Upload-Length', info.length);
+  res.setHeader('Upload-Expires', new Date(info.expires_at).toUTCString());
+  if (info.transfer_id) {
+    res.setHeader('X-Transfer-Id', info.transfer_id);
+  }
+  res.status(200).end();
+});
+
+/**
+ * PATCH /api/upload/tus/:id
+ * Append bytes at Upload-Offset. The request that completes the upload
+ * also runs it through compression/encryption and returns the transfer
+ * in `X-Transfer-Id`, `X-Download-Url` and (server mode) `X-Decryption-Key`.
+ */
+router.patch('/:id', async (req, res) => {
+  const info = readInfo(req.params.id);
+
+  if (!info) {
+    return res.status(404).end();
+  }
+
+  if (isExpired(info)) {
+    removeUpload(info.id);
+    return res.status(410).end();
+  }
+
+  if (req.get('content-type') !== 'application/offset+octet-stream') {
+    return res.status(415).end();
+  }
+
+  if (info.transfer_id) {
+    return res.status(409).json({ error: 'Upload is already complete' });
+  }
+
+  if (locks.has(info.id)) {
+    return res.status(423).json({ error: 'Upload is locked by another request' });
+  }
+
+  const dataPath = getDataPath(info.id);
+  const offset = fs.statSync(dataPath).size;
+
+  if (Number(req.get('upload-offset')) !== offset) {
+    return res.status(409).json({ error: 'Upload-Offset does not match', offset });
+  }
+
+  locks.add(info.id);
+
+  try {
+    try {
+      await pipeline(
+        req,
+        new transferPipeline.ByteCounter(undefined, { limit: info.length - offset }),
+        fs.createWriteStream(dataPath, { flags: 'a' })
+      );
+    } catch (error) {
+      if (error.code === 'ELIMIT') {
+        return res.status(413).json({ error: 'Upload exceeds Upload-Length' });
+      }
+      // Interrupted request: whatever was written counts towards the offset
+      console.error('tus patch interrupted:', error.message);
+      if (!res.headersSent && !req.destroyed) {
+        res.status(500).end();
+      }
+      return;
+    }
+
+    const newOffset = fs.statSync(dataPath).size;
+    res.setHeader('Upload-Offset', newOffset);
+    res.setHeader('Upload-Expires', new Date(info.expires_at).toUTCString());
+
+    if (newOffset === info.length) {
+      const payload = await finalizeUpload(req, info);
+
+      fs.rmSync(dataPath, { force: true });
+      writeInfo({
+        id: info.id,
+        length: info.length,
+        transfer_id: payload.transfer.id,
+        expires_at: info.expires_at,
+        created_at: info.created_at
+      });
+
+      res.setHeader('X-Transfer-Id', payload.transfer.id);
+      res.setHeader('X-Download-Url', payload.downloadUrl);
+      if (payload.decryptionKey) {
+        res.setHeader('X-Decryption-Key', payload.decryptionKey);
+      }
+    }
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('tus finalize error:', error);
+    res.status(error.status || 500).json({
+      error: error.error || 'Failed to process upload',
+      message: error.message
+    });
+  } finally {
+    locks.delete(info.id);
+  }
+});
+
+/**
+ * DELETE /api/upload/tus/:id
+ * Termination extension
+ */
+router.delete('/:id', (req, res) => {
+  const info = readInfo(req.params.id);
+
+  if (!info) {
+    return res.status(404).end();
+  }
+
+  if (locks.has(info.id)) {
+    return res.status(423).json({ error: 'Upload is locked by another request' });
+  }
+
+  removeUpload(info.id);
+  res.status(204).end();
+});
+
+export default router;
@@ -1,273 +1,360 @@
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { v4 as uuidv4 } from 'uuid';
-import bcrypt from 'bcryptjs';
+import { once } from 'events';
+import { PassThrough } from 'stream';
 
-import { transferDb, logDb } from '../db/database.js';
 import encryption from '../lib/encryption.js';
 import compression from '../lib/compression.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import transfers from '../lib/transfers.js';
+import planner from '../lib/planner.js';
+import bundle from '../lib/bundle.js';
+import archiveListing from '../lib/archiveListing.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '..', 'uploads', 'temp');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
+const { MAX_UPLOAD_SIZE } = transfers;
+
+/**
+ * Error carrying an HTTP status for the error handler to respond with
+ */
+function requestError(status, error, message) {
+  const err = new Error(message || error);
+  err.status = status;
+  err.error = error;
+  return err;
+}
+
+/**
+ * Multer storage engine that streams the upload straight through
+ * compression and encryption to its final `.enc` blob.
+ * Form fields must come before the file to be visible here.
+ * With `bundle=true`, every file is appended to one shared blob.
+ */
+const transferStorage = {
+  _handleFile(req, file, cb) {
+    const isBundle = req.body.bundle === 'true' && req.body.clientEncrypted !== 'true';
+    const handle = isBundle ? appendToBundle : streamTransfer;
+    handle(req, file).then((info) => cb(null, info), cb);
   },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
+
+  _removeFile(req, file, cb) {
+    // Bundle entries have no file of their own; a failed bundle removes its blob itself
+    if (file.path) transfers.removeBlob(file.path);
+    cb(null);
   }
-});
+};
+
+async function streamTransfer(req, file) {
+  if (req.transferStarted) {
+    throw requestError(400, 'Only one file per upload', 'Send bundle=true to upload several files as one transfer');
+  }
+  req.transferStarted = true;
+
+  const io = req.app.get('io');
+  const transferId = await encryption.generateTransferId();
+  const totalBytes = parseInt(req.get('content-length')) || 0;
+
+  // Browser uploads are already encrypted - store the ciphertext untouched
+  if (req.body.clientEncrypted === 'true') {
+    return transfers.storeEncryptedTransfer(io, file.stream, { transferId, totalBytes });
+  }
+
+  return transfers.encryptTransfer(io, file.stream, {
+    transferId,
+    filename: file.originalname,
+    mimeType: file.mimetype,
+    compressionAlgorithm: req.body.compressionAlgorithm,
+    compressionLevel: req.body.compressionLevel,
+    compressionGoal: req.body.compressionGoal,
+    compressionDictionary: req.body.compressionDictionary,
+    totalBytes
+  });
+}
+
+/**
+ * Start the bundle's transfer: one plaintext stream that every file of
+ * the request is appended to, compressed and encrypted as it arrives
+ */
+function startBundle(req) {
+  const input = new PassThrough();
+  const result = encryption.generateTransferId().then((transferId) =>
+    transfers.encryptTransfer(req.app.get('io'), input, {
+      transferId,
+      filename: req.body.bundleName || 'bundle',
+      mimeType: 'application/octet-stream',
+      compressionAlgorithm: req.body.compressionAlgorithm,
+      compressionLevel: req.body.compressionLevel,
+      compressionGoal: req.body.compressionGoal,
+      compressionDictionary: req.body.compressionDictionary,
+      totalBytes: parseInt(req.get('content-length')) || 0,
+      // A bundle starting with an archive is still not one
+      inspectArchive: false
+    })
+  );
+  // A failed transfer stops reading the files; the route reports the error
+  result.catch((error) => input.destroy(error));
+
+  return { input, result, manifest: new bundle.ManifestBuilder(), appended: Promise.resolve() };
+}
 
+/**
+ * Append a file to the request's bundle. The next file can arrive while
+ * the previous one is still draining, so appends are chained.
+ */
+function appendToBundle(req, file) {
+  req.bundle ??= startBundle(req);
+
+  const appended = req.bundle.appended.then(() => appendFile(req.bundle, file));
+  req.bundle.appended = appended.catch(() => {});
+  return appended;
+}
+
+async function appendFile({ input, manifest }, file) {
+  let size = 0;
+  for await (const chunk of file.stream) {
+    size += chunk.length;
+    if (manifest.size + size > MAX_UPLOAD_SIZE) {
+      throw requestError(413, 'Bundle too large', `Maximum upload size is ${compression.formatBytes(MAX_UPLOAD_SIZE)}`);
+    }
+    if (input.destroyed) {
+      throw input.errored || new Error('Bundle upload was stopped');
+    }
+    if (!input.write(chunk)) {
+      await once(input, 'drain');
+    }
+  }
+
+  const entry = manifest.add(file.originalname, { size, type: file.mimetype });
+  return { size: entry.size, entryPath: entry.path };
+}
+
+// Paths are kept so bundles can hold folders
 const upload = multer({
-  storage,
+  storage: transferStorage,
+  preservePath: true,
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: bundle.MAX_BUNDLE_FILES,
+    // Encrypted bundle manifests and archive listings are sent as form fields
+    fieldSize: Math.max(bundle.MAX_MANIFEST_LENGTH, archiveListing.MAX_LISTING_LENGTH)
+  }
+});
+
+// Preflight samples are small and benchmarked in memory
+const preflightUpload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 500 * 1024 * 1024 // 500MB limit
+    // busboy counts reaching the limit as exceeding it
+    fileSize: planner.MAX_SAMPLE_SIZE + 1
   }
 });
 
+/**
+ * Run a multer middleware, turning size limit errors into 413 responses.
+ * A bundle that fails part-way is stopped, which removes its blob.
+ */
+function withUploadLimits(middleware, maxSize = MAX_UPLOAD_SIZE) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (err && req.bundle) {
+        req.bundle.input.destroy(err);
+      }
+      if (err?.status) {
+        return res.status(err.status).json({ error: err.error, message: err.message });
+      }
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: 'File too large',
+          message: `Maximum upload size is ${compression.formatBytes(maxSize)}`
+        });
+      }
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_COUNT') {
+        return res.status(413).json({
+          error: 'Too many files',
+          message: `A transfer holds at most ${bundle.MAX_BUNDLE_FILES} files`
+        });
+      }
+      next(err);
+    });
+  };
+}
+
 /**
  * POST /api/upload
- * Upload a file with compression and optional encryption
+ * Upload a file with compression and optional encryption.
+ * Browser uploads set `clientEncrypted` and send ciphertext only;
+ * other API clients get server-side compression and encryption.
+ * With `bundle=true`, several `file` fields (their filenames may contain
+ * folders) become one transfer with an encrypted manifest; `bundleName`
+ * optionally names it.
+ * The body is streamed to disk, so options must precede the file fields.
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', withUploadLimits(upload.array('file', bundle.MAX_BUNDLE_FILES)), async (req, res) => {
   const io = req.app.get('io');
-  
+  const [file] = req.files || [];
+
   try {
-    if (!req.file) {
+    if (!file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     const {
       password,
       expiresIn, // in hours
-      maxDownloads,
-      compressionLevel = 6
+      maxDownloads
     } = req.body;
-
-    const transferId = await encryption.generateTransferId();
-    const originalFilePath = req.file.path;
-    const originalSize = req.file.size;
-    const originalFilename = req.file.originalname;
-    const mimeType = req.file.mimetype;
-
-    // Emit upload started
-    io.emit('upload-started', { transferId, filename: originalFilename });
-
-    // Step 1: Generate encryption parameters
-    const iv = await encryption.generateIV();
-    const salt = await encryption.generateSalt();
-    const fileKey = await encryption.generateKey();
-
-    // Step 2: Compress the file
-    const compressedPath = path.join(__dirname, '..', 'uploads', 'temp', `${transferId}.compressed`);
-    const algorithm = compression.selectAlgorithm(mimeType);
-    
-    io.emit('upload-progress', { 
-      transferId, 
-      stage: 'compressing',
-      progress: 30 
-    });
-
-    const compressionResult = await compression.compressFile(
-      originalFilePath,
-      compressedPath,
-      algorithm,
-      parseInt(compressionLevel)
-    );
-
-    // Step 3: Encrypt the compressed file
-    io.emit('upload-progress', { 
-      transferId, 
-      stage: 'encrypting',
-      progress: 60 
+    const clientEncrypted = req.body.clientEncrypted === 'true';
+    // Browser uploads wrap the key themselves; otherwise `wrapKey` asks the server to
+    const wrapKey = transfers.validateKeyWrapping(clientEncrypted
+      ? { password, wrappedKey: req.body.wrappedKey }
+      : { password, wrapKey: req.body.wrapKey });
+    const recipients = transfers.validateRecipients(clientEncrypted
+      ? { recipientKeys: req.body.recipientKeys, keyWrapped: wrapKey }
+      : { recipients: req.body.recipients, keyWrapped: wrapKey });
+    const signature = transfers.validateSignature({
+      signerKey: req.body.signerKey,
+      signature: req.body.signature,
+      signedAt: req.body.signedAt,
+      sealedSignature: req.body.sealedSignature,
+      clientEncrypted
     });
 
-    const compressedData = fs.readFileSync(compressedPath);
-    const { encrypted, authTag } = encryption.encrypt(compressedData, fileKey, iv);
-
-    // Save encrypted file
-    const finalPath = path.join(__dirname, '..', 'uploads', `${transferId}.enc`);
-    fs.writeFileSync(finalPath, encrypted);
-
-    // Generate checksum
-    const checksum = encryption.generateChecksum(encrypted);
-
-    // Clean up temp files
-    fs.unlinkSync(originalFilePath);
-    fs.unlinkSync(compressedPath);
-
-    // Hash password if provided
-    let passwordHash = null;
-    if (password) {
-      passwordHash = await bcrypt.hash(password, 10);
+    const client = { ip: req.ip, userAgent: req.get('user-agent') };
+    const options = {
+      filename: bundle.baseName(file.originalname),
+      passwordHash: await transfers.hashPassword(password),
+      expiresIn,
+      maxDownloads
+    };
+
+    if (clientEncrypted) {
+      transfers.validateClientParams(req.body);
+
+      return res.json(await transfers.recordClientTransfer(io, file, {
+        ...options,
+        mimeType: req.body.mimeType,
+        iv: req.body.iv,
+        salt: req.body.salt,
+        originalSize: req.body.originalSize,
+        compressionReason: req.body.compressionReason,
+        manifest: req.body.manifest,
+        entryCount: req.body.entryCount,
+        archiveListing: req.body.archiveListing,
+        archiveEntryCount: req.body.archiveEntryCount,
+        wrappedKey: wrapKey ? req.body.wrappedKey : null,
+        recipients,
+        signature,
+        plaintextDigest: req.body.plaintextDigest,
+        expectedMerkleRoot: req.body.merkleRoot
+      }, client));
     }
 
-    // Calculate expiration
-    let expiresAt = null;
-    if (expiresIn) {
-      const expirationDate = new Date();
-      expirationDate.setHours(expirationDate.getHours() + parseInt(expiresIn));
-      expiresAt = expirationDate.toISOString();
+    if (req.bundle) {
+      req.bundle.input.end();
+      const processed = await req.bundle.result;
+      const manifest = req.bundle.manifest.toJSON();
+
+      return res.json(await transfers.recordServerTransfer(io, processed, {
+        ...options,
+        keyPassword: wrapKey ? password : null,
+        recipients,
+        signature,
+        filename: req.body.bundleName || bundle.getBundleName(manifest.entries),
+        mimeType: 'application/octet-stream',
+        manifest
+      }, client));
     }
 
-    // Save transfer record
-    transferDb.create({
-      id: transferId,
-      filename: `${transferId}.enc`,
-      original_filename: originalFilename,
-      original_size: originalSize,
-      compressed_size: encrypted.length,
-      compression_ratio: parseFloat(compressionResult.ratio),
-      encryption_iv: iv,
-      encryption_salt: salt,
-      password_hash: passwordHash,
-      mime_type: mimeType,
-      expires_at: expiresAt,
-      max_downloads: maxDownloads ? parseInt(maxDownloads) : null,
-      checksum
-    });
-
-    // Log the upload
-    logDb.create({
-      transfer_id: transferId,
-      action: 'upload',
-      ip_address: req.ip,
-      user_agent: req.get('user-agent'),
-      details: JSON.stringify({
-        originalSize,
-        compressedSize: encrypted.length,
-        compressionRatio: compressionResult.ratio
-      })
-    });
-
-    io.emit('upload-progress', { 
-      transferId, 
-      stage: 'complete',
-      progress: 100 
-    });
-
-    // Return success with transfer details
-    // The key and authTag are needed for client-side decryption
-    res.json({
-      success: true,
-      transfer: {
-        id: transferId,
-        filename: originalFilename,
-        originalSize: compression.formatBytes(originalSize),
-        compressedSize: compression.formatBytes(encrypted.length),
-        compressionRatio: compressionResult.ratio + '%',
-        savings: compressionResult.savings + '%',
-        expiresAt,
-        maxDownloads: maxDownloads || 'Unlimited',
-        hasPassword: !!password
-      },
-      // These are needed for decryption - store securely!
-      decryptionKey: fileKey,
-      authTag,
-      // Generate download link
-      downloadUrl: `/download/${transferId}#key=${fileKey}&tag=${authTag}`
-    });
+    res.json(await transfers.recordServerTransfer(io, file, {
+      ...options,
+      keyPassword: wrapKey ? password : null,
+      recipients,
+      signature,
+      mimeType: file.mimetype
+    }, client));
 
   } catch (error) {
     console.error('Upload error:', error);
-    
+
     // Clean up on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    if (file?.path) {
+      transfers.removeBlob(file.path);
     }
-    
-    res.status(500).json({ 
-      error: 'Upload failed', 
-      message: error.message 
+
+    res.status(error.status || 500).json({
+      error: error.error || 'Upload failed',
+      message: error.message
     });
   }
 });
 
 /**
- * POST /api/upload/chunk
- * Handle chunked uploads for very large files
+ * Split a comma-separated form field into a list
  */
-router.post('/chunk', upload.single('chunk'), async (req, res) => {
-  try {
-    const { 
-      transferId,
-      chunkIndex,
-      totalChunks,
-      filename 
-    } = req.body;
+function parseList(value) {
+  return value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : null;
+}
 
+/**
+ * POST /api/upload/preflight
+ * Estimate the compressed size and processing time before uploading.
+ * Send a `sample` file (slices of the real file, up to 256 KB) with the
+ * file's total `size`, its `mimeType`, a `goal` (smallest, fastest, balanced)
+ * and optionally the `algorithms` and `levels` to consider, comma-separated.
+ */
+router.post('/preflight', withUploadLimits(preflightUpload.single('sample'), planner.MAX_SAMPLE_SIZE), async (req, res) => {
+  try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No chunk data' });
+      return res.status(400).json({ error: 'No sample uploaded' });
     }
 
-    const chunkDir = path.join(__dirname, '..', 'uploads', 'chunks', transferId);
-    if (!fs.existsSync(chunkDir)) {
-      fs.mkdirSync(chunkDir, { recursive: true });
-    }
-
-    // Save chunk
-    const chunkPath = path.join(chunkDir, `chunk-${chunkIndex}`);
-    fs.renameSync(req.file.path, chunkPath);
-
-    // Check if all chunks received
-    const chunks = fs.readdirSync(chunkDir);
-    const progress = Math.round((chunks.length / parseInt(totalChunks)) * 100);
-
-    const io = req.app.get('io');
-    io.emit('upload-progress', {
-      transferId,
-      stage: 'uploading',
-      progress: Math.min(progress, 30) // Cap at 30% for upload stage
+    const { size, mimeType, goal = planner.Goal.BALANCED } = req.body;
+    transfers.validateCompressionGoal(goal);
+
+    const algorithms = parseList(req.body.algorithms);
+    const levels = parseList(req.body.levels)
+      ?.map((level) => parseInt(level))
+      .filter((level) => level >= 1 && level <= compression.CompressionLevel.BEST);
+
+    const totalSize = parseInt(size) || req.file.size;
+    const { plan, candidates } = await planner.planCompression(req.file.buffer, {
+      size: totalSize,
+      mimeType: mimeType || req.file.mimetype,
+      goal,
+      algorithms,
+      levels: levels?.length ? levels : undefined
     });
 
-    if (chunks.length === parseInt(totalChunks)) {
-      // All chunks received - merge them
-      const mergedPath = path.join(__dirname, '..', 'uploads', 'temp', `${transferId}-merged`);
-      const writeStream = fs.createWriteStream(mergedPath);
-
-      for (let i = 0; i < parseInt(totalChunks); i++) {
-        const chunkPath = path.join(chunkDir, `chunk-${i}`);
-        const chunkData = fs.readFileSync(chunkPath);
-        writeStream.write(chunkData);
-        fs.unlinkSync(chunkPath);
-      }
-      
-      writeStream.end();
-      fs.rmdirSync(chunkDir);
-
-      res.json({
-        success: true,
-        message: 'All chunks received',
-        complete: true,
-        mergedPath
-      });
-    } else {
-      res.json({
-        success: true,
-        message: `Chunk ${chunkIndex + 1}/${totalChunks} received`,
-        complete: false,
-        received: chunks.length,
-        total: parseInt(totalChunks)
-      });
-    }
+    res.json({
+      success: true,
+      goal,
+      plan: {
+        algorithm: plan.algorithm,
+        level: plan.level,
+        mode: plan.mode,
+        reason: plan.reason
+      },
+      estimate: {
+        originalSize: compression.formatBytes(totalSize),
+        compressedSize: compression.formatBytes(plan.estimatedSize),
+        compressedBytes: plan.estimatedSize,
+        savings: ((1 - plan.estimatedRatio) * 100).toFixed(2) + '%',
+        processingTimeMs: plan.estimatedTimeMs
+      },
+      candidates: candidates.map((candidate) => ({
+        algorithm: candidate.algorithm,
+        level: candidate.level,
+        ratio: parseFloat(candidate.ratio.toFixed(4)),
+        // bytes per ms is kB/s; report MB/s
+        throughputMBps: parseFloat((candidate.bytesPerMs / 1000).toFixed(1))
+      }))
+    });
 
   } catch (error) {
-    console.error('Chunk upload error:', error);
-    res.status(500).json({ 
-      error: 'Chunk upload failed', 
-      message: error.message 
+    console.error('Preflight error:', error);
+    res.status(error.status || 500).json({
+      error: error.error || 'Preflight failed',
+      message: error.message
     });
   }
 });